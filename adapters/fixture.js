@@ -0,0 +1,64 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The "fixture" upstream adapter, which replays recorded pages and API responses from disk instead
+  of making requests to Shoe Zone. This allows the API to be run (and tested) offline. See
+  "/adapters/fixtures.js" for how fixtures are stored.
+  
+  Overview of Methods:
+  - post(pathname: string, body: Object, market?: string): Promise<any>
+  - fetchPage(pathname: string, market?: string): Promise<JSDOM>
+  
+  Requests which don't have a fixture are rejected with a 404 `HttpError`, in the same way a
+  missing page on the Shoe Zone website would be.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const { JSDOM } = require("jsdom")
+const { HttpError } = require("../utils/HttpError")
+const { getMarket } = require("../utils/markets")
+const fixtures = require("./fixtures")
+
+/*
+  Factory:
+  createFixtureAdapter({ directory: string }): Object
+  
+  Fixtures are read from disk on every request, so fixtures can be added or changed without
+  restarting the server.
+*/
+function createFixtureAdapter({ directory }) {
+  return {
+    name: "fixture",
+    
+    post(pathname, body, market) {
+      const request = fixtures.normaliseRequest(pathname, body, market)
+      const key = fixtures.getRequestKey(request)
+      const fixture = fixtures.readApiFixtures(directory).find(
+        fixture => fixtures.getRequestKey(fixture.request) === key
+      )
+      
+      if (!fixture)
+        return Promise.reject(new HttpError(`No fixture has been recorded for POST "${pathname}" (${key})`, 404, "FIXTURE_NOT_FOUND"))
+      
+      return Promise.resolve(fixture.response)
+    },
+    
+    fetchPage(pathname, market) {
+      const filename = path.join(directory, "pages", fixtures.getPageFilename(pathname, market))
+      
+      if (!fs.existsSync(filename))
+        return Promise.reject(new HttpError(`No fixture has been recorded for GET "${pathname}"`, 404, "FIXTURE_NOT_FOUND"))
+      
+      // The URL is set so that relative links resolve as they would on the real page
+      return Promise.resolve(new JSDOM(fs.readFileSync(filename, "utf8"), {
+        url: `${getMarket(market || "GB").site || "https://www.shoezone.com"}${pathname}`
+      }))
+    }
+  }
+}
+
+module.exports = {
+  createFixtureAdapter
+}
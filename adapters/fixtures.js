@@ -0,0 +1,169 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Helpers shared by the "fixture" and "record" upstream adapters for naming, reading and writing
+  recorded fixtures.
+  
+  Fixtures are stored in two subdirectories of the fixture directory:
+  - "api": JSON files of the form `{ request: { pathname, body }, response: any }`
+  - "pages": HTML files, named after the pathname of the page (see `getPageFilename`)
+  
+  API fixtures are matched by their request, rather than their filename, so hand-written fixtures
+  can be given readable names. Requests made to a market other than GB (see "/utils/markets.js")
+  include the market in their request, and their page filenames are prefixed with it (e.g.
+  "ie-products-product-15070.html"), so existing GB fixtures don't need to change.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+/*
+  Private method:
+  parseValue(value: any): any
+  
+  The Shoe Zone APIs take their parameters as stringified (and sometimes single-quoted) JSON inside
+  of the request body. Parse these where possible, so that fixtures don't depend on whitespace or
+  the exact way the string was built.
+*/
+function parseValue(value) {
+  if (typeof value !== "string")
+    return value
+  
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    try {
+      return JSON.parse(value.replace(/'/g, "\""))
+    } catch (err) {
+      return value
+    }
+  }
+}
+
+/*
+  Private method:
+  sortKeys(value: any): any
+  
+  Recursively sort the keys of an Object, so that equivalent requests stringify identically.
+*/
+function sortKeys(value) {
+  if (Array.isArray(value))
+    return value.map(sortKeys)
+  
+  if (value && typeof value === "object")
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key])
+      return sorted
+    }, {})
+  
+  return value
+}
+
+/*
+  Private method:
+  isOtherMarket(market?: string): boolean
+  
+  Whether a request was made to a market other than GB, which fixtures are recorded for by default.
+*/
+function isOtherMarket(market) {
+  return Boolean(market) && market.toUpperCase() !== "GB"
+}
+
+/*
+  normaliseRequest(pathname: string, body: Object, market?: string): Object
+  
+  Convert a request into the form it is stored in within an API fixture.
+*/
+function normaliseRequest(pathname, body, market) {
+  return sortKeys({
+    pathname: pathname.toLowerCase(),
+    body: Object.keys(body || {}).reduce((normalised, key) => {
+      normalised[key] = parseValue(body[key])
+      return normalised
+    }, {}),
+    ...(isOtherMarket(market) ? { market: market.toUpperCase() } : {})
+  })
+}
+
+/*
+  getRequestKey(request: Object): string
+  
+  A string which is identical for equivalent (normalised) requests.
+*/
+function getRequestKey(request) {
+  return JSON.stringify(sortKeys(request))
+}
+
+/*
+  getApiFilename(request: Object): string
+  
+  The filename a recorded API fixture is saved as; the last segment of the pathname followed by a
+  hash of the request (e.g. "findrequestedstores-0123456789.json").
+*/
+function getApiFilename(request) {
+  const hash = crypto.createHash("sha1").update(getRequestKey(request)).digest("hex").substr(0, 10)
+  
+  return `${request.pathname.split("/").pop()}-${hash}.json`
+}
+
+/*
+  getPageFilename(pathname: string, market?: string): string
+  
+  The filename a page fixture is saved as; the pathname (including the query string) with each run
+  of non-alphanumeric characters replaced by a hyphen (e.g. "/Products/Product-15070" becomes
+  "products-product-15070.html").
+*/
+function getPageFilename(pathname, market) {
+  const slug = pathname.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+  const prefix = isOtherMarket(market) ? `${market.toLowerCase()}-` : ""
+  
+  return `${prefix}${slug || "index"}.html`
+}
+
+/*
+  readApiFixtures(directory: string): Object[]
+  
+  Read every API fixture in the fixture directory.
+*/
+function readApiFixtures(directory) {
+  const apiDirectory = path.join(directory, "api")
+  
+  if (!fs.existsSync(apiDirectory))
+    return []
+  
+  return fs.readdirSync(apiDirectory).filter(file => file.endsWith(".json")).map(
+    file => JSON.parse(fs.readFileSync(path.join(apiDirectory, file), "utf8"))
+  )
+}
+
+/*
+  writeApiFixture(directory: string, request: Object, response: any): void
+*/
+function writeApiFixture(directory, request, response) {
+  const apiDirectory = path.join(directory, "api")
+  
+  fs.mkdirSync(apiDirectory, { recursive: true })
+  fs.writeFileSync(path.join(apiDirectory, getApiFilename(request)), JSON.stringify({ request, response }, null, 2))
+}
+
+/*
+  writePageFixture(directory: string, pathname: string, html: string, market?: string): void
+*/
+function writePageFixture(directory, pathname, html, market) {
+  const pagesDirectory = path.join(directory, "pages")
+  
+  fs.mkdirSync(pagesDirectory, { recursive: true })
+  fs.writeFileSync(path.join(pagesDirectory, getPageFilename(pathname, market)), html)
+}
+
+module.exports = {
+  normaliseRequest,
+  getRequestKey,
+  getApiFilename,
+  getPageFilename,
+  readApiFixtures,
+  writeApiFixture,
+  writePageFixture
+}
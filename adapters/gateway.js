@@ -0,0 +1,244 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The upstream gateway wraps another adapter (see "/adapters/index.js") to protect Shoe Zone from
+  being flooded with requests, and to protect the API from Shoe Zone being slow or unavailable.
+  
+  - Coalescing: Identical requests (the same page, or the same API request) which are made while
+    one is already in flight share the same response, rather than being made again.
+  - Rate limiting: Requests are only made when a token is available from a token bucket shared by
+    every request. Requests wait in a queue until a token becomes available.
+  - Retries: Requests which fail for a transient reason (network errors, timeouts, 429 and 5xx
+    statuses) are retried a few times, waiting exponentially longer between each attempt.
+  - Circuit breaker: After several consecutive requests have failed, the circuit "opens", and
+    every request fails immediately with a 503 `HttpError` until the cooldown has passed. After
+    the cooldown, a single trial request is let through; the circuit closes again if it succeeds.
+  
+  Overview of Methods:
+  - post(pathname: string, body: Object, market?: string): Promise<any>
+  - fetchPage(pathname: string, market?: string): Promise<JSDOM>
+  - getStatus(): Object
+*/
+
+const { HttpError } = require("../utils/HttpError")
+const { wait } = require("../utils/promise")
+const fixtures = require("./fixtures")
+
+/*
+  Private factory:
+  createTokenBucket({ rate: number, burst: number }): { take: function<Promise>(), size: function<number>() }
+  
+  Tokens are added at `rate` tokens per second, up to a maximum of `burst` tokens. `take` resolves
+  once a token has been removed from the bucket, in the order it was called.
+*/
+function createTokenBucket({ rate, burst }) {
+  const queue = []
+  let tokens = burst
+  let lastRefill = Date.now()
+  let timer = null
+  
+  const refill = () => {
+    const now = Date.now()
+    
+    tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * rate)
+    lastRefill = now
+  }
+  
+  const drain = () => {
+    timer = null
+    refill()
+    
+    while (queue.length && tokens >= 1) {
+      tokens -= 1
+      queue.shift()()
+    }
+    
+    // Wake up again when the next token will be available
+    if (queue.length)
+      timer = setTimeout(drain, Math.ceil((1 - tokens) / rate * 1000))
+  }
+  
+  return {
+    take: () => new Promise(resolve => {
+      queue.push(resolve)
+      
+      if (!timer)
+        drain()
+    }),
+    size: () => queue.length
+  }
+}
+
+/*
+  Private method:
+  isTransient(err: Error): boolean
+  
+  Whether a failed request is worth retrying. Errors without a status code are network errors
+  (e.g. timeouts or refused connections).
+*/
+function isTransient(err) {
+  const statusCode = err.statusCode || (err.response && err.response.status)
+  
+  return !statusCode || statusCode === 429 || statusCode >= 500
+}
+
+/*
+  Factory:
+  createGateway({
+    adapter: Object,
+    rate?: number = 5,
+    burst?: number = 10,
+    retries?: number = 2,
+    retryDelay?: number = 250,
+    failureThreshold?: number = 5,
+    cooldown?: number = 30
+  }): Object
+  
+  `rate` is in requests per second, `retryDelay` is the delay before the first retry in
+  milliseconds (doubling for each subsequent retry), and `cooldown` is in seconds.
+*/
+function createGateway({ adapter, rate = 5, burst = 10, retries = 2, retryDelay = 250, failureThreshold = 5, cooldown = 30 }) {
+  const bucket = createTokenBucket({ rate, burst })
+  const inFlight = new Map()
+  
+  const breaker = {
+    state: "closed",
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false
+  }
+  
+  const stats = {
+    requests: 0,
+    coalesced: 0,
+    retries: 0,
+    failures: 0,
+    rejected: 0
+  }
+  
+  /*
+    Check the circuit breaker before making a request. Throws when the circuit is open, unless
+    the cooldown has passed, in which case this request becomes the trial request.
+  */
+  const checkBreaker = () => {
+    if (breaker.state === "closed")
+      return
+    
+    if (breaker.state === "open" && Date.now() - breaker.openedAt >= cooldown * 1000)
+      breaker.state = "half-open"
+    
+    if (breaker.state === "half-open" && !breaker.trialInFlight) {
+      breaker.trialInFlight = true
+      return
+    }
+    
+    stats.rejected++
+    throw new HttpError("Shoe Zone is currently unavailable. Please try again later.", 503)
+  }
+  
+  const recordSuccess = () => {
+    breaker.state = "closed"
+    breaker.failures = 0
+    breaker.openedAt = null
+    breaker.trialInFlight = false
+  }
+  
+  const recordFailure = err => {
+    // Errors such as a missing product still mean Shoe Zone responded, so aren't a
+    // sign that it's unhealthy
+    if (!isTransient(err))
+      return recordSuccess()
+    
+    stats.failures++
+    breaker.failures++
+    breaker.trialInFlight = false
+    
+    if (breaker.state === "half-open" || breaker.failures >= failureThreshold) {
+      breaker.state = "open"
+      breaker.openedAt = Date.now()
+    }
+  }
+  
+  /*
+    Make a request (using `send`), waiting for a token before each attempt, and retrying transient
+    failures with an exponential backoff.
+  */
+  const attempt = (send, retry = 0) => bucket.take().then(() => {
+    stats.requests++
+    return send()
+  }).catch(err => {
+    if (retry >= retries || !isTransient(err))
+      throw err
+    
+    stats.retries++
+    
+    // Add some jitter, so that retries from coalesced requests don't all land at once
+    return wait(retryDelay * 2 ** retry * (1 + Math.random() / 2)).then(() => attempt(send, retry + 1))
+  })
+  
+  /*
+    Make a request, sharing the response with any identical requests made while it's in flight.
+  */
+  const request = (key, send) => {
+    if (inFlight.has(key)) {
+      stats.coalesced++
+      return inFlight.get(key)
+    }
+    
+    let promise
+    
+    try {
+      checkBreaker()
+      
+      promise = attempt(send).then(response => {
+        recordSuccess()
+        return response
+      }, err => {
+        recordFailure(err)
+        throw err
+      })
+    } catch (err) {
+      promise = Promise.reject(err)
+    }
+    
+    const settled = promise.finally(() => inFlight.delete(key))
+    
+    inFlight.set(key, settled)
+    
+    return settled
+  }
+  
+  return {
+    name: `gateway(${adapter.name || "adapter"})`,
+    
+    post(pathname, body, market) {
+      const key = `post:${fixtures.getRequestKey(fixtures.normaliseRequest(pathname, body, market))}`
+      
+      return request(key, () => adapter.post(pathname, body, market))
+    },
+    
+    fetchPage(pathname, market) {
+      return request(`page:${(market || "GB").toUpperCase()}:${pathname.toLowerCase()}`, () => adapter.fetchPage(pathname, market))
+    },
+    
+    /*
+      Describe the current state of the gateway, for monitoring.
+    */
+    getStatus() {
+      return {
+        adapter: adapter.name || "adapter",
+        circuit: breaker.state,
+        consecutiveFailures: breaker.failures,
+        openedAt: breaker.openedAt ? (new Date(breaker.openedAt)).toISOString() : null,
+        inFlight: inFlight.size,
+        queued: bucket.size(),
+        ...stats
+      }
+    }
+  }
+}
+
+module.exports = {
+  createGateway
+}
@@ -0,0 +1,99 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Upstream adapters handle every request made to the Shoe Zone website and APIs, so that the
+  controllers never need to know whether they're talking to the real website or not.
+  
+  The adapter is chosen by the environment's SZ_ADAPTER string:
+  - "live" (default): Make requests to SZAPI and SZSITE. See "/adapters/live.js".
+  - "fixture": Replay recorded fixtures from disk. See "/adapters/fixture.js".
+  - "record": Make live requests, and record them as fixtures. See "/adapters/record.js".
+  
+  Fixtures are read from (and recorded to) the directory in the environment's SZ_FIXTURES string,
+  or "./_fixtures" by default.
+  
+  Whichever adapter is chosen is wrapped by the upstream gateway (see "/adapters/gateway.js"), which
+  is configured by the following environment strings:
+  - SZ_RATE_LIMIT: Requests per second (default 5)
+  - SZ_RATE_BURST: Requests which can be made at once before the rate limit applies (default 10)
+  - SZ_RETRIES: How many times a transient failure is retried (default 2)
+  - SZ_BREAKER_THRESHOLD: Consecutive failures before the circuit opens (default 5)
+  - SZ_BREAKER_COOLDOWN: Seconds the circuit stays open for (default 30)
+  
+  Overview of Methods:
+  - post(pathname: string, body: Object, market?: string): Promise<any>
+  - fetchPage(pathname: string, market?: string): Promise<JSDOM>
+  - getStatus(): Object
+  - createAdapter({ mode?: string = "live", directory?: string }): Object
+  - setAdapter(adapter: Object | null): void
+  
+  `market` is the ID of the market (e.g. "IE") whose website and APIs the request is made to (see
+  "/utils/markets.js"). Requests without a market are made to the GB website.
+*/
+
+const { createLiveAdapter } = require("./live")
+const { createFixtureAdapter } = require("./fixture")
+const { createRecordAdapter } = require("./record")
+const { createGateway } = require("./gateway")
+
+// The adapter currently in use. This is created on first use, so the environment can be
+// configured after this module has been loaded (e.g. in tests).
+let current = null
+
+/*
+  Public method:
+  createAdapter({ mode?: string = "live", directory?: string = "./_fixtures" }): Object
+*/
+function createAdapter({ mode = "live", directory = "./_fixtures" }) {
+  switch (mode) {
+    case "live":
+      return createLiveAdapter()
+    case "fixture":
+      return createFixtureAdapter({ directory })
+    case "record":
+      return createRecordAdapter({ directory, adapter: createLiveAdapter() })
+    default:
+      throw new Error(`Unknown upstream adapter "${mode}"`)
+  }
+}
+
+/*
+  Public method:
+  setAdapter(adapter: Object | null): void
+  
+  Replace the adapter in use. The adapter is used as-is, without being wrapped by the gateway.
+  Passing null will create a new adapter from the environment the next time a request is made.
+*/
+function setAdapter(adapter) {
+  current = adapter
+}
+
+/*
+  Private method:
+  getAdapter(): Object
+*/
+function getAdapter() {
+  if (!current)
+    current = createGateway({
+      adapter: createAdapter({
+        mode: process.env.SZ_ADAPTER || "live",
+        directory: process.env.SZ_FIXTURES || "./_fixtures"
+      }),
+      rate: Number(process.env.SZ_RATE_LIMIT) || undefined,
+      burst: Number(process.env.SZ_RATE_BURST) || undefined,
+      retries: process.env.SZ_RETRIES === undefined ? undefined : Number(process.env.SZ_RETRIES),
+      failureThreshold: Number(process.env.SZ_BREAKER_THRESHOLD) || undefined,
+      cooldown: Number(process.env.SZ_BREAKER_COOLDOWN) || undefined
+    })
+  
+  return current
+}
+
+module.exports = {
+  post: (pathname, body, market) => getAdapter().post(pathname, body, market),
+  fetchPage: (pathname, market) => getAdapter().fetchPage(pathname, market),
+  getStatus: () => getAdapter().getStatus ? getAdapter().getStatus() : { adapter: getAdapter().name },
+  createAdapter,
+  setAdapter
+}
@@ -0,0 +1,84 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The "live" upstream adapter, which makes real requests to the Shoe Zone website and APIs.
+  
+  Overview of Methods:
+  - post(pathname: string, body: Object, market?: string): Promise<any>
+  - fetchPage(pathname: string, market?: string): Promise<JSDOM>
+*/
+
+const URL = require("url").URL
+const axios = require("axios")
+const { JSDOM } = require("jsdom")
+const { getMarket } = require("../utils/markets")
+
+/*
+  How long (in milliseconds) to wait for Shoe Zone's APIs and website to respond before giving up.
+*/
+const requestTimeout = 10000
+
+/*
+  Private method:
+  withStatusCode(err: Error): Error
+  
+  Axios attaches the response to HTTP errors. Copy its status code to `statusCode` on the error, so
+  the controllers can handle every adapter's errors in the same way. Network errors (including
+  timeouts) are left without one.
+*/
+function withStatusCode(err) {
+  if (err.response && err.response.status)
+    err.statusCode = err.response.status
+  
+  return err
+}
+
+/*
+  Factory:
+  createLiveAdapter(): Object
+  
+  The base URLs of each market (see "/utils/markets.js") are read from the environment when each
+  request is made, rather than when the adapter is created.
+*/
+function createLiveAdapter() {
+  return {
+    name: "live",
+    
+    /*
+      Make a POST request to one of the Shoe Zone APIs (relative to the market's SZAPI), and resolve
+      with the response's JSON. The APIs expect an "origin" header matching the website's origin.
+    */
+    post(pathname, body, market) {
+      const { api } = getMarket(market || "GB")
+      
+      return axios.post(`${api}${pathname}`, body, {
+        headers: {
+          origin: (new URL(api)).origin
+        },
+        timeout: requestTimeout
+      }).then(({ data }) => data, err => {
+        throw withStatusCode(err)
+      })
+    },
+    
+    /*
+      Download the HTML content of a page on the Shoe Zone website (relative to the market's
+      SZSITE), and parse it with JSDOM. The page is downloaded with axios rather than JSDOM's
+      `fromURL`, which can't be given a timeout. The page's URL is the one it was redirected to, if
+      it was redirected, as `fromURL` would have given it.
+    */
+    fetchPage(pathname, market) {
+      const url = `${getMarket(market || "GB").site}${pathname}`
+      
+      return axios.get(url, { responseType: "text", timeout: requestTimeout })
+        .then(({ data, request }) => new JSDOM(data, { url: (request.res && request.res.responseUrl) || url }), err => {
+          throw withStatusCode(err)
+        })
+    }
+  }
+}
+
+module.exports = {
+  createLiveAdapter
+}
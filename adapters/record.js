@@ -0,0 +1,44 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The "record" upstream adapter, which passes every request through to another adapter (usually
+  the "live" adapter), and saves each response as a fixture which the "fixture" adapter can replay.
+  
+  Overview of Methods:
+  - post(pathname: string, body: Object, market?: string): Promise<any>
+  - fetchPage(pathname: string, market?: string): Promise<JSDOM>
+*/
+
+const fixtures = require("./fixtures")
+
+/*
+  Factory:
+  createRecordAdapter({ directory: string, adapter: Object }): Object
+  
+  Only successful responses are recorded. Recording a request which already has a fixture will
+  overwrite it.
+*/
+function createRecordAdapter({ directory, adapter }) {
+  return {
+    name: "record",
+    
+    post(pathname, body, market) {
+      return adapter.post(pathname, body, market).then(response => {
+        fixtures.writeApiFixture(directory, fixtures.normaliseRequest(pathname, body, market), response)
+        return response
+      })
+    },
+    
+    fetchPage(pathname, market) {
+      return adapter.fetchPage(pathname, market).then(jsdom => {
+        fixtures.writePageFixture(directory, pathname, jsdom.serialize(), market)
+        return jsdom
+      })
+    }
+  }
+}
+
+module.exports = {
+  createRecordAdapter
+}
@@ -0,0 +1,117 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The file-backed cache backend. Entries are held in memory (see "/cache/memory.js"), and each
+  namespace is saved to its own JSON file in the cache directory, so entries survive restarts.
+  
+  Overview of Methods:
+  - The same methods as the in-memory backend
+  - flush(): Promise<void>
+  
+  Rather than rewriting the file on every change, a namespace is saved asynchronously once it
+  hasn't changed for `saveDelay` milliseconds. Files are written to a temporary file first, then
+  renamed, so a crash part way through saving can't leave a corrupted cache file behind.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const { createMemoryBackend } = require("./memory")
+const { logger } = require("../utils/logger")
+
+/*
+  Factory:
+  createFileBackend({ directory: string, saveDelay?: number = 1000 }): Object
+*/
+function createFileBackend({ directory, saveDelay = 1000 }) {
+  const timers = new Map()
+  const saving = new Map()
+  
+  const getFilename = namespace => path.join(directory, `${namespace.replace(/[^a-z0-9-]/gi, "_")}.cache.json`)
+  
+  const save = namespace => {
+    timers.delete(namespace)
+    
+    const entries = backend.namespaces.get(namespace) || new Map()
+    const filename = getFilename(namespace)
+    const temporary = `${filename}.${process.pid}.tmp`
+    
+    // Wait for any previous save of this namespace to finish first, so they can't overlap
+    const previous = saving.get(namespace) || Promise.resolve()
+    const promise = previous.then(() => fs.promises.mkdir(directory, { recursive: true }))
+      .then(() => fs.promises.writeFile(temporary, JSON.stringify(Array.from(entries.entries()))))
+      .then(() => fs.promises.rename(temporary, filename))
+      .catch(err => logger.error("Unable to save a cache namespace", { namespace, error: err }))
+    
+    saving.set(namespace, promise)
+    
+    return promise
+  }
+  
+  const scheduleSave = namespace => {
+    clearTimeout(timers.get(namespace))
+    
+    const timer = setTimeout(() => save(namespace), saveDelay)
+    
+    // Don't keep the process alive just to save the cache
+    if (timer.unref) timer.unref()
+    
+    timers.set(namespace, timer)
+  }
+  
+  const backend = createMemoryBackend({ onChange: scheduleSave })
+  const loaded = new Set()
+  
+  // Load a namespace from disk the first time it's used. Files which can't be read
+  // are ignored, and the namespace starts empty.
+  const load = namespace => {
+    if (loaded.has(namespace))
+      return
+    
+    loaded.add(namespace)
+    
+    try {
+      const entries = JSON.parse(fs.readFileSync(getFilename(namespace), "utf8"))
+      
+      backend.namespaces.set(namespace, new Map(entries))
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        logger.error("Unable to load a cache namespace", { namespace, error: err })
+    }
+  }
+  
+  // Every method of the memory backend loads its namespace first
+  const withLoad = method => (namespace, ...args) => {
+    load(namespace)
+    return backend[method](namespace, ...args)
+  }
+  
+  return {
+    name: "file",
+    get: withLoad("get"),
+    peek: withLoad("peek"),
+    set: withLoad("set"),
+    delete: withLoad("delete"),
+    clear: withLoad("clear"),
+    keys: withLoad("keys"),
+    size: withLoad("size"),
+    
+    /*
+      Save every namespace with unsaved changes immediately.
+    */
+    flush() {
+      const pending = Array.from(timers.keys())
+      
+      pending.forEach(namespace => clearTimeout(timers.get(namespace)))
+      
+      return Promise.all([
+        ...pending.map(save),
+        ...Array.from(saving.values())
+      ]).then(() => undefined)
+    }
+  }
+}
+
+module.exports = {
+  createFileBackend
+}
@@ -0,0 +1,267 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The cache used by the controllers. Entries are grouped into namespaces (e.g. "product" or
+  "stock"), each with its own time-to-live and maximum number of entries, and are stored by one
+  of several backends, picked using the `CACHE_BACKEND` environment variable:
+  - memory: kept in memory, and lost on restart
+  - file (default): kept in memory, and saved to JSON files in `CACHE_DIR`
+  - redis: stored in the Redis server at `REDIS_URL`
+  
+  Overview of Methods:
+  - namespace(name: string, options: { ttl?: number, maxEntries?: number }): Namespace
+  - getStats(): Promise<Object[]>
+  - getNamespace(name: string): Namespace | undefined
+  - createBackend({ backend: string, directory?: string, url?: string, client?: Redis, prefix?: string }): Object
+  - setBackend(backend: Object): void
+  - flush(): Promise<void>
+  
+  Namespace Methods:
+  - get(key: string, options: { stale?: boolean }): Promise<{ value, timestamp, expires, stale } | undefined>
+  - peek(key: string): Promise<{ value, timestamp, expires, stale } | undefined>
+  - set(key: string, value: any, options: { ttl?: number }): Promise<void>
+  - delete(key: string): Promise<boolean>
+  - purge(): Promise<number>
+  - keys(): Promise<string[]>
+  - stats(): Promise<Object>
+  
+  Expired entries aren't removed straight away: they're kept for `staleTTL` seconds (one week by
+  default) so they can still be served, marked as stale, if the upstream service is unavailable.
+  
+  Anything in the cache may be evicted, purged or lost at any time, so it must only hold copies of
+  Shoe Zone's responses which can be fetched again. Records which the server builds up itself (e.g.
+  the price history in "/controllers/history.js") are kept in "/cache/records.js" instead.
+*/
+
+const path = require("path")
+const { createMemoryBackend } = require("./memory")
+const { createFileBackend } = require("./file")
+const { createRedisBackend } = require("./redis")
+
+const defaultTTL = 3600
+const defaultStaleTTL = 604800
+const defaultMaxEntries = 5000
+
+const registry = new Map()
+let activeBackend
+
+/*
+  Public method:
+  createBackend({ backend: string, directory?: string, url?: string, client?: Redis, prefix?: string }): Object
+  
+  Create one of the cache backends. A Redis client is created from `url` if one isn't given, and
+  its keys start with `prefix` (see "/cache/redis.js").
+*/
+function createBackend({ backend = "file", directory, url, client, prefix }) {
+  switch (backend) {
+    case "memory":
+      return createMemoryBackend()
+    
+    case "file":
+      return createFileBackend({ directory: path.resolve(directory || "./_cache") })
+    
+    case "redis": {
+      if (!client) {
+        const Redis = require("ioredis")
+        client = new Redis(url || "redis://127.0.0.1:6379")
+      }
+      
+      return createRedisBackend({ client, prefix })
+    }
+    
+    default:
+      throw new Error(`Unknown cache backend "${backend}". Expected one of: memory, file, redis`)
+  }
+}
+
+/*
+  Private method:
+  getBackend(): Object
+  
+  The backend chosen by the environment, created the first time the cache is used.
+*/
+const getBackend = () => {
+  if (!activeBackend)
+    activeBackend = createBackend({
+      backend: process.env.CACHE_BACKEND || "file",
+      directory: process.env.CACHE_DIR,
+      url: process.env.REDIS_URL
+    })
+  
+  return activeBackend
+}
+
+/*
+  Public method:
+  setBackend(backend: Object): void
+  
+  Replace the backend used by every namespace (e.g. with an in-memory backend for tests).
+  Statistics are reset.
+*/
+function setBackend(backend) {
+  activeBackend = backend
+  registry.forEach(space => space.resetStats())
+}
+
+/*
+  Public method:
+  namespace(name: string, options: { ttl?: number = 3600, staleTTL?: number = 604800, maxEntries?: number = 5000 }): Namespace
+  
+  Get the namespace with the given name, creating it if it doesn't already exist. TTLs are in
+  seconds.
+*/
+function namespace(name, { ttl = defaultTTL, staleTTL = defaultStaleTTL, maxEntries = defaultMaxEntries } = {}) {
+  if (registry.has(name))
+    return registry.get(name)
+  
+  let counters
+  
+  const resetStats = () => {
+    counters = { hits: 0, staleHits: 0, misses: 0, sets: 0, evictions: 0 }
+  }
+  
+  resetStats()
+  
+  const space = {
+    name,
+    ttl,
+    maxEntries,
+    resetStats,
+    
+    /*
+      Get an entry. Expired entries count as a miss, unless `stale` is set, in which case they're
+      returned with `stale: true`.
+    */
+    get(key, { stale = false } = {}) {
+      return getBackend().get(name, key).then(entry => {
+        if (!entry) {
+          counters.misses++
+          return undefined
+        }
+        
+        const isStale = entry.expires <= Date.now()
+        
+        if (isStale && !stale) {
+          counters.misses++
+          return undefined
+        }
+        
+        isStale ? counters.staleHits++ : counters.hits++
+        
+        return {
+          value: entry.value,
+          timestamp: entry.timestamp,
+          expires: entry.expires,
+          stale: isStale
+        }
+      })
+    },
+    
+    /*
+      Get an entry (expired or not) without counting it as a hit or miss, or marking it as
+      recently used, for looking at the cache without affecting it (e.g. to report on it).
+    */
+    peek(key) {
+      return getBackend().peek(name, key).then(entry => entry && {
+        value: entry.value,
+        timestamp: entry.timestamp,
+        expires: entry.expires,
+        stale: entry.expires <= Date.now()
+      })
+    },
+    
+    /*
+      Store an entry, which is fresh for `ttl` seconds (the namespace's TTL by default).
+    */
+    set(key, value, options = {}) {
+      const now = Date.now()
+      const entryTTL = typeof options.ttl === "number" ? options.ttl : ttl
+      const expires = now + entryTTL * 1000
+      
+      counters.sets++
+      
+      return getBackend().set(name, key, {
+        value,
+        timestamp: now,
+        expires,
+        retainUntil: expires + staleTTL * 1000
+      }, { maxEntries }).then(evicted => {
+        counters.evictions += evicted
+      })
+    },
+    
+    delete(key) {
+      return getBackend().delete(name, key)
+    },
+    
+    purge() {
+      return getBackend().clear(name)
+    },
+    
+    keys() {
+      return getBackend().keys(name)
+    },
+    
+    stats() {
+      return getBackend().size(name).then(size => {
+        const lookups = counters.hits + counters.staleHits + counters.misses
+        
+        return {
+          namespace: name,
+          backend: getBackend().name,
+          ttl,
+          maxEntries,
+          size,
+          ...counters,
+          hitRate: lookups ? (counters.hits + counters.staleHits) / lookups : null
+        }
+      })
+    }
+  }
+  
+  registry.set(name, space)
+  
+  return space
+}
+
+/*
+  Public method:
+  getNamespace(name: string): Namespace | undefined
+  
+  Get a namespace which has already been created, without creating it.
+*/
+function getNamespace(name) {
+  return registry.get(name)
+}
+
+/*
+  Public method:
+  getStats(): Promise<Object[]>
+  
+  Statistics for every namespace.
+*/
+function getStats() {
+  return Promise.all(Array.from(registry.values()).map(space => space.stats()))
+}
+
+/*
+  Public method:
+  flush(): Promise<void>
+  
+  Save any unsaved changes (only the file backend saves lazily).
+*/
+function flush() {
+  const backend = getBackend()
+  
+  return backend.flush ? backend.flush() : Promise.resolve()
+}
+
+module.exports = {
+  namespace,
+  getNamespace,
+  getStats,
+  createBackend,
+  setBackend,
+  flush
+}
@@ -0,0 +1,145 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The in-memory cache backend. Entries are lost when the server restarts.
+  
+  Overview of Methods:
+  - get(namespace: string, key: string): Promise<Object | undefined>
+  - peek(namespace: string, key: string): Promise<Object | undefined>
+  - set(namespace: string, key: string, entry: Object, options: { maxEntries: number }): Promise<number>
+  - delete(namespace: string, key: string): Promise<boolean>
+  - clear(namespace: string): Promise<number>
+  - keys(namespace: string): Promise<string[]>
+  - size(namespace: string): Promise<number>
+  
+  Entries are Objects of `{ value: any, timestamp: number, expires: number, retainUntil: number }`
+  (see "/cache/index.js"). Backends only need to honour `retainUntil`, after which the entry is
+  gone for good; `expires` is handled by the namespace.
+*/
+
+/*
+  Factory:
+  createMemoryBackend({ onChange?: function<void>(namespace: string) }): Object
+  
+  Each namespace is a Map, which remembers the order its keys were inserted in. Reading an entry
+  re-inserts it, so the first key of the Map is always the least recently used, and is the first
+  to be evicted when the namespace is full. `onChange` is called whenever a namespace is modified
+  (this is used by the file backend to know when to save).
+*/
+function createMemoryBackend({ onChange = () => {} } = {}) {
+  const namespaces = new Map()
+  
+  const getNamespace = namespace => {
+    if (!namespaces.has(namespace))
+      namespaces.set(namespace, new Map())
+    
+    return namespaces.get(namespace)
+  }
+  
+  // Remove any entries which are past their retention date
+  const prune = namespace => {
+    const entries = getNamespace(namespace)
+    const now = Date.now()
+    let removed = 0
+    
+    entries.forEach((entry, key) => {
+      if (entry.retainUntil <= now)
+        entries.delete(key), removed++
+    })
+    
+    if (removed)
+      onChange(namespace)
+  }
+  
+  return {
+    name: "memory",
+    
+    // Exposed so the file backend can read and write namespaces directly
+    namespaces,
+    
+    get(namespace, key) {
+      const entries = getNamespace(namespace)
+      const entry = entries.get(key)
+      
+      if (!entry)
+        return Promise.resolve(undefined)
+      
+      if (entry.retainUntil <= Date.now()) {
+        entries.delete(key)
+        onChange(namespace)
+        
+        return Promise.resolve(undefined)
+      }
+      
+      // Mark the entry as the most recently used
+      entries.delete(key)
+      entries.set(key, entry)
+      
+      return Promise.resolve(entry)
+    },
+    
+    // The same as `get`, but without marking the entry as the most recently used
+    peek(namespace, key) {
+      const entry = getNamespace(namespace).get(key)
+      
+      return Promise.resolve(entry && entry.retainUntil > Date.now() ? entry : undefined)
+    },
+    
+    set(namespace, key, entry, { maxEntries = Infinity } = {}) {
+      const entries = getNamespace(namespace)
+      let evicted = 0
+      
+      entries.delete(key)
+      entries.set(key, entry)
+      
+      if (entries.size > maxEntries)
+        prune(namespace)
+      
+      // Evict the least recently used entries until the namespace fits again
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+        evicted++
+      }
+      
+      onChange(namespace)
+      
+      return Promise.resolve(evicted)
+    },
+    
+    delete(namespace, key) {
+      const deleted = getNamespace(namespace).delete(key)
+      
+      if (deleted)
+        onChange(namespace)
+      
+      return Promise.resolve(deleted)
+    },
+    
+    clear(namespace) {
+      const entries = getNamespace(namespace)
+      const size = entries.size
+      
+      entries.clear()
+      onChange(namespace)
+      
+      return Promise.resolve(size)
+    },
+    
+    keys(namespace) {
+      prune(namespace)
+      
+      return Promise.resolve(Array.from(getNamespace(namespace).keys()))
+    },
+    
+    size(namespace) {
+      prune(namespace)
+      
+      return Promise.resolve(getNamespace(namespace).size)
+    }
+  }
+}
+
+module.exports = {
+  createMemoryBackend
+}
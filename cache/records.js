@@ -0,0 +1,101 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Durable storage for the records which the server builds up itself (e.g. the price history in
+  "/controllers/history.js"). Unlike the cache (see "/cache/index.js"), these can't be fetched
+  from Shoe Zone again, so they're kept apart from it:
+  - Records never expire, and are never evicted to make room for others
+  - They aren't cache namespaces, so can't be listed or purged through "/admin/cache"
+  - They're always kept somewhere which survives a restart, even when `CACHE_BACKEND` is "memory"
+  
+  Records are stored in the Redis server at `REDIS_URL` when `CACHE_BACKEND` is "redis" (under
+  the "whs:records:" prefix), and are otherwise saved to JSON files in the "records" directory of
+  `CACHE_DIR`, using the same backends as the cache.
+  
+  Overview of Methods:
+  - recordStore(name: string): RecordStore
+  - flush(): Promise<void>
+  
+  RecordStore Methods:
+  - get(key: string): Promise<any | undefined>
+  - set(key: string, value: any): Promise<void>
+  - delete(key: string): Promise<boolean>
+  - keys(): Promise<string[]>
+*/
+
+const path = require("path")
+const { createBackend } = require("./index")
+
+// 100 years (in milliseconds), which is long enough to never expire, but still fits in a Redis PX
+const retainFor = 3153600000000
+
+let activeBackend
+
+/*
+  Private method:
+  getBackend(): Object
+  
+  The backend chosen by the environment, created the first time a record is used.
+*/
+const getBackend = () => {
+  if (!activeBackend)
+    activeBackend = process.env.CACHE_BACKEND === "redis"
+      ? createBackend({ backend: "redis", url: process.env.REDIS_URL, prefix: "whs:records:" })
+      : createBackend({ backend: "file", directory: path.join(process.env.CACHE_DIR || "./_cache", "records") })
+  
+  return activeBackend
+}
+
+/*
+  Public method:
+  recordStore(name: string): RecordStore
+  
+  Get the store of records with the given name. Values are stored as they are given, and
+  resolved as they were stored (`undefined` if there isn't one).
+*/
+function recordStore(name) {
+  return {
+    name,
+    
+    get(key) {
+      return getBackend().peek(name, key).then(entry => entry && entry.value)
+    },
+    
+    set(key, value) {
+      const now = Date.now()
+      
+      return getBackend().set(name, key, {
+        value,
+        timestamp: now,
+        expires: now + retainFor,
+        retainUntil: now + retainFor
+      }).then(() => undefined)
+    },
+    
+    delete(key) {
+      return getBackend().delete(name, key)
+    },
+    
+    keys() {
+      return getBackend().keys(name)
+    }
+  }
+}
+
+/*
+  Public method:
+  flush(): Promise<void>
+  
+  Save any records which haven't been written to disk yet.
+*/
+function flush() {
+  const backend = getBackend()
+  
+  return backend.flush ? backend.flush() : Promise.resolve()
+}
+
+module.exports = {
+  recordStore,
+  flush
+}
@@ -0,0 +1,100 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The Redis cache backend, for sharing the cache between several instances of the server. Works
+  with any client which provides the ioredis API (including stand-ins such as "ioredis-mock").
+  
+  Overview of Methods:
+  - The same methods as the in-memory backend
+  
+  Each entry is stored as a JSON string under "<prefix><namespace>:<key>", and expires (in Redis)
+  when the entry's `retainUntil` date is reached. As Redis can only evict keys across a whole
+  database, each namespace also has a sorted set ("<prefix><namespace>:~lru") of its keys, scored
+  by when they were last used, which is used to evict the least recently used entries.
+*/
+
+/*
+  Factory:
+  createRedisBackend({ client: Redis, prefix?: string = "whs:" }): Object
+*/
+function createRedisBackend({ client, prefix = "whs:" }) {
+  const entryKey = (namespace, key) => `${prefix}${namespace}:${key}`
+  const indexKey = namespace => `${prefix}${namespace}:~lru`
+  
+  // Remove keys from the index which have since expired in Redis
+  const prune = namespace => client.zrange(indexKey(namespace), 0, -1).then(keys => {
+    if (!keys.length)
+      return []
+    
+    return client.mget(...keys.map(key => entryKey(namespace, key))).then(values => {
+      const expired = keys.filter((key, index) => values[index] === null)
+      
+      return (expired.length ? client.zrem(indexKey(namespace), ...expired) : Promise.resolve())
+        .then(() => keys.filter((key, index) => values[index] !== null))
+    })
+  })
+  
+  return {
+    name: "redis",
+    
+    get(namespace, key) {
+      return client.get(entryKey(namespace, key)).then(value => {
+        if (value === null)
+          return undefined
+        
+        return client.zadd(indexKey(namespace), Date.now(), key).then(() => JSON.parse(value))
+      })
+    },
+    
+    // The same as `get`, but without updating the key's score in the index
+    peek(namespace, key) {
+      return client.get(entryKey(namespace, key)).then(value => value === null ? undefined : JSON.parse(value))
+    },
+    
+    set(namespace, key, entry, { maxEntries = Infinity } = {}) {
+      const retainFor = Math.max(1, entry.retainUntil - Date.now())
+      
+      return client.set(entryKey(namespace, key), JSON.stringify(entry), "PX", retainFor)
+        .then(() => client.zadd(indexKey(namespace), Date.now(), key))
+        .then(() => client.zcard(indexKey(namespace)))
+        .then(size => {
+          if (size <= maxEntries)
+            return 0
+          
+          // Evict the least recently used keys (those with the lowest scores)
+          return client.zrange(indexKey(namespace), 0, size - maxEntries - 1).then(keys =>
+            client.del(...keys.map(key => entryKey(namespace, key)))
+              .then(() => client.zrem(indexKey(namespace), ...keys))
+              .then(() => keys.length)
+          )
+        })
+    },
+    
+    delete(namespace, key) {
+      return client.del(entryKey(namespace, key)).then(deleted =>
+        client.zrem(indexKey(namespace), key).then(() => deleted > 0)
+      )
+    },
+    
+    clear(namespace) {
+      return client.zrange(indexKey(namespace), 0, -1).then(keys => {
+        const deletions = keys.length ? client.del(...keys.map(key => entryKey(namespace, key))) : Promise.resolve(0)
+        
+        return deletions.then(() => client.del(indexKey(namespace))).then(() => keys.length)
+      })
+    },
+    
+    keys(namespace) {
+      return prune(namespace)
+    },
+    
+    size(namespace) {
+      return prune(namespace).then(keys => keys.length)
+    }
+  }
+}
+
+module.exports = {
+  createRedisBackend
+}
@@ -0,0 +1,102 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for inspecting and managing the server's cache (see "/cache").
+  
+  Available methods:
+  - getCacheStats(): Promise<Object[]>
+  - listCacheKeys({ namespace: string }): Promise<Object>
+  - purgeCacheNamespace({ namespace: string }): Promise<Object>
+  - purgeCacheKey({ namespace: string, key: string }): Promise<Object>
+*/
+
+const { HttpError } = require("../utils/HttpError")
+const cacheStore = require("../cache")
+
+// The cache namespaces are created by the Shoe Zone controller, so make sure it has been loaded
+require("./sz")
+
+/*
+  Private method:
+  findNamespace(namespace: string): Promise<Namespace>
+  
+  Get a cache namespace by name, rejecting with a 404 `HttpError` if it doesn't exist.
+*/
+function findNamespace(namespace) {
+  const space = cacheStore.getNamespace(namespace)
+  
+  if (!space)
+    return Promise.reject(new HttpError(`Cache namespace "${namespace}" does not exist`, 404, "CACHE_NAMESPACE_NOT_FOUND"))
+  
+  return Promise.resolve(space)
+}
+
+/*
+  Public method:
+  getCacheStats(): Promise<Object[]>
+  
+  Resolves with the statistics of each cache namespace:
+  
+  {
+    namespace: string,
+    backend: string, // "memory", "file" or "redis"
+    ttl: number, // In seconds
+    maxEntries: number,
+    size: number, // The number of entries currently stored (including expired entries kept for serving stale)
+    hits: number,
+    staleHits: number,
+    misses: number,
+    sets: number,
+    evictions: number,
+    hitRate: number | null
+  }
+  
+  Counters start from zero whenever the server is started.
+*/
+function getCacheStats() {
+  return cacheStore.getStats()
+}
+
+/*
+  Public method:
+  listCacheKeys({ namespace: string }): Promise<Object>
+  
+  Resolves with `{ namespace: string, keys: string[] }`, listing every key stored in a namespace.
+*/
+function listCacheKeys({ namespace }) {
+  return findNamespace(namespace).then(space => space.keys()).then(keys => ({ namespace, keys }))
+}
+
+/*
+  Public method:
+  purgeCacheNamespace({ namespace: string }): Promise<Object>
+  
+  Remove every entry from a namespace. Resolves with `{ namespace: string, purged: number }`.
+*/
+function purgeCacheNamespace({ namespace }) {
+  return findNamespace(namespace).then(space => space.purge()).then(purged => ({ namespace, purged }))
+}
+
+/*
+  Public method:
+  purgeCacheKey({ namespace: string, key: string }): Promise<Object>
+  
+  Remove a single entry from a namespace. Rejects with a 404 `HttpError` if there is no entry
+  with the given key. Resolves with `{ namespace: string, key: string, purged: 1 }`.
+*/
+function purgeCacheKey({ namespace, key }) {
+  return findNamespace(namespace).then(space => space.delete(key)).then(deleted => {
+    if (!deleted)
+      throw new HttpError(`Cache key "${key}" does not exist in "${namespace}"`, 404, "CACHE_KEY_NOT_FOUND")
+    
+    return { namespace, key, purged: 1 }
+  })
+}
+
+module.exports = {
+  getCacheStats,
+  listCacheKeys,
+  purgeCacheNamespace,
+  purgeCacheKey
+}
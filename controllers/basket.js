@@ -0,0 +1,97 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for quoting the price of a basket of products, once Shoe Zone's offers have been
+  applied. See "/controllers/offers.js" for how offers are understood and applied.
+  
+  Available methods:
+  - quoteBasket({ items: { styleCode: string, quantity?: number = 1 }[], market?: string, currency?: string }): Promise<Object>
+*/
+
+const { HttpError } = require("../utils/HttpError")
+const { getRate } = require("../utils/markets")
+const { normaliseStyleCode } = require("../utils/validate")
+const { priceBasket } = require("./offers")
+const sz = require("./sz")
+
+/*
+  Public method:
+  quoteBasket({ items: { styleCode: string, quantity?: number = 1 }[], market?: string, currency?: string }): Promise<Object>
+  
+  Look up each product in the basket (using `getProducts`), and work out what the basket will cost.
+  Style codes may include a size code, and the same product may appear more than once (e.g. in two
+  different sizes). Resolves with the following Object (see `priceBasket` for details):
+  
+  {
+    market: string,
+    currency: string,
+    lines: Object[],
+    promotions: Object[],
+    subtotal: number,
+    discount: number,
+    total: number,
+    converted?: { currency: string, rate: number, subtotal: number, discount: number, total: number },
+    unknownOffers: string[]
+  }
+  
+  Prices are in the market's currency. If `currency` is specified, the totals are also converted
+  into that currency (see "/utils/markets.js"), as `converted`.
+  
+  `items` are expected to have been validated by the route (see "POST /basket/quote" in
+  "/routes/api/index.js"). Rejects with the status the product would have been served with if any
+  of the products can't be found.
+*/
+function quoteBasket({ items, market, currency }) {
+  const basket = items.map(({ styleCode, quantity = 1 }) => ({ styleCode, quantity }))
+  
+  return sz.getProducts({ styleCodes: basket.map(({ styleCode }) => styleCode), market }).then(results => {
+    const products = new Map(results.map(result => [ result.styleCode, result ]))
+    
+    const pricedItems = basket.map(({ styleCode, quantity }) => {
+      const { ok, status, result } = products.get(normaliseStyleCode(styleCode))
+      
+      if (!ok)
+        throw new HttpError(`Product "${styleCode}" could not be quoted: ${result}`, status, "BASKET_ITEM_UNAVAILABLE")
+      
+      if (typeof result.price.current !== "number")
+        throw new HttpError(`Product "${styleCode}" could not be quoted, as its price is unknown`, 502, "BASKET_ITEM_UNAVAILABLE")
+      
+      return {
+        styleCode,
+        name: result.name,
+        quantity,
+        price: result.price.current,
+        offers: result.offers.map(({ name, rule }) => ({ name, rule }))
+      }
+    })
+    
+    const { result: product } = results.find(({ ok }) => ok)
+    const quote = {
+      market: product.market,
+      currency: product.currency,
+      ...priceBasket({ items: pricedItems })
+    }
+    
+    if (currency) {
+      const rate = getRate({ from: quote.currency, to: currency })
+      const subtotal = Math.round(quote.subtotal * rate * 100)
+      const discount = Math.round(quote.discount * rate * 100)
+      
+      // Converted in pence (or cents), so that the total still adds up after rounding
+      quote.converted = {
+        currency: currency.toUpperCase(),
+        rate,
+        subtotal: subtotal / 100,
+        discount: discount / 100,
+        total: (subtotal - discount) / 100
+      }
+    }
+    
+    return quote
+  })
+}
+
+module.exports = {
+  quoteBasket
+}
@@ -0,0 +1,371 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for recording snapshots of products, and the feed of changes between them.
+  
+  Available methods:
+  - recordSnapshot({ product: Object, sizes: Object[], market: string }): Promise<Object | undefined>
+  - diffSnapshots({ previous: Object, current: Object }): Object[]
+  - getSnapshots({ styleCode: number, market?: string = "GB" }): Promise<Object>
+  - getChanges({ since?: string, after?: number, type?: string, limit?: number = 100 }): Promise<Object[]>
+  - subscribe({ listener: function<void>(change: Object), since?: string, after?: number, type?: string }): function<void>()
+  
+  Snapshots are recorded by the Shoe Zone controller (see "/controllers/sz.js") every time a product
+  page is scraped. A snapshot is only stored as a new version when something has changed since the
+  previous version, in which case the differences are also added to the change feed; seeing the
+  same product again simply updates the `lastSeen` date of its latest version.
+*/
+
+const { EventEmitter } = require("events")
+const { HttpError } = require("../utils/HttpError")
+const { createQueue } = require("../utils/promise")
+const { logger } = require("../utils/logger")
+const { normaliseStyleCode } = require("../utils/validate")
+const { recordStore } = require("../cache/records")
+
+/*
+  Snapshots and the change feed are kept in the "product-snapshots" and "product-changes" record
+  stores (see "/cache/records.js"), so they're never expired, evicted or purged along with the
+  cache. Each key of the snapshot store contains the versions of a single product in a single
+  market. Each entry of the feed is stored under its own key ("change:<id>"), and the ID of the
+  latest entry under "sequence", so adding an entry doesn't rewrite the rest of the feed, and IDs
+  are never reused. Snapshots are recorded one at a time, so that every entry of the feed gets its
+  own ID.
+*/
+const snapshots = recordStore("product-snapshots")
+const feed = recordStore("product-changes")
+const queue = createQueue()
+
+/*
+  Only the most recent versions of each product, and the most recent changes across every product,
+  are kept.
+*/
+const versionLimit = 20
+const feedLimit = 1000
+
+/*
+  Every type of change which `diffSnapshots` can find.
+*/
+const changeTypes = [
+  "name-changed",
+  "description-changed",
+  "price-changed",
+  "categories-changed",
+  "offer-started",
+  "offer-ended",
+  "size-added",
+  "size-removed",
+  "sold-out",
+  "restocked",
+  "stock-changed"
+]
+
+// Notifies subscribers (see `subscribe`) of every change added to the feed
+const events = new EventEmitter()
+
+events.setMaxListeners(0)
+
+/*
+  Private method:
+  getKey(styleCode: number | string, market: string): string
+  
+  The key which the snapshots of a product are indexed under in the store. As with
+  `getProductInfo`, a size code appended to the style code is removed first.
+*/
+function getKey(styleCode, market) {
+  return `snapshot@sz:${market.toLowerCase()}:${Number(normaliseStyleCode(styleCode))}`
+}
+
+/*
+  Private method:
+  createSnapshot({ product: Object, sizes: Object[] }): Object
+  
+  The parts of a product which are compared between snapshots. Offers are compared by name, and
+  sizes by their size code.
+*/
+function createSnapshot({ product, sizes }) {
+  return {
+    name: product.name,
+    description: product.description,
+    price: { current: product.price.current, was: product.price.was },
+    currency: product.currency,
+    categories: product.categories || [],
+    offers: (product.offers || []).map(({ name }) => name),
+    sizes: sizes.map(({ size, code, warehouse }) => ({ size, code, warehouse }))
+  }
+}
+
+/*
+  Public method:
+  diffSnapshots({ previous: Object, current: Object }): Object[]
+  
+  Compare two snapshots of the same product, returning an Array describing each difference:
+  
+  {
+    type: string, // One of `changeTypes`, e.g. "offer-started" or "sold-out"
+    path: string, // The part of the snapshot which changed, e.g. "price.current" or "sizes.040"
+    from: any, // The previous value (null for anything which has been added)
+    to: any // The current value (null for anything which has been removed)
+  }
+  
+  A size which has gone from some to no stock in the warehouse is "sold-out", and from none to some
+  is "restocked"; any other change in quantity is "stock-changed".
+*/
+function diffSnapshots({ previous, current }) {
+  const changes = []
+  const change = (type, path, from, to) => changes.push({ type, path, from, to })
+  
+  if (previous.name !== current.name)
+    change("name-changed", "name", previous.name, current.name)
+  
+  if (previous.description !== current.description)
+    change("description-changed", "description", previous.description, current.description)
+  
+  Object.keys(current.price).forEach(field => {
+    if (previous.price[field] !== current.price[field])
+      change("price-changed", `price.${field}`, previous.price[field], current.price[field])
+  })
+  
+  if (previous.categories.join("/") !== current.categories.join("/"))
+    change("categories-changed", "categories", previous.categories, current.categories)
+  
+  current.offers.filter(offer => !previous.offers.includes(offer)).forEach(offer => change("offer-started", "offers", null, offer))
+  previous.offers.filter(offer => !current.offers.includes(offer)).forEach(offer => change("offer-ended", "offers", offer, null))
+  
+  current.sizes.forEach(({ code, warehouse }) => {
+    const before = previous.sizes.find(size => size.code === code)
+    
+    if (!before)
+      change("size-added", `sizes.${code}`, null, warehouse)
+    else if (before.warehouse > 0 && warehouse === 0)
+      change("sold-out", `sizes.${code}`, before.warehouse, warehouse)
+    else if (before.warehouse === 0 && warehouse > 0)
+      change("restocked", `sizes.${code}`, before.warehouse, warehouse)
+    else if (before.warehouse !== warehouse)
+      change("stock-changed", `sizes.${code}`, before.warehouse, warehouse)
+  })
+  
+  previous.sizes.filter(({ code }) => !current.sizes.some(size => size.code === code))
+    .forEach(({ code, warehouse }) => change("size-removed", `sizes.${code}`, warehouse, null))
+  
+  return changes
+}
+
+/*
+  Public method:
+  recordSnapshot({ product: Object, sizes: Object[], market: string }): Promise<Object | undefined>
+  
+  Record a snapshot of a product, where `product` is its metadata and `sizes` its warehouse stock
+  (see `getProductInfo` in "/controllers/sz.js"). Resolves with the entry added to the change feed,
+  if anything has changed since the previous snapshot (see `getChanges`). The first snapshot of a
+  product isn't a change. Never rejects; a snapshot which can't be recorded is logged instead.
+*/
+function recordSnapshot({ product, sizes, market }) {
+  const key = getKey(product.id, market)
+  const snapshot = createSnapshot({ product, sizes })
+  
+  return queue(() => snapshots.get(key).then(record => {
+    const now = (new Date()).toISOString()
+    
+    record = record || { id: product.id, market, versions: [] }
+    
+    const latest = record.versions[record.versions.length - 1]
+    const changes = latest ? diffSnapshots({ previous: latest.snapshot, current: snapshot }) : []
+    
+    record.name = product.name
+    
+    if (latest && !changes.length) {
+      latest.lastSeen = now
+    } else {
+      record.versions.push({
+        version: latest ? latest.version + 1 : 1,
+        firstSeen: now,
+        lastSeen: now,
+        snapshot
+      })
+      
+      record.versions = record.versions.slice(-versionLimit)
+    }
+    
+    return snapshots.set(key, record).then(() => {
+      if (!changes.length)
+        return
+      
+      return getSequence().then(sequence => {
+        const entry = {
+          id: sequence + 1,
+          styleCode: product.id,
+          name: product.name,
+          market,
+          version: record.versions[record.versions.length - 1].version,
+          date: now,
+          changes
+        }
+        
+        // Only the latest `feedLimit` entries are kept, so the entry which falls out of the feed
+        // is removed
+        return feed.set(`change:${entry.id}`, entry)
+          .then(() => feed.set("sequence", entry.id))
+          .then(() => entry.id > feedLimit && feed.delete(`change:${entry.id - feedLimit}`))
+          .then(() => {
+            events.emit("change", entry)
+            
+            return entry
+          })
+      })
+    })
+  })).catch(err => logger.warn("Unable to record a snapshot", { styleCode: product.id, market, error: err }))
+}
+
+/*
+  Private method:
+  getSequence(): Promise<number>
+  
+  The ID of the latest entry of the change feed, or 0 if the feed is empty.
+*/
+function getSequence() {
+  return feed.get("sequence").then(sequence => sequence || 0)
+}
+
+/*
+  Private method:
+  readChanges({ from: number, to: number, match: function, limit: number }): Promise<Object[]>
+  
+  Read the entries of the change feed with IDs from `from` to `to` (inclusive) which `match` (see
+  `matchChange`), oldest first. Entries are read `limit` at a time, and reading stops as soon as
+  `limit` entries have matched.
+*/
+function readChanges({ from, to, match, limit }) {
+  if (from > to || limit <= 0)
+    return Promise.resolve([])
+  
+  const ids = Array.from({ length: Math.min(to - from + 1, limit) }, (_, index) => from + index)
+  
+  return Promise.all(ids.map(id => feed.get(`change:${id}`))).then(entries => {
+    const matched = entries.filter(entry => entry).map(match).filter(entry => entry)
+    
+    return readChanges({ from: from + ids.length, to, match, limit: limit - matched.length })
+      .then(rest => matched.concat(rest))
+  })
+}
+
+/*
+  Public method:
+  getSnapshots({ styleCode: number, market?: string = "GB" }): Promise<Object>
+  
+  Get the recorded versions of a product, oldest first. Resolves with the following Object:
+  
+  {
+    id: number,
+    name: string,
+    market: string,
+    versions: {
+      version: number,
+      firstSeen: string,
+      lastSeen: string,
+      snapshot: {
+        name: string,
+        description: string,
+        price: { current: number | null, was: number | null },
+        currency: string,
+        categories: string[],
+        offers: string[],
+        sizes: { size: string, code: string, warehouse: number }[]
+      }
+    }[]
+  }
+*/
+function getSnapshots({ styleCode, market = "GB" }) {
+  return snapshots.get(getKey(styleCode, market)).then(record => {
+    if (!record || !record.versions.length)
+      throw new HttpError(`No snapshots have been recorded for "${styleCode}"`, 404, "SNAPSHOTS_NOT_FOUND")
+    
+    return record
+  })
+}
+
+/*
+  Private method:
+  matchChange({ since?: string, after?: number, type?: string }): function<Object | undefined>(entry: Object)
+  
+  Create a function which filters an entry of the change feed, returning undefined if it doesn't
+  match. When `type` is specified, only those changes are kept within the entry.
+*/
+function matchChange({ since, after, type }) {
+  const sinceTime = since ? Date.parse(since) : 0
+  
+  return entry => {
+    if (Date.parse(entry.date) < sinceTime || (after !== undefined && entry.id <= after))
+      return
+    
+    if (!type)
+      return entry
+    
+    const changes = entry.changes.filter(change => change.type === type)
+    
+    return changes.length ? { ...entry, changes } : undefined
+  }
+}
+
+/*
+  Public method:
+  getChanges({ since?: string, after?: number, type?: string, limit?: number = 100 }): Promise<Object[]>
+  
+  List the changes to products made at or after the date `since`, or after the feed entry with
+  the ID `after`, oldest first and no more than `limit` at a time. Resolves with an Array of the
+  following Objects:
+  
+  {
+    id: number, // Increases with each entry, so can be passed as `after` to get the next page
+    styleCode: number,
+    name: string,
+    market: string,
+    version: number, // The version of the product's snapshot (see `getSnapshots`)
+    date: string,
+    changes: { type: string, path: string, from: any, to: any }[] // See `diffSnapshots`
+  }
+  
+  When `type` is specified (one of `changeTypes`), only changes of that type are included.
+*/
+function getChanges({ since, after, type, limit = 100 }) {
+  const match = matchChange({ since, after, type })
+  
+  // Entries older than the latest `feedLimit` have been removed, so aren't read
+  return getSequence().then(sequence => readChanges({
+    from: Math.max(sequence - feedLimit, after === undefined ? 0 : Number(after)) + 1,
+    to: sequence,
+    match,
+    limit
+  }))
+}
+
+/*
+  Public method:
+  subscribe({ listener: function<void>(change: Object), since?: string, after?: number, type?: string }): function<void>()
+  
+  Call `listener` with every entry added to the change feed from now on (filtered in the same way
+  as `getChanges`). Returns a function which unsubscribes the listener.
+*/
+function subscribe({ listener, since, after, type }) {
+  const match = matchChange({ since, after, type })
+  const onChange = entry => {
+    const matched = match(entry)
+    
+    if (matched)
+      listener(matched)
+  }
+  
+  events.on("change", onChange)
+  
+  return () => events.removeListener("change", onChange)
+}
+
+module.exports = {
+  changeTypes,
+  recordSnapshot,
+  diffSnapshots,
+  getSnapshots,
+  getChanges,
+  subscribe
+}
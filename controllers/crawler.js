@@ -0,0 +1,355 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for the catalogue crawler, which keeps the cache warm by fetching products before
+  they're requested, so that the first request for a product doesn't have to wait for its page to
+  be downloaded and parsed.
+  
+  Available methods:
+  - crawl({ styleCodes?: string[], categories?: string[], pages?: number, budget?: number, delay?: number, interval?: number, refreshAt?: number }): Promise<Object>
+  - getStatus(): Promise<Object>
+  - startCrawler({ interval?: number = 120 }): void
+  
+  Products are crawled from a list of style codes (CRAWL_STYLE_CODES) and the products listed on
+  category pages (CRAWL_CATEGORIES, e.g. "Womens/Sandals"), both comma-separated in ".env". Each
+  round of crawling makes no more than CRAWL_BUDGET requests to Shoe Zone (50 by default), one at a
+  time with CRAWL_DELAY milliseconds (1000 by default) between them. Products are refreshed once
+  they're past CRAWL_REFRESH (0.5 by default) of their time-to-live, so they're fetched again before
+  they expire; products which don't need refreshing yet don't count towards the budget. The status
+  of every crawled product is kept in the "crawler" record store (see "/cache/records.js"), so
+  survives restarts of the server.
+  
+  The warehouse stock of a product is only cached for 5 minutes, so to keep products warm, rounds
+  must be frequent enough that each product is seen again between CRAWL_REFRESH of its
+  time-to-live and it expiring (every 2 minutes by default, or CRAWL_INTERVAL seconds).
+*/
+
+const { wait } = require("../utils/promise")
+const { logger } = require("../utils/logger")
+const { recordStore } = require("../cache/records")
+const sz = require("./sz")
+
+/*
+  The crawl status of each product is stored under its style code as the key.
+*/
+const store = recordStore("crawler")
+
+/*
+  Products which fail to be crawled (e.g. because they've been discontinued) are retried less
+  often. After each consecutive failure, the wait before retrying doubles, starting at a single
+  interval, up to `maxBackoff` seconds.
+*/
+const maxBackoff = 86400
+
+// The round of crawling currently in progress (if there is one), and the summary of the last
+let currentRun = null
+let lastRun = null
+
+// A reference to the crawler's timer, so it is only ever started once, and when it next runs
+let scheduler = null
+let nextRun = null
+
+/*
+  Private method:
+  getConfig(): Object
+  
+  Read the crawler's configuration from the environment.
+*/
+function getConfig() {
+  const list = value => (value || "").split(",").map(item => item.trim()).filter(item => item.length)
+  
+  return {
+    styleCodes: list(process.env.CRAWL_STYLE_CODES),
+    categories: list(process.env.CRAWL_CATEGORIES),
+    pages: Number(process.env.CRAWL_PAGES) || 2,
+    budget: Number(process.env.CRAWL_BUDGET) || 50,
+    delay: process.env.CRAWL_DELAY !== undefined ? Math.max(0, Number(process.env.CRAWL_DELAY) || 0) : 1000,
+    interval: Number(process.env.CRAWL_INTERVAL) || 120,
+    refreshAt: Math.min(1, Math.max(0, Number(process.env.CRAWL_REFRESH) || 0.5))
+  }
+}
+
+// The crawl status of a product which hasn't been crawled yet
+const createRecord = ({ styleCode, source }) =>
+  ({ styleCode, name: null, source, lastCrawled: null, lastSuccess: null, lastError: null, failures: 0 })
+
+/*
+  Private method:
+  saveRecord(record: Object, saved?: Object): Promise<Object>
+  
+  Write the crawl status of a product to the store, and resolve with it. Nothing is written if the
+  record is the same as `saved` (the record which was read from the store), as most products are
+  still warm on most rounds.
+*/
+function saveRecord(record, saved) {
+  if (saved && Object.keys(record).every(key => record[key] === saved[key]))
+    return Promise.resolve(record)
+  
+  return store.set(record.styleCode, record).then(() => record)
+}
+
+/*
+  Private method:
+  isBackingOff(record: Object, interval: number, now?: number = Date.now()): boolean
+  
+  Whether a product which failed to be crawled should be left until a later round (see
+  `maxBackoff`).
+*/
+function isBackingOff(record, interval, now = Date.now()) {
+  if (!record.failures || !record.lastCrawled)
+    return false
+  
+  const backoff = Math.min(maxBackoff, interval * Math.pow(2, record.failures - 1))
+  
+  return now < Date.parse(record.lastCrawled) + backoff * 1000
+}
+
+/*
+  Private method:
+  needsRefresh(cached: { timestamp: number, expires: number } | null, refreshAt: number, now?: number = Date.now()): boolean
+  
+  Whether a product should be fetched again, because it isn't cached, or is past `refreshAt` (a
+  fraction between 0 and 1) of the time between being fetched and expiring (see `getProductExpiry`
+  in "/controllers/sz.js").
+*/
+function needsRefresh(cached, refreshAt, now = Date.now()) {
+  if (!cached)
+    return true
+  
+  return now >= cached.timestamp + (cached.expires - cached.timestamp) * refreshAt
+}
+
+/*
+  Private method:
+  discoverProducts({ categories: string[], pages: number, delay: number, spend: function<boolean>() }): Promise<Object[]>
+  
+  List the style codes of the products on the first `pages` pages of each category, as
+  `{ styleCode: string, source: string }`. Each page counts towards the round's budget, which
+  `spend` returns false for once it has been used up. Categories which can't be listed are skipped.
+*/
+function discoverProducts({ categories, pages, delay, spend }) {
+  const listPage = (path, page) => {
+    if (!spend())
+      return Promise.resolve([])
+    
+    return sz.listCategory({ path, page }).then(listing => {
+      const products = listing.products.map(({ id }) => ({ styleCode: String(id), source: `category:${path}` }))
+      
+      if (!listing.hasNextPage || page >= pages)
+        return products
+      
+      return wait(delay).then(() => listPage(path, page + 1)).then(next => products.concat(next))
+    }).catch(err => {
+      logger.warn("Unable to crawl category", { path, page, error: err })
+      return []
+    })
+  }
+  
+  return categories.reduce(
+    (discovered, path) => discovered.then(products => listPage(path, 1).then(found => products.concat(found))),
+    Promise.resolve([])
+  )
+}
+
+/*
+  Public method:
+  crawl({ styleCodes?: string[], categories?: string[], pages?: number, budget?: number, delay?: number, interval?: number, refreshAt?: number }): Promise<Object>
+  
+  Run a single round of crawling, fetching every product which isn't cached or is due to be
+  refreshed (see `needsRefresh`) through `getProductInfo`, one at a time. Options which aren't
+  specified are read from the environment (see the top of this file). Products which have been
+  crawled least recently are crawled first, so that when the budget runs out, the next round
+  carries on with the rest. Resolves with a summary of the round:
+  
+  {
+    started: string,
+    finished: string,
+    requests: number, // Requests made to Shoe Zone, including category pages
+    products: number, // Products discovered
+    refreshed: number, // Products fetched successfully
+    warm: number, // Products which were cached, and didn't need refreshing yet
+    failed: number,
+    skipped: number // Products left for a later round, because of the budget or a recent failure
+  }
+  
+  Only one round runs at a time; calling this while a round is in progress resolves with that
+  round's summary instead.
+*/
+function crawl(options = {}) {
+  if (currentRun)
+    return currentRun
+  
+  const { styleCodes, categories, pages, budget, delay, interval, refreshAt } = { ...getConfig(), ...options }
+  const run = { started: (new Date()).toISOString(), finished: null, requests: 0, products: 0, refreshed: 0, warm: 0, failed: 0, skipped: 0 }
+  
+  const spend = () => {
+    if (run.requests >= budget)
+      return false
+    
+    run.requests++
+    return true
+  }
+  
+  // `saved` is the product's record from the store, if it has been crawled before
+  const crawlProduct = ({ styleCode, source, saved }) => {
+    const record = { ...createRecord({ styleCode, source }), ...saved, source }
+    
+    return sz.getProductExpiry({ styleCode }).then(cached => {
+      if (!needsRefresh(cached, refreshAt)) {
+        run.warm++
+        return saveRecord(record, saved)
+      }
+      
+      if (isBackingOff(record, interval) || !spend()) {
+        run.skipped++
+        return saveRecord(record, saved)
+      }
+      
+      return sz.getProductInfo({ styleCode, refresh: true }).then(product => {
+        run.refreshed++
+        record.name = product.name
+        record.lastSuccess = (new Date()).toISOString()
+        record.lastError = null
+        record.failures = 0
+      }, err => {
+        run.failed++
+        record.lastError = err.message
+        record.failures++
+      }).then(() => {
+        record.lastCrawled = (new Date()).toISOString()
+        
+        return saveRecord(record).then(() => wait(delay))
+      })
+    })
+  }
+  
+  currentRun = discoverProducts({ categories, pages, delay, spend }).then(discovered => {
+    // The configured style codes take priority over those discovered from categories
+    const products = styleCodes.map(styleCode => ({ styleCode, source: "list" })).concat(discovered)
+      .filter(({ styleCode }, index, all) => all.findIndex(product => product.styleCode === styleCode) === index)
+    
+    const lastCrawled = ({ saved }) => saved && saved.lastCrawled ? Date.parse(saved.lastCrawled) : 0
+    
+    run.products = products.length
+    
+    return Promise.all(products.map(product => store.get(product.styleCode).then(saved => ({ ...product, saved }))))
+      .then(loaded => loaded.sort((a, b) => lastCrawled(a) - lastCrawled(b))
+        .reduce((previous, product) => previous.then(() => crawlProduct(product)), Promise.resolve()))
+  }).then(() => {
+    run.finished = (new Date()).toISOString()
+    lastRun = run
+    
+    logger.info("Crawl finished", run)
+    
+    return run
+  }).finally(() => {
+    currentRun = null
+  })
+  
+  return currentRun
+}
+
+/*
+  Public method:
+  getStatus(): Promise<Object>
+  
+  Describe the crawler, and the status of every product it has crawled (or has been configured to
+  crawl). Resolves with the following Object:
+  
+  {
+    enabled: boolean, // Whether any style codes or categories have been configured
+    running: boolean,
+    lastRun: Object | null, // See `crawl`
+    nextRun: string | null,
+    config: { styleCodes: string[], categories: string[], pages: number, budget: number, delay: number, interval: number, refreshAt: number },
+    summary: { warm: number, stale: number, failing: number, pending: number },
+    products: {
+      styleCode: string,
+      name: string | null,
+      source: string, // "list", or the category the product was found in, e.g. "category:Womens/Sandals"
+      status: "warm" | "stale" | "failing" | "pending",
+      lastCrawled: string | null,
+      lastSuccess: string | null,
+      lastError: string | null,
+      failures: number // Consecutive failures
+    }[]
+  }
+  
+  A product is "warm" when it's cached (so would be served immediately), "failing" when the last
+  attempt to crawl it failed, "stale" when it has been crawled but has since expired from the
+  cache, and "pending" when it hasn't been crawled yet. The cache is only peeked at (see
+  `getProductExpiry`), so checking the status doesn't affect the cache's statistics or evictions.
+*/
+function getStatus() {
+  const config = getConfig()
+  const isWarm = cached => Boolean(cached && cached.expires > Date.now())
+  
+  // Style codes which have been configured, but haven't been crawled yet, are listed as pending
+  const loaded = store.keys()
+    .then(keys => Promise.all(keys.map(key => store.get(key))))
+    .then(saved => saved.filter(record => record))
+    .then(saved => saved.concat(config.styleCodes
+      .filter(styleCode => !saved.some(record => record.styleCode === styleCode))
+      .map(styleCode => createRecord({ styleCode, source: "list" }))
+    ))
+  
+  return loaded.then(records => Promise.all(
+    records.map(({ styleCode }) => sz.getProductExpiry({ styleCode }).then(isWarm, () => false))
+  ).then(cached => {
+    const products = records.map((record, index) => ({
+      ...record,
+      status: cached[index] ? "warm" : (record.failures ? "failing" : (record.lastSuccess ? "stale" : "pending"))
+    }))
+    
+    return {
+      enabled: Boolean(config.styleCodes.length || config.categories.length),
+      running: Boolean(currentRun),
+      lastRun,
+      nextRun,
+      config,
+      summary: [ "warm", "stale", "failing", "pending" ].reduce((summary, status) => ({
+        ...summary,
+        [status]: products.filter(product => product.status === status).length
+      }), {}),
+      products
+    }
+  }))
+}
+
+/*
+  Public method:
+  startCrawler({ interval?: number = 120 }): void
+  
+  Start crawling every `interval` seconds, beginning straight away to warm up the cache. Does nothing
+  if no style codes or categories have been configured. A new round won't start until the previous
+  round has finished. Calling this more than once has no effect.
+*/
+function startCrawler({ interval = 120 }) {
+  const config = getConfig()
+  
+  if (scheduler || (!config.styleCodes.length && !config.categories.length))
+    return
+  
+  const milliseconds = Math.max(1, Number(interval) || 120) * 1000
+  
+  const run = () => {
+    nextRun = (new Date(Date.now() + milliseconds)).toISOString()
+    
+    if (currentRun) return
+    
+    crawl({ interval: milliseconds / 1000 }).catch(err => logger.error("Unable to crawl products", { error: err }))
+  }
+  
+  scheduler = setInterval(run, milliseconds)
+  
+  // Don't keep the process alive just to crawl products
+  scheduler.unref()
+  setTimeout(run, 0).unref()
+}
+
+module.exports = {
+  crawl,
+  getStatus,
+  startCrawler
+}
@@ -0,0 +1,184 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for recording and querying the price history of products.
+  
+  Available methods:
+  - recordPrice({ styleCode: number, name?: string, current: number, was?: number, currency: string }): Promise<void>
+  - getPriceHistory({ styleCode: number }): Promise<Object>
+  - getPriceDrops({ days?: number = 7 }): Promise<Object[]>
+  
+  Prices are recorded by the Shoe Zone controller (see "/controllers/sz.js") every time a product
+  page is scraped. Only changes in price are stored as new entries; observing the same price again
+  simply updates the `lastSeen` date of the latest entry.
+*/
+
+const { HttpError } = require("../utils/HttpError")
+const { createQueue } = require("../utils/promise")
+const { logger } = require("../utils/logger")
+const { normaliseStyleCode } = require("../utils/validate")
+const { recordStore } = require("../cache/records")
+
+/*
+  Price history is kept in the "price-history" record store (see "/cache/records.js"), so it is
+  never expired, evicted or purged along with the cache; each key contains the entire history of
+  a single product. Prices are recorded one at a time, so that two scrapes of the same product
+  can't overwrite each other's entries.
+*/
+const store = recordStore("price-history")
+const queue = createQueue()
+
+/*
+  Private method:
+  getKey(styleCode: number | string): string
+  
+  The key which the price history of a product is indexed under in the store. As with
+  `getProductInfo`, a size code appended to the style code is removed first.
+*/
+function getKey(styleCode) {
+  return `price@sz:${Number(normaliseStyleCode(styleCode))}`
+}
+
+/*
+  Public method:
+  recordPrice({ styleCode: number, name?: string, current: number, was?: number, currency: string }): Promise<void>
+  
+  Record an observed price for a product. `was` is the previous (or MRRP) price displayed on the
+  product page, if there was one. Never rejects; a price which can't be recorded is logged instead,
+  as it shouldn't fail the request which scraped it.
+*/
+function recordPrice({ styleCode, name, current, was, currency }) {
+  if (typeof current !== "number" || isNaN(current))
+    return Promise.resolve()
+  
+  const key = getKey(styleCode)
+  
+  return queue(() => store.get(key).then(history => {
+    const now = (new Date()).toISOString()
+    
+    history = history || { id: Number(styleCode), prices: [] }
+    
+    const latest = history.prices[history.prices.length - 1]
+    
+    if (name)
+      history.name = name
+    
+    // If nothing has changed since the price was last observed, extend the latest entry rather
+    // than adding a duplicate
+    if (latest && latest.current === current && latest.was === (was || null) && latest.currency === currency)
+      latest.lastSeen = now
+    else
+      history.prices.push({
+        current,
+        was: was || null,
+        currency,
+        firstSeen: now,
+        lastSeen: now
+      })
+    
+    return store.set(key, history)
+  })).catch(err => logger.warn("Unable to record a price", { styleCode, error: err }))
+}
+
+/*
+  Public method:
+  getPriceHistory({ styleCode: number }): Promise<Object>
+  
+  Get the recorded price history of a product. Resolves with the following Object:
+  
+  {
+    id: number,
+    name: string,
+    prices: {
+      current: number,
+      was: number | null,
+      currency: string,
+      firstSeen: string,
+      lastSeen: string
+    }[],
+    lowest: number,
+    highest: number,
+    wasPriceObserved: boolean
+  }
+  
+  `wasPriceObserved` is true when the latest "was" price has actually been recorded as the
+  current price of the product at some point, which helps to tell whether a reduction is real.
+*/
+function getPriceHistory({ styleCode }) {
+  return store.get(getKey(styleCode)).then(history => {
+    if (!history || !history.prices.length)
+      throw new HttpError(`No price history has been recorded for "${styleCode}"`, 404, "PRICE_HISTORY_NOT_FOUND")
+    
+    const prices = history.prices.map(({ current }) => current)
+    const latest = history.prices[history.prices.length - 1]
+    
+    return {
+      ...history,
+      lowest: Math.min(...prices),
+      highest: Math.max(...prices),
+      wasPriceObserved: latest.was !== null && prices.includes(latest.was)
+    }
+  })
+}
+
+/*
+  Public method:
+  getPriceDrops({ days?: number = 7 }): Promise<Object[]>
+  
+  List every product whose price has fallen within the last `days` days, biggest drop first.
+  Resolves with an Array of the following Objects:
+  
+  {
+    id: number,
+    name: string,
+    previous: number,
+    current: number,
+    was: number | null,
+    currency: string,
+    drop: number,
+    percentage: number,
+    date: string
+  }
+*/
+function getPriceDrops({ days = 7 }) {
+  const since = Date.now() - Math.max(0, Number(days) || 0) * 86400000
+  
+  const findDrop = history => {
+    const { prices } = history
+    
+    if (prices.length < 2)
+      return
+    
+    const latest = prices[prices.length - 1]
+    const previous = prices[prices.length - 2]
+    
+    // Only the most recent change counts; if the price has since gone back up, it's
+    // no longer a reduction
+    if (latest.current >= previous.current || Date.parse(latest.firstSeen) < since)
+      return
+    
+    return {
+      id: history.id,
+      name: history.name,
+      previous: previous.current,
+      current: latest.current,
+      was: latest.was,
+      currency: latest.currency,
+      drop: Number((previous.current - latest.current).toFixed(2)),
+      percentage: Number(((previous.current - latest.current) / previous.current * 100).toFixed(1)),
+      date: latest.firstSeen
+    }
+  }
+  
+  return store.keys()
+    .then(keys => Promise.all(keys.map(key => store.get(key))))
+    .then(histories => histories.filter(history => history).map(findDrop).filter(drop => drop))
+    .then(drops => drops.sort((a, b) => b.percentage - a.percentage))
+}
+
+module.exports = {
+  recordPrice,
+  getPriceHistory,
+  getPriceDrops
+}
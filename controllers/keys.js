@@ -0,0 +1,253 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Controller for API keys, and the quota of requests each client is allowed to make.
+  
+  Available methods:
+  - createKey({ name: string, quota?: number, window?: number }): Promise<Object>
+  - listKeys(): Promise<Object[]>
+  - revokeKey({ id: string }): Promise<Object>
+  - authenticate({ key: string }): Promise<Object>
+  - consumeQuota({ client: string, quota: number, window: number, now?: number = Date.now() }): Object
+  
+  Keys are created by the "/admin/keys" routes, and saved in the "_cache" directory (only a hash
+  of each key is saved, so a key can't be recovered once it has been created). Keys can also be
+  listed in the environment's API_KEYS string, as comma-separated "name=key" pairs, e.g.
+  "mobile-app=whs_0123...,partner=whs_4567...". Keys from the environment can't be revoked by the
+  admin routes.
+  
+  Every key has a quota of requests (API_QUOTA, or 1000 by default) which can be made within a
+  fixed window of time (API_QUOTA_WINDOW seconds, or one hour by default). Usage is only counted
+  in memory, so quotas are reset when the server restarts.
+*/
+
+const crypto = require("crypto")
+const fcache = require("flat-cache")
+const { HttpError } = require("../utils/HttpError")
+
+/*
+  Each key is stored under its ID as the key (not the API key itself, which isn't stored).
+*/
+const store = fcache.load("api-keys.json", process.env.CACHE_DIR || "./_cache")
+
+/*
+  API keys start with a prefix, so they can be recognised (e.g. by secret scanners).
+*/
+const keyPrefix = "whs_"
+
+/*
+  The number of clients whose usage is tracked before windows which have ended are removed.
+  Anonymous clients are tracked by IP address, so there can be a lot of them.
+*/
+const maxTrackedClients = 10000
+
+// The usage of each client in their current window, as { start: number, window: number, count: number }
+const usage = new Map()
+
+/*
+  Private method:
+  hashKey(key: string): string
+*/
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+/*
+  Private method:
+  getDefaultQuota(): { quota: number, window: number }
+  
+  The quota given to keys which don't have their own, read from the environment.
+*/
+function getDefaultQuota() {
+  return {
+    quota: Number(process.env.API_QUOTA) || 1000,
+    window: Number(process.env.API_QUOTA_WINDOW) || 3600
+  }
+}
+
+/*
+  Private method:
+  getEnvironmentKeys(): Object[]
+  
+  The keys listed in the environment's API_KEYS string, in the same format as stored keys. Each
+  key's ID is derived from its name, so it's the same every time the server starts.
+*/
+function getEnvironmentKeys() {
+  return String(process.env.API_KEYS || "").split(",").map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [ name, key ] = entry.split("=").map(value => value.trim())
+    
+    return {
+      id: `env-${name}`,
+      name,
+      hash: hashKey(key || ""),
+      prefix: (key || "").substr(0, keyPrefix.length + 4),
+      ...getDefaultQuota(),
+      source: "environment",
+      created: null
+    }
+  }).filter(({ prefix }) => prefix.length)
+}
+
+/*
+  Private method:
+  describeKey(record: Object): Object
+  
+  A key as it's listed by the admin routes, without its hash, and with its usage.
+*/
+function describeKey({ hash, ...record }) {
+  const current = usage.get(record.id)
+  const active = current && Date.now() < current.start + record.window * 1000
+  
+  return {
+    ...record,
+    used: active ? current.count : 0
+  }
+}
+
+/*
+  Public method:
+  createKey({ name: string, quota?: number, window?: number }): Promise<Object>
+  
+  Create a new API key. `quota` is the number of requests which can be made every `window`
+  seconds (see `getDefaultQuota`). Resolves with the following Object, which is the only time the
+  key itself is available:
+  
+  {
+    id: string,
+    name: string,
+    key: string,
+    prefix: string, // The start of the key, to help tell keys apart
+    quota: number,
+    window: number,
+    source: "admin",
+    created: string
+  }
+*/
+function createKey({ name, quota, window }) {
+  const defaults = getDefaultQuota()
+  const key = `${keyPrefix}${crypto.randomBytes(24).toString("hex")}`
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name,
+    hash: hashKey(key),
+    prefix: key.substr(0, keyPrefix.length + 4),
+    quota: quota || defaults.quota,
+    window: window || defaults.window,
+    source: "admin",
+    created: (new Date()).toISOString()
+  }
+  
+  store.setKey(record.id, record)
+  store.save(true)
+  
+  const { hash, ...created } = record
+  
+  return Promise.resolve({ ...created, key })
+}
+
+/*
+  Public method:
+  listKeys(): Promise<Object[]>
+  
+  List every key (without the keys themselves), including how many requests each has `used` in
+  its current window.
+*/
+function listKeys() {
+  const keys = Object.keys(store.all()).map(id => store.getKey(id))
+  
+  return Promise.resolve(getEnvironmentKeys().concat(keys).map(describeKey))
+}
+
+/*
+  Public method:
+  revokeKey({ id: string }): Promise<Object>
+  
+  Delete a key, so it can no longer be used. Resolves with the deleted key, or rejects with a 404
+  `HttpError` if there's no key with the ID (including keys from the environment).
+*/
+function revokeKey({ id }) {
+  const record = store.getKey(id)
+  
+  if (!record)
+    return Promise.reject(new HttpError(`There is no API key with the ID "${id}"`, 404, "API_KEY_NOT_FOUND"))
+  
+  store.removeKey(id)
+  store.save(true)
+  usage.delete(id)
+  
+  return Promise.resolve(describeKey(record))
+}
+
+/*
+  Public method:
+  authenticate({ key: string }): Promise<Object>
+  
+  Find the key matching an API key, resolving with `{ id, name, quota, window }`. Rejects with a
+  401 `HttpError` if the key doesn't exist (or has been revoked).
+*/
+function authenticate({ key }) {
+  const hash = hashKey(String(key || ""))
+  const keys = Object.keys(store.all()).map(id => store.getKey(id))
+  
+  // Hashes are a fixed length, so comparing them doesn't reveal anything about the key
+  const record = getEnvironmentKeys().concat(keys).find(candidate => crypto.timingSafeEqual(Buffer.from(candidate.hash), Buffer.from(hash)))
+  
+  if (!record)
+    return Promise.reject(new HttpError("The API key is invalid, or has been revoked", 401, "INVALID_API_KEY"))
+  
+  const { id, name, quota, window } = record
+  
+  return Promise.resolve({ id, name, quota, window })
+}
+
+/*
+  Public method:
+  consumeQuota({ client: string, quota: number, window: number, now?: number = Date.now() }): Object
+  
+  Count a request towards a client's quota (`client` is a key's ID, or anything else which
+  identifies a client, e.g. an IP address). Returns the state of the client's quota:
+  
+  {
+    allowed: boolean, // false if the quota had already been used up
+    limit: number,
+    remaining: number,
+    reset: number // Seconds until the window ends
+  }
+  
+  Requests which aren't allowed don't count towards the quota.
+*/
+function consumeQuota({ client, quota, window, now = Date.now() }) {
+  let current = usage.get(client)
+  
+  if (!current || now >= current.start + window * 1000) {
+    if (usage.size >= maxTrackedClients)
+      usage.forEach((entry, id) => {
+        if (now >= entry.start + entry.window * 1000)
+          usage.delete(id)
+      })
+    
+    current = { start: now, window, count: 0 }
+    usage.set(client, current)
+  }
+  
+  const allowed = current.count < quota
+  
+  if (allowed)
+    current.count++
+  
+  return {
+    allowed,
+    limit: quota,
+    remaining: quota - current.count,
+    reset: Math.ceil((current.start + window * 1000 - now) / 1000)
+  }
+}
+
+module.exports = {
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticate,
+  consumeQuota
+}
@@ -0,0 +1,304 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Controller for understanding Shoe Zone's offers, and working out what a basket of products
+  will actually cost once they've been applied.
+  
+  Available methods:
+  - parseOffer({ name: string }): Object | null
+  - priceBasket({ items: { styleCode: string, name: string, quantity: number, price: number, offers: Object[] }[] }): Object
+  
+  Offers are only ever displayed as badges, with titles such as "2 For £20" or "Buy One Get One
+  Free". `parseOffer` turns these titles into rules, which are one of the following:
+  
+  { type: "multi-buy", quantity: number, price: number } // e.g. "2 For £20"
+  { type: "buy-get", buy: number, get: number, percent: number } // e.g. "Buy One Get One Free" (percent: 100)
+                                                                  // or "Second Pair Half Price" (percent: 50)
+  { type: "percentage-off", percent: number } // e.g. "25% Off"
+  { type: "amount-off", amount: number } // e.g. "Save £5"
+*/
+
+/*
+  Number words which appear in offer titles (e.g. "Buy One Get One Free"), and their values.
+*/
+const numberWords = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  second: 2,
+  third: 3
+}
+
+/*
+  Private method:
+  normaliseOfferName(name: string): string
+  
+  Lowercase an offer title and remove anything which doesn't change its meaning, so there are
+  fewer variations to match; e.g. "Buy One, Get One Half-Price!" becomes "buy 1 get 1 50% off".
+*/
+function normaliseOfferName(name) {
+  return ` ${name.toLowerCase()} `
+    .replace(/[^a-z0-9£€%.\s]/g, " ")
+    .replace(/\b(bogof)\b/g, " buy 1 get 1 free ")
+    .replace(/\b(bogohp)\b/g, " buy 1 get 1 half price ")
+    .replace(/\b(\d+)(st|nd|rd|th)\b/g, "$1")
+    .replace(/\b[a-z]+\b/g, word => numberWords[word] ? String(numberWords[word]) : word)
+    .replace(/\bhalf price\b/g, "50% off")
+    .replace(/\bfree\b/g, "100% off")
+    .replace(/\b(pairs?|items?|only|just|now|the|a|and|when you|you|any)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+}
+
+/*
+  Each pattern matches a normalised offer title (see `normaliseOfferName`), and creates its rule.
+  Patterns are tried in order, so more specific patterns should come first.
+*/
+const offerPatterns = [
+  // "Buy One Get One Free", "Buy 2 Get 1 Half Price", "Buy One Get Second 25% Off"
+  [ /^buy (\d+) get (\d+) (\d+(?:\.\d+)?)% off$/, ([ , buy, get, percent ]) => ({ type: "buy-get", buy: Number(buy), get: Number(get), percent: Number(percent) }) ],
+  
+  // "Second Pair Half Price"
+  [ /^(\d+) (\d+(?:\.\d+)?)% off$/, ([ , nth, percent ]) => Number(nth) > 1 && ({ type: "buy-get", buy: Number(nth) - 1, get: 1, percent: Number(percent) }) ],
+  
+  // "Half Price Second Pair"
+  [ /^(\d+(?:\.\d+)?)% off (\d+)$/, ([ , percent, nth ]) => Number(nth) > 1 && ({ type: "buy-get", buy: Number(nth) - 1, get: 1, percent: Number(percent) }) ],
+  
+  // "2 For £20"
+  [ /^(\d+) for [£€](\d+(?:\.\d{1,2})?)$/, ([ , quantity, price ]) => Number(quantity) > 1 && ({ type: "multi-buy", quantity: Number(quantity), price: Number(price) }) ],
+  
+  // "3 For 2", which is the same as "Buy 2 Get 1 Free"
+  [ /^(\d+) for (\d+)$/, ([ , quantity, paid ]) => Number(quantity) > Number(paid) && ({ type: "buy-get", buy: Number(paid), get: Number(quantity) - Number(paid), percent: 100 }) ],
+  
+  // "25% Off", "Save 25%" ("Up To 25% Off" isn't matched, as the discount varies)
+  [ /^(?:save )?(\d+(?:\.\d+)?)%(?: off)?$/, ([ , percent ]) => Number(percent) > 0 && Number(percent) < 100 && ({ type: "percentage-off", percent: Number(percent) }) ],
+  
+  // "Save £5", "£5 Off"
+  [ /^(?:save [£€](\d+(?:\.\d{1,2})?)(?: off)?|[£€](\d+(?:\.\d{1,2})?) off)$/, ([ , save, off ]) => ({ type: "amount-off", amount: Number(save || off) }) ]
+]
+
+/*
+  Public method:
+  parseOffer({ name: string }): Object | null
+  
+  Turn the title of an offer badge into a rule (see the top of this file), or null if the
+  offer isn't understood.
+*/
+function parseOffer({ name }) {
+  const normalisedName = normaliseOfferName(String(name || ""))
+  
+  for (const [ pattern, createRule ] of offerPatterns) {
+    const match = normalisedName.match(pattern)
+    
+    if (match)
+      return createRule(match) || null
+  }
+  
+  return null
+}
+
+/*
+  Private method:
+  toPence(value: number): number
+  
+  Prices are added up in pence, so that floating point errors don't creep into totals.
+*/
+const toPence = value => Math.round(value * 100)
+const fromPence = value => value / 100
+
+/*
+  Private method:
+  applyRule(rule: Object, units: { price: number }[]): number[]
+  
+  Work out the discount (in pence) of each unit in a promotion. Units are the individual pairs
+  in the basket (so a quantity of 2 is 2 units), with prices in pence. Following the usual rule
+  for multi-buy offers, units are grouped from the most expensive down, and the cheapest units
+  in each group are the ones discounted. Returns the discount of each unit, in the same order
+  as `units`.
+*/
+function applyRule(rule, units) {
+  const discounts = units.map(() => 0)
+  const order = units.map((unit, position) => ({ ...unit, position })).sort((a, b) => b.price - a.price)
+  
+  switch (rule.type) {
+    case "multi-buy": {
+      // Each complete group costs the offer price, shared between the units in proportion
+      // to their usual price
+      for (let start = 0; start + rule.quantity <= order.length; start += rule.quantity) {
+        const group = order.slice(start, start + rule.quantity)
+        const usualPrice = group.reduce((sum, { price }) => sum + price, 0)
+        const saving = usualPrice - toPence(rule.price)
+        
+        // The offer isn't applied if the products are already cheaper than the offer price
+        if (saving <= 0)
+          continue
+        
+        let remaining = saving
+        
+        group.forEach(({ price, position }, index) => {
+          const share = index === group.length - 1 ? remaining : Math.round(saving * price / usualPrice)
+          
+          discounts[position] = share
+          remaining -= share
+        })
+      }
+      
+      break
+    }
+    
+    case "buy-get": {
+      const size = rule.buy + rule.get
+      
+      for (let start = 0; start + size <= order.length; start += size)
+        order.slice(start + rule.buy, start + size).forEach(({ price, position }) => {
+          discounts[position] = Math.round(price * rule.percent / 100)
+        })
+      
+      break
+    }
+    
+    case "percentage-off":
+      order.forEach(({ price, position }) => {
+        discounts[position] = Math.round(price * rule.percent / 100)
+      })
+      
+      break
+    
+    case "amount-off":
+      order.forEach(({ price, position }) => {
+        discounts[position] = Math.min(price, toPence(rule.amount))
+      })
+      
+      break
+  }
+  
+  return discounts
+}
+
+/*
+  Public method:
+  priceBasket({ items: Object[] }): Object
+  
+  Work out the total cost of a basket. Each item is a product (see `getProductInfo` in
+  "/controllers/sz.js") and a quantity:
+  
+  {
+    styleCode: string,
+    name: string,
+    quantity: number,
+    price: number, // The current price of a single pair
+    offers: { name: string, rule: Object | null }[]
+  }
+  
+  Products which share an offer (by its name) are combined when applying it; e.g. two different
+  products in a "2 For £20" offer cost £20 together. Each product only takes part in its first
+  understood offer, as Shoe Zone don't combine offers. Returns the following Object, with all
+  prices in pounds:
+  
+  {
+    lines: {
+      styleCode: string,
+      name: string,
+      quantity: number,
+      unitPrice: number,
+      subtotal: number,
+      discount: number,
+      total: number,
+      offer: string | null // The name of the offer applied to this line
+    }[],
+    promotions: { name: string, rule: Object, styleCodes: string[], discount: number }[],
+    subtotal: number,
+    discount: number,
+    total: number,
+    unknownOffers: string[] // The names of any offers which aren't understood, so were ignored
+  }
+*/
+function priceBasket({ items }) {
+  const lines = items.map(item => {
+    const offer = item.offers.find(({ rule }) => rule)
+    
+    return {
+      styleCode: item.styleCode,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: toPence(item.price),
+      discount: 0,
+      offer: offer || null
+    }
+  })
+  
+  // Gather every unit in the basket into the promotion it takes part in
+  const promotions = new Map()
+  
+  lines.forEach((line, lineIndex) => {
+    if (!line.offer)
+      return
+    
+    if (!promotions.has(line.offer.name))
+      promotions.set(line.offer.name, { offer: line.offer, units: [] })
+    
+    for (let unit = 0; unit < line.quantity; unit++)
+      promotions.get(line.offer.name).units.push({ lineIndex, price: line.unitPrice })
+  })
+  
+  const appliedPromotions = []
+  
+  promotions.forEach(({ offer, units }, name) => {
+    const discounts = applyRule(offer.rule, units)
+    const total = discounts.reduce((sum, discount) => sum + discount, 0)
+    
+    units.forEach(({ lineIndex }, index) => {
+      lines[lineIndex].discount += discounts[index]
+    })
+    
+    if (total > 0)
+      appliedPromotions.push({
+        name,
+        rule: offer.rule,
+        styleCodes: Array.from(new Set(units.map(({ lineIndex }) => lines[lineIndex].styleCode))),
+        discount: fromPence(total)
+      })
+  })
+  
+  const pricedLines = lines.map(line => {
+    const subtotal = line.unitPrice * line.quantity
+    
+    return {
+      styleCode: line.styleCode,
+      name: line.name,
+      quantity: line.quantity,
+      unitPrice: fromPence(line.unitPrice),
+      subtotal: fromPence(subtotal),
+      discount: fromPence(line.discount),
+      total: fromPence(subtotal - line.discount),
+      offer: line.discount > 0 ? line.offer.name : null
+    }
+  })
+  
+  const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+  const discount = lines.reduce((sum, line) => sum + line.discount, 0)
+  
+  return {
+    lines: pricedLines,
+    promotions: appliedPromotions,
+    subtotal: fromPence(subtotal),
+    discount: fromPence(discount),
+    total: fromPence(subtotal - discount),
+    unknownOffers: Array.from(new Set(items.reduce(
+      (names, item) => names.concat(item.offers.filter(({ rule }) => !rule).map(({ name }) => name)), []
+    )))
+  }
+}
+
+module.exports = {
+  parseOffer,
+  priceBasket
+}
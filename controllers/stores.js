@@ -0,0 +1,166 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for the store directory; a record of every store which has been discovered.
+  
+  Available methods:
+  - recordStore({ store: Object, market?: string }): Promise<void>
+  - getStore({ storeId: number, market?: string, date?: Date = new Date() }): Promise<Object>
+  
+  Shoe Zone don't provide a way of looking up a single store, so stores are recorded by the Shoe Zone
+  controller (see "/controllers/sz.js") whenever they're returned by the StoreLocator API (which
+  includes opening hours and facilities), or by a stock check (which only includes the name and
+  address). Information from a later sighting is merged into the existing record, so a stock check
+  never erases the opening hours of a store.
+  
+  Each market numbers its stores separately, so stores are recorded (and looked up) per market. The
+  market is the same as the rest of the controllers: SZ_MARKET (or "GB") unless one is given.
+*/
+
+const { HttpError } = require("../utils/HttpError")
+const { createQueue } = require("../utils/promise")
+const { logger } = require("../utils/logger")
+const { getMarket } = require("../utils/markets")
+const { recordStore: createRecordStore } = require("../cache/records")
+
+/*
+  The directory is kept in the "store-directory" record store (see "/cache/records.js"), so it is
+  never expired, evicted or purged along with the cache; each key contains the record of a single
+  store. Stores are recorded one at a time, as a stock sweep checks the same store for several
+  sizes at once, and each sighting is merged into the record left by the previous one.
+*/
+const store = createRecordStore("store-directory")
+const queue = createQueue()
+
+// The key a store is recorded under, e.g. "store@sz:gb:1649"
+const getKey = (market, storeId) => `store@sz:${market.toLowerCase()}:${storeId}`
+
+/*
+  Public method:
+  recordStore({ store: Object, market?: string }): Promise<void>
+  
+  Add a store to the directory, or update its existing record. Fields which are null or undefined
+  don't replace what's already known about the store. Never rejects; a store which can't be
+  recorded is logged instead.
+*/
+function recordStore({ store: details, market }) {
+  const storeId = Number(details.storeId)
+  
+  if (!storeId)
+    return Promise.resolve()
+  
+  return queue(() => {
+    const { id } = getMarket(market)
+    const key = getKey(id, storeId)
+    
+    return store.get(key).then(record => {
+      const now = (new Date()).toISOString()
+      
+      record = record || { storeId, market: id, firstSeen: now }
+      
+      Object.keys(details).forEach(field => {
+        if (details[field] !== null && details[field] !== undefined)
+          record[field] = details[field]
+      })
+      
+      record.storeId = storeId
+      record.lastSeen = now
+      
+      return store.set(key, record)
+    })
+  }).catch(err => logger.warn("Unable to record a store", { storeId, error: err }))
+}
+
+/*
+  Private method:
+  getLocalTime(date: Date, timeZone: string): { weekday: string, time: string }
+  
+  The weekday (e.g. "monday") and 24-hour time (e.g. "09:30") of a date, in the given time zone.
+*/
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "long",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false
+  }).formatToParts(date)
+  
+  const part = type => parts.find(entry => entry.type === type).value
+  
+  // Midnight is formatted as "24" by some versions of Node
+  return {
+    weekday: part("weekday").toLowerCase(),
+    time: `${part("hour") === "24" ? "00" : part("hour")}:${part("minute")}`
+  }
+}
+
+/*
+  Private method:
+  isOpenAt(openingHours: Object | null, date: Date, timeZone: string): boolean | null
+  
+  Whether a store is open at the given date, or null if its opening hours aren't known. Opening
+  hours are in the local time of the store's market (see `timeZone` in "/utils/markets.js").
+*/
+function isOpenAt(openingHours, date, timeZone) {
+  if (!openingHours)
+    return null
+  
+  const { weekday, time } = getLocalTime(date, timeZone)
+  const hours = openingHours[weekday]
+  
+  // Times are zero-padded 24-hour times, so can be compared as strings
+  return Boolean(hours && hours.open <= time && time < hours.close)
+}
+
+/*
+  Public method:
+  getStore({ storeId: number, market?: string, date?: Date = new Date() }): Promise<Object>
+  
+  Look up a store of a market in the directory. Rejects with a 404 `HttpError` if the store hasn't
+  been discovered yet. Resolves with the following Object:
+  
+  {
+    storeId: number,
+    market: string,
+    storeName: string,
+    storeAddress: string,
+    storePhone: string | null,
+    address: { property: string, street: string, town: string | null, postcode: string } | undefined,
+    coordinates: { lat: number, lon: number } | undefined,
+    openingHours: {
+      monday: { open: string, close: string } | null, // null when the store is closed all day
+      ...
+      sunday: { open: string, close: string } | null
+    } | null, // null when the opening hours aren't known
+    openNow: boolean | null, // Whether the store is open at `date`
+    facilities: { [name: string]: boolean } | undefined, // e.g. { parking: true, kidsFitting: false }
+    firstSeen: string,
+    lastSeen: string
+  }
+  
+  Stores which have only been discovered by a stock check don't have an `address`, `coordinates`
+  or `facilities`.
+*/
+function getStore({ storeId, market, date = new Date() }) {
+  return new Promise(resolve => resolve(getMarket(market))).then(({ id, timeZone }) =>
+    store.get(getKey(id, Number(storeId))).then(record => {
+      if (!record)
+        throw new HttpError(`Store "${storeId}" has not been discovered yet. Try locating stores near it first`, 404, "STORE_NOT_FOUND")
+      
+      const openingHours = record.openingHours || null
+      
+      return {
+        ...record,
+        openingHours,
+        openNow: isOpenAt(openingHours, date, timeZone)
+      }
+    })
+  )
+}
+
+module.exports = {
+  recordStore,
+  getStore
+}
@@ -1,41 +1,73 @@
 /*
   Date: 2020-07-15
   Author: ClockworkSquirrel (csqrl)
-
+  
   Controller for interfacing with the Shoe Zone website and APIs.
   
   Available methods:
-  - locateStore({ lat?: number = 0, lon?: number = 0, postcode?: string = "", city?: string = "" }): Promise<Object>
-  - checkStoreStock({ styleCode: number, size: string, storeId: number, quantity?: number = 1 }): Promise<Object>
-  - getProductInfo({ styleCode: number }): Promise<Object>
+  - locateStore({ lat?: number = 0, lon?: number = 0, postcode?: string = "", city?: string = "", market?: string }): Promise<Object>
+  - locateStores({ lat?: number = 0, lon?: number = 0, postcode?: string = "", city?: string = "", limit?: number = 1, radius?: number, market?: string }): Promise<Object[]>
+  - checkStoreStock({ styleCode: number, size: string, storeId: number, quantity?: number = 1, market?: string }): Promise<Object>
+  - estimateStoreStock({ styleCode: string, size: string, storeId: number, market?: string }): Promise<Object>
+  - getProductInfo({ styleCode: number, storeId?: number, market?: string, currency?: string, refresh?: boolean }): Promise<Object>
+  - getProducts({ styleCodes: string[], market?: string, currency?: string }): Promise<Object[]>
+  - isProductCached({ styleCode: string, market?: string }): Promise<boolean>
+  - getProductExpiry({ styleCode: string, market?: string }): Promise<Object | null>
+  - searchProducts({ query: string, page?: number = 1, market?: string }): Promise<Object>
+  - listCategory({ path: string | string[], page?: number = 1, market?: string }): Promise<Object>
+  - checkStockNearby({ styleCode: string, lat?: number, lon?: number, postcode?: string, city?: string, limit?: number = 5, radius?: number, quantity?: number = 1, market?: string }): Promise<Object>
   
   All methods take their parameters as Objects with the keys described above, including methods which
   only take a single argument. This is for consistency across the controller's API.
+  
+  `market` is the ID of the Shoe Zone market (e.g. "GB" or "IE") to make requests to, which defaults
+  to SZ_MARKET (see "/utils/markets.js"). Everything fetched from Shoe Zone is cached separately for
+  each market, as the same product may have a different price (and currency) in each.
 */
 
-const URL = require("url").URL
-const axios = require("axios")
-const { JSDOM } = require("jsdom")
-const fcache = require("flat-cache")
 const { HttpError } = require("../utils/HttpError")
+const { mapLimit } = require("../utils/promise")
+const { getMarket, convertPrice } = require("../utils/markets")
+const { isEircode, normaliseStyleCode } = require("../utils/validate")
+const { time } = require("../utils/logger")
+const upstream = require("../adapters")
+const history = require("./history")
+const changes = require("./changes")
+const { parseOffer } = require("./offers")
+const directory = require("./stores")
+const cacheStore = require("../cache")
 
 /*
-  Convert the environment's SZAPI string into a URL object. This is useful if the URL changes from
-  the default "shoezone.com" address, as it will allow easy access to the "origin" property,
-  for making web requests.
+  Caching allows the server to respond to requests faster that have previously already been made.
+  This Object stores the reference to the different cache namespaces used throughout the API controller.
+  Each namespace has its own time-to-live (in seconds) and maximum number of entries, after which the
+  least recently used entries are evicted. See "/cache" for where entries are stored.
+  
+  locator:  Stores a copy of store information for locating the user (8 hours).
+  products: Stores the metadata of products (8 hours). See `getProductInfo`.
+  stock:    Stores the warehouse stock of products (5 minutes). See `getProductInfo`.
+  listings: Stores search results and category pages (1 hour). See `fetchProductListing`.
+  estimates: Stores estimates of a store's stock (10 minutes). See `estimateStoreStock`.
+  storeStock: Stores which sizes of a product a store has in stock (5 minutes), in the "store-stock"
+              namespace. See `getStoreAvailability`.
 */
-const szURL = new URL(process.env.SZAPI)
+const cache = {
+  locator: cacheStore.namespace("locator", { ttl: 28800, maxEntries: 1000 }),
+  products: cacheStore.namespace("products", { ttl: 28800, maxEntries: 5000 }),
+  stock: cacheStore.namespace("stock", { ttl: 300, maxEntries: 5000 }),
+  listings: cacheStore.namespace("listings", { ttl: 3600, maxEntries: 1000 }),
+  estimates: cacheStore.namespace("estimates", { ttl: 600, maxEntries: 2000 }),
+  storeStock: cacheStore.namespace("store-stock", { ttl: 300, maxEntries: 2000 })
+}
 
 /*
-  Caching allows the server to respond to requests faster that have previously already been made.
-  This Object stores the reference to the different cache files used throughout the API controller.
+  Private method:
+  resolveMarket(market?: string): Promise<Object>
   
-  locator: Stores a copy of store information for locating the user.
-  products: Stores information pertaining to products
+  Look up a market (see "/utils/markets.js"), rejecting with a 400 `HttpError` if it doesn't exist.
 */
-const cache = {
-  locator: fcache.load("store-locator-api.json", "./_cache"),
-  products: fcache.load("product-api.json", "./_cache")
+function resolveMarket(market) {
+  return new Promise(resolve => resolve(getMarket(market)))
 }
 
 /*
@@ -53,81 +85,361 @@ const ignoredOffers = [
 ]
 
 /*
-  Public method:
-  locateStore({ city?: string = "", postcode?: string = "", lat?: number = 0, lon?: number = 0 }): Promise<Object>
+  Private method:
+  toTitleCase(value: string): string
+  
+  Capitalise the first letter of each word in a string, and lowercase the rest. The StoreLocator
+  API returns store names in all-caps (e.g. "GLOUCESTER"), which isn't very nice to display.
+*/
+function toTitleCase(value) {
+  return value.toLowerCase().split(" ").filter(word => word.length).map(
+    word => `${word[0].toUpperCase()}${word.substr(1)}`
+  ).join(" ")
+}
 
-  Find a store given either the City, Postcode or Latitude and Longitude.
-  Uses the StoreLocator widget API; returns a Promise which resolves with
-  an Object containing the following data:
+/*
+  Private method:
+  getDistance(from: { lat: number, lon: number }, to: { lat: number, lon: number }): number
   
-  {
+  Calculate the great-circle distance, in miles, between two points using the haversine formula.
+  This is only used as a fallback for when the StoreLocator API doesn't return a distance for a
+  store, as the API's own distances are based on the same point we searched from.
+*/
+function getDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180
+  
+  // Mean radius of the Earth, in miles
+  const earthRadius = 3958.8
+  
+  const deltaLat = toRadians(to.lat - from.lat)
+  const deltaLon = toRadians(to.lon - from.lon)
+  
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2
+  
+  return earthRadius * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+/*
+  Private method:
+  normaliseStore(data: Object, origin?: { lat: number, lon: number }): Object
+  
+  Convert a single entry of the StoreLocator API's "Stores" Array into the Object format returned
+  by `locateStore`. If an origin is supplied, and the API didn't return a distance for the store,
+  the distance will be calculated from the store's coordinates instead.
+*/
+function normaliseStore(data, origin) {
+  const coordinates = {
+    lat: Number(data.Latitude) || null,
+    lon: Number(data.Longitude) || null
+  }
+  
+  let distance = Number(data.Distance)
+  
+  if (isNaN(distance) || data.Distance === null || data.Distance === undefined)
+    distance = origin && coordinates.lat !== null && coordinates.lon !== null
+      ? getDistance(origin, coordinates)
+      : null
+  
+  return {
+    storeName: toTitleCase(data.DisplayLine1),
+    storeId: Number(data.Key),
+    storeAddress: `${data.Property}, ${data.Street}, ${data.PostCode}`,
+    storePhone: data.Telephone.split(" ").join(""),
+    // Distance (in miles) from the point that was searched, rounded to 2 decimal places
+    distance: distance === null ? null : Number(distance.toFixed(2)),
+    coordinates
+  }
+}
+
+/*
+  The days of the week, in the order they're listed in a store's opening hours.
+*/
+const weekdays = [ "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday" ]
+
+/*
+  Private method:
+  parseTime(value: string): string | null
+  
+  Convert a time from the StoreLocator API (e.g. "9am", "5:30pm" or "17:30") into a zero-padded
+  24-hour time (e.g. "09:00"), or null if it isn't a time.
+*/
+function parseTime(value) {
+  const match = String(value || "").trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i)
+  
+  if (!match)
+    return null
+  
+  let hours = Number(match[1]) % (match[3] ? 12 : 24)
+  
+  if (match[3] && match[3].toLowerCase() === "pm")
+    hours += 12
+  
+  return `${String(hours).padStart(2, "0")}:${match[2] || "00"}`
+}
+
+/*
+  Private method:
+  parseOpeningHours(data: Object): Object | null
+  
+  Read the opening hours of a store from an entry of the StoreLocator API's "Stores" Array. Each
+  day is either given as separate opening and closing times (e.g. "MondayOpen" and "MondayClose"),
+  or as a single range (e.g. "Monday": "9am - 5:30pm"). Days without valid times (e.g. "Closed")
+  are null. Returns null if the entry doesn't contain any opening hours at all.
+*/
+function parseOpeningHours(data) {
+  let found = false
+  
+  const openingHours = weekdays.reduce((hours, weekday) => {
+    const day = `${weekday[0].toUpperCase()}${weekday.substr(1)}`
+    const [ open, close ] = data[`${day}Open`] !== undefined || data[`${day}Close`] !== undefined
+      ? [ data[`${day}Open`], data[`${day}Close`] ]
+      : String(data[day] || data[`${day}Hours`] || "").split(/\s*(?:-|–|to)\s*/)
+    
+    if (data[`${day}Open`] !== undefined || data[day] !== undefined || data[`${day}Hours`] !== undefined)
+      found = true
+    
+    const times = { open: parseTime(open), close: parseTime(close) }
+    hours[weekday] = times.open && times.close ? times : null
+    
+    return hours
+  }, {})
+  
+  return found ? openingHours : null
+}
+
+/*
+  Private method:
+  parseFacilities(data: Object): Object
+  
+  Read the facilities of a store from an entry of the StoreLocator API's "Stores" Array. Facilities
+  are either flags (e.g. "HasParking": "Y", which becomes `parking: true`), or a comma-separated
+  list of names (e.g. "Facilities": "Kids Fitting", which becomes `kidsFitting: true`).
+*/
+function parseFacilities(data) {
+  const toCamelCase = value => value.trim().split(/[^A-Z0-9]+/i).filter(word => word.length).map(
+    (word, index) => index ? `${word[0].toUpperCase()}${word.substr(1).toLowerCase()}` : word.toLowerCase()
+  ).join("")
+  
+  const facilities = {}
+  
+  Object.keys(data).filter(key => /^Has[A-Z]/.test(key)).forEach(key => {
+    // "HasKidsFitting" becomes "Kids Fitting", and then "kidsFitting"
+    const name = toCamelCase(key.substr(3).replace(/([a-z])([A-Z])/g, "$1 $2"))
+    const value = String(data[key]).toLowerCase()
+    
+    if ([ "true", "y", "yes", "1" ].includes(value))
+      facilities[name] = true
+    else if ([ "false", "n", "no", "0" ].includes(value))
+      facilities[name] = false
+  })
+  
+  const named = Array.isArray(data.Facilities) ? data.Facilities : String(data.Facilities || "").split(",")
+  
+  named.map(String).filter(name => name.trim().length).forEach(name => {
+    facilities[toCamelCase(name)] = true
+  })
+  
+  return facilities
+}
+
+/*
+  Private method:
+  normaliseStoreDetails(data: Object): Object
+  
+  Convert a single entry of the StoreLocator API's "Stores" Array into the full record kept by the
+  store directory (see "/controllers/stores.js"), including everything `normaliseStore` leaves out.
+*/
+function normaliseStoreDetails(data) {
+  const { storeName, storeId, storeAddress, storePhone, coordinates } = normaliseStore(data)
+  
+  return {
+    storeId,
+    storeName,
+    storeAddress,
+    storePhone,
+    address: {
+      property: data.Property || null,
+      street: data.Street || null,
+      town: data.Town || null,
+      postcode: data.PostCode || null
+    },
+    coordinates,
+    openingHours: parseOpeningHours(data),
+    facilities: parseFacilities(data)
+  }
+}
+
+/*
+  Public method:
+  locateStores({
+    city?: string = "",
+    postcode?: string = "",
+    lat?: number = 0,
+    lon?: number = 0,
+    limit?: number = 1,
+    radius?: number,
+    market?: string
+  }): Promise<Object[]>
+  
+  Find the nearest stores given either the City, Postcode or Latitude and Longitude.
+  Uses the StoreLocator widget API; returns a Promise which resolves with an Array
+  of up to `limit` stores, ranked by distance from the search point (nearest first):
+  
+  [{
     storeName: string,
     storeId: number,
     storeAddress: string,
-    storePhone: string
-  }
+    storePhone: string,
+    distance: number, // Miles from the search point
+    coordinates: { lat: number, lon: number },
+    market: string
+  }]
+  
+  `limit` is capped at 20 stores. If `radius` (in miles) is specified, any stores
+  further away than the radius are removed from the results, which may mean the
+  resulting Array is empty. If no market is specified, Irish Eircodes are searched
+  for in the IE market.
 */
-function locateStore({ lat, lon, city, postcode }) {
+function locateStores({ lat, lon, city, postcode, limit = 1, radius, market }) {
   // If specified, truncate lat/lon to 2 decimal places. This should be
   // an appropriate accuracy to use.
   lat = (Number(lat) || 0).toFixed(2), lon = (Number(lon) || 0).toFixed(2)
   
-  // Check for an entry in the cache before making a request to the API
-  // The key is composed of the supplied data, transformed into a CSV
-  const cacheKey = `near:${[ lat, lon, city, postcode ].filter(v => v !== undefined).map(v => String(v).toLowerCase()).join(",")}`
-  const cachedValue = cache.locator.getKey(cacheKey)
+  // Ensure the number of stores is a positive integer, and no more than 20. Radius
+  // is optional, so is only kept when it's a positive number.
+  limit = Math.min(20, Math.floor(Math.max(1, limit) || 1))
+  radius = Number(radius) > 0 ? Number(radius) : undefined
   
-  if (cachedValue)
-    return Promise.resolve(cachedValue)
+  // Eircodes can only be found by Shoe Zone's Irish store locator
+  if (!market && postcode && isEircode(postcode))
+    market = "IE"
   
+  return resolveMarket(market).then(({ id }) => {
+    // Check for an entry in the cache before making a request to the API
+    // The key is composed of the market and supplied data, transformed into a CSV. The
+    // number of stores (and the radius) are appended to the key, so a cached response
+    // for a single store is never served for a request asking for more.
+    const cacheKey = `near:${id.toLowerCase()}:${[ lat, lon, city, postcode ].filter(v => v !== undefined).map(v => String(v).toLowerCase()).join(",")}` +
+      `;limit=${limit}${radius ? `;radius=${radius}` : ""}`
+    
+    return cache.locator.get(cacheKey).then(cachedValue => {
+      if (cachedValue)
+        return cachedValue.value
+      
+      return requestStores({ lat, lon, city, postcode, limit, radius, market: id }).then(data =>
+        cache.locator.set(cacheKey, data).then(() => data)
+      ).catch(err => {
+        // If Shoe Zone can't be reached, serve the expired cache entry (if there is one)
+        if (err.statusCode === 400)
+          throw err
+        
+        return cache.locator.get(cacheKey, { stale: true }).then(staleValue => {
+          if (!staleValue)
+            throw err
+          
+          return staleValue.value
+        })
+      })
+    })
+  })
+}
+
+/*
+  Private method:
+  requestStores({ lat: string, lon: string, city?: string, postcode?: string, limit: number, radius?: number, market: string }): Promise<Object[]>
+  
+  Request the stores nearest to a location from the StoreLocator API, for `locateStores`, which
+  validates the parameters and caches the result.
+*/
+function requestStores({ lat, lon, city, postcode, limit, radius, market }) {
   // Make a POST request to the StoreLocator API, using the arguments
-  // provided above
-  return axios.post(`${process.env.SZAPI}/StoreLocator.aspx/FindRequestedStores`, {
-      "_sRequestJSON": `{
-        "Town": "${city || ""}",
-        "PostCode": "${postcode ? postcode.split(" ").join("").toUpperCase() : ""}",
-        "Latitude": ${lat},
-        "Longitude": ${lon},
+  // provided above. See "/adapters" for how requests reach Shoe Zone.
+  //
+  // The request is a stringified JSON, which is built with `JSON.stringify` so that quotes
+  // (or anything else) in the city or postcode can't break out of their strings.
+  return time("locator", { market, limit }, () => upstream.post("/StoreLocator.aspx/FindRequestedStores", {
+      "_sRequestJSON": JSON.stringify({
+        "Town": city || "",
+        "PostCode": postcode ? String(postcode).split(" ").join("").toUpperCase() : "",
+        "Latitude": Number(lat),
+        "Longitude": Number(lon),
         "StartDistance": 0,
-        "NumberOfStores": 1
-      }`
-  }, {
-    headers: {
-      origin: szURL.origin
-    }
-  })
+        "NumberOfStores": limit
+      })
+  }, market))
   // The response is stored within the "d" key of the returned JSON as a
   // stringified Object
-  .then(({ data }) => JSON.parse(data.d))
+  .then(data => JSON.parse(data.d))
   .then(({ Stores, ErrorMsg }) => {
     // If no stores are found, throw an error
-    if (Stores === null && ErrorMsg)
-      throw new HttpError(ErrorMsg, 400)
+    if ((Stores === null || !Stores.length) && ErrorMsg)
+      throw new HttpError(ErrorMsg, 400, "NO_STORES_FOUND")
     
-    // We only asked for one store, so we only need the first entry in the Array
-    return Stores[0]
+    // Only use the search point for calculating distances if it was
+    // actually supplied (0,0 is the default when it isn't)
+    const origin = Number(lat) || Number(lon) ? { lat: Number(lat), lon: Number(lon) } : undefined
+    
+    // Every store returned is added to the store directory, for "/api/store/:storeId"
+    const stores = Stores || []
+    
+    return Promise.all(stores.map(store => directory.recordStore({ store: normaliseStoreDetails(store), market })))
+      .then(() => stores.map(store => normaliseStore(store, origin)))
   })
-  // Return an Object containing the information that we need
-  .then(data => ({
-    storeName: data.DisplayLine1.toLowerCase().split(" ").map(
-      word => `${word[0].toUpperCase()}${word.substr(1)}`
-    ).join(" "),
-    storeId: Number(data.Key),
-    storeAddress: `${data.Property}, ${data.Street}, ${data.PostCode}`,
-    storePhone: data.Telephone.split(" ").join(""),
-    date: (new Date()).toLocaleString()
-  })).then(data => {
-    cache.locator.setKey(cacheKey, data)
-    cache.locator.save(true)
+  // Rank the stores by distance, nearest first. Stores with an unknown distance keep
+  // the order the API returned them in, after the stores with a known distance.
+  .then(stores => stores
+    .map((store, index) => ({ store, index }))
+    .sort((a, b) => {
+      if (a.store.distance === null || b.store.distance === null)
+        return (a.store.distance === null) - (b.store.distance === null) || a.index - b.index
+      
+      return a.store.distance - b.store.distance || a.index - b.index
+    })
+    .map(({ store }) => store)
+    .filter(store => !radius || (store.distance !== null && store.distance <= radius))
+    .slice(0, limit)
+  ).then(stores => {
+    const date = (new Date()).toLocaleString()
     
-    return data
+    return stores.map(store => ({ ...store, market, date }))
   })
 }
 
 /*
   Public method:
-  checkStoreStock({ styleCode: number, size: string, storeId: number, quantity?: number = 1 }): Promise<Object>
+  locateStore({ city?: string = "", postcode?: string = "", lat?: number = 0, lon?: number = 0, market?: string }): Promise<Object>
+  
+  Find a store given either the City, Postcode or Latitude and Longitude.
+  Uses the StoreLocator widget API; returns a Promise which resolves with
+  an Object containing the following data:
+  
+  {
+    storeName: string,
+    storeId: number,
+    storeAddress: string,
+    storePhone: string,
+    distance: number,
+    coordinates: { lat: number, lon: number },
+    market: string
+  }
+  
+  This is a convenience wrapper around `locateStores`, which only returns the
+  nearest store.
+*/
+function locateStore({ lat, lon, city, postcode, market }) {
+  return locateStores({ lat, lon, city, postcode, limit: 1, market }).then(stores => {
+    if (!stores.length)
+      throw new HttpError("No stores were found near the requested location", 404, "NO_STORES_FOUND")
+    
+    return stores[0]
+  })
+}
 
+/*
+  Public method:
+  checkStoreStock({ styleCode: number, size: string, storeId: number, quantity?: number = 1, market?: string }): Promise<Object>
+  
   Check whether the specified store has the specified product in stock. Returns a
   Promise which resolves with the following object:
   
@@ -142,12 +454,12 @@ function locateStore({ lat, lon, city, postcode }) {
   of a single style at a time. There is no way to determine quantities of stock, due to the API
   only returning a boolean value -- the only workaround would be incrementally checking quantities
   until the API returns false; however, this would most definitely spam the Shoe Zone servers (especially
-  if a store has 500+ pairs in stock), and may even cause a DOS attack. This method will be revisited
-  if Shoe Zone decided to provide an API which is capable of returning stock levels per store.
+  if a store has 500+ pairs in stock), and may even cause a DOS attack. See `estimateStoreStock` for
+  a bounded alternative, which only works out roughly how many pairs a store has.
 */
-function checkStoreStock({ styleCode, size, storeId, quantity = 1 }) {
-  // Make a POST request to the Stock Checker API, using the arguments provided above.
-  return axios.post(`${process.env.SZAPI}/Product.aspx/StoreStockAjaxRequest`, {
+function checkStoreStock({ styleCode, size, storeId, quantity = 1, market }) {
+  // Make a POST request to the market's Stock Checker API, using the arguments provided above.
+  return resolveMarket(market).then(({ id }) => time("stock", { market: id, storeId, styleCode, size }, () => upstream.post("/Product.aspx/StoreStockAjaxRequest", {
     // The "data" key of the request body contains a stringified JSON with the
     // required information. Each key is mapped to an Object containing key-value
     // pairs of "val" - the value of the key. For some reason, we need to specify
@@ -159,15 +471,11 @@ function checkStoreStock({ styleCode, size, storeId, quantity = 1 }) {
       '_prod_hasStockInWH': { 'val': 'true', 'err': '' },
       '_prod_Action': { 'val': 'getStoreStock', 'err': '' }
     }`
-  }, {
-    headers: {
-      origin: szURL.origin
-    }
-  })
+  }, id)))
   // The response is stored within the "d" key of the returned JSON with
   // the data we need stored within a stringified JSON Object under the
   // "data" key
-  .then(({ data }) => JSON.parse(data.d.data))
+  .then(data => JSON.parse(data.d.data))
   .then(data => {
     // The API still responds with a 200 status even if the product code
     // is wrong (or doesn't exist). We need to check for the "_prod_sNo_Stock"
@@ -176,20 +484,158 @@ function checkStoreStock({ styleCode, size, storeId, quantity = 1 }) {
       return data._prod_sNo_Stock
     
     // If the API didn't return any usable data, throw an error
-    throw new Error("Product unavailable")
+    throw new HttpError("Product unavailable", 500, "PRODUCT_UNAVAILABLE")
   })
   // Return an Object containing the data we need
-  .then(data => ({
-    inStock: data.HasStock,
-    storeName: data.StoreName,
-    storeId: data.StoreNo,
-    storeAddress: data.StoreAddress
-  }))
+  .then(data => {
+    // Stores which are checked are added to the store directory, in case they haven't
+    // been discovered by the StoreLocator API yet
+    return directory.recordStore({ store: {
+      storeId: data.StoreNo,
+      storeName: data.StoreName,
+      storeAddress: data.StoreAddress
+    }, market }).then(() => ({
+      inStock: data.HasStock,
+      storeName: data.StoreName,
+      storeId: data.StoreNo,
+      storeAddress: data.StoreAddress
+    }))
+  })
 }
 
+/*
+  The quantities checked by `estimateStoreStock`, in order. Each check doubles the quantity, so a
+  store's stock is narrowed down to one of the following bands in at most 4 checks: 0, 1, 2-3,
+  4-7 or 8+.
+*/
+const estimateQuantities = [ 1, 2, 4, 8 ]
+
+/*
+  Every check made by `estimateStoreStock` counts towards a budget for the store, which is reset
+  every `estimateBudgetWindow` seconds. The budget is SZ_ESTIMATE_BUDGET checks (40 by default),
+  so however many clients ask, a single store is never sent more than this many checks an hour.
+*/
+const estimateBudgetWindow = 3600
+
+// The checks made of each store in the current window, as { start: number, used: number }
+const estimateBudgets = new Map()
+
+// Estimates currently being made, so identical requests wait for the same checks
+const estimatesInFlight = new Map()
+
 /*
   Private method:
-  fetchWebpage(pathname?: string = "/", cacheTTL?: number = 31536000): Promise<Object{
+  reserveEstimateBudget(budgetKey: string, checks: number, now?: number = Date.now()): function<void>(used: number)
+  
+  Reserve checks from a store's budget, rejecting with a 429 `HttpError` if there aren't enough
+  left. Returns a function which gives back any reserved checks which weren't used.
+*/
+function reserveEstimateBudget(budgetKey, checks, now = Date.now()) {
+  const budget = Number(process.env.SZ_ESTIMATE_BUDGET) || 40
+  let current = estimateBudgets.get(budgetKey)
+  
+  if (!current || now >= current.start + estimateBudgetWindow * 1000) {
+    current = { start: now, used: 0 }
+    estimateBudgets.set(budgetKey, current)
+  }
+  
+  if (current.used + checks > budget) {
+    const reset = Math.ceil((current.start + estimateBudgetWindow * 1000 - now) / 1000)
+    
+    throw new HttpError(`Too many stock estimates have been made for this store. Try again in ${reset} seconds`, 429, "ESTIMATE_BUDGET_EXCEEDED")
+  }
+  
+  current.used += checks
+  
+  return used => {
+    current.used -= checks - used
+  }
+}
+
+/*
+  Public method:
+  estimateStoreStock({ styleCode: string, size: string, storeId: number, market?: string }): Promise<Object>
+  
+  Work out roughly how many pairs of a size a store has in stock, by checking increasing quantities
+  with `checkStoreStock` until the store doesn't have enough (see `estimateQuantities`). Resolves
+  with the following Object:
+  
+  {
+    storeId: number,
+    storeName: string,
+    storeAddress: string,
+    styleCode: string,
+    size: string,
+    market: string,
+    quantity: {
+      min: number,
+      max: number | null, // null when the store has at least `min` pairs
+      label: string // e.g. "0", "1", "2–3", "4–7" or "8+"
+    },
+    checks: number, // How many checks were made to Shoe Zone
+    estimated: string, // When the estimate was made
+    cached: boolean
+  }
+  
+  Estimates are cached for 10 minutes, and every check counts towards the store's budget (see
+  `estimateBudgetWindow`). Rejects with a 429 `HttpError` if the store's budget has been used up, or
+  the same errors as `checkStoreStock` if a check fails.
+*/
+function estimateStoreStock({ styleCode, size, storeId, market }) {
+  return resolveMarket(market).then(({ id }) => {
+    const cacheKey = `estimate@sz:${id.toLowerCase()}:${storeId}:${styleCode}${size}`
+    
+    if (estimatesInFlight.has(cacheKey))
+      return estimatesInFlight.get(cacheKey)
+    
+    const estimate = cache.estimates.get(cacheKey).then(cachedValue => {
+      if (cachedValue)
+        return { ...cachedValue.value, cached: true }
+      
+      const release = reserveEstimateBudget(`${id}:${storeId}`, estimateQuantities.length)
+      const results = []
+      
+      // Check each quantity in turn, stopping as soon as the store doesn't have enough
+      const check = index => checkStoreStock({ styleCode, size, storeId, quantity: estimateQuantities[index], market: id }).then(result => {
+        results.push(result)
+        
+        return result.inStock && index + 1 < estimateQuantities.length ? check(index + 1) : result
+      })
+      
+      return check(0).finally(() => release(results.length)).then(({ storeName, storeAddress }) => {
+        const inStock = results.filter(({ inStock }) => inStock).length
+        const min = inStock ? estimateQuantities[inStock - 1] : 0
+        const max = inStock === estimateQuantities.length ? null : (inStock ? estimateQuantities[inStock] - 1 : 0)
+        
+        const value = {
+          storeId: Number(storeId),
+          storeName,
+          storeAddress,
+          styleCode: String(styleCode),
+          size,
+          market: id,
+          quantity: {
+            min,
+            max,
+            label: max === null ? `${min}+` : (min === max ? String(min) : `${min}–${max}`)
+          },
+          checks: results.length,
+          estimated: (new Date()).toISOString()
+        }
+        
+        return cache.estimates.set(cacheKey, value).then(() => ({ ...value, cached: false }))
+      })
+    })
+    
+    estimatesInFlight.set(cacheKey, estimate)
+    
+    return estimate.finally(() => estimatesInFlight.delete(cacheKey))
+  })
+}
+
+/*
+  Private method:
+  fetchWebpage(pathname?: string = "/", store?: Namespace, market?: string = "GB"): Promise<Object{
     result: JSDOM | any,
     setCache: function<void>(value: any)
   }>
@@ -198,36 +644,46 @@ function checkStoreStock({ styleCode, size, storeId, quantity = 1 }) {
   The returned Promise will resolve with a JSDOM object. Manipulation can be performed
   as if used in the browser (thanks to the JSDOM library).
   
-  `cacheTTL` determines how long the cached value will be stored before it expires. Setting
-  this to `false` will ignore the cached value when fetching a webpage. As of 2020-07-20,
-  this method no longer caches the resulting HTML, and instead returns an Object which contains
-  a `setCache` callback, taking a single "value" parameter. Call this to set the content of
-  the cache to return when the same URL is requested. If cacheTTL was falsey when the webpage
-  was fetched, the setCache callback will return instantly to prevent setting cached data.
+  `store` is the cache namespace (see `cache`) to check for a value before fetching the webpage,
+  which also determines how long the value is cached for. Omitting it will ignore the cache when
+  fetching a webpage. As of 2020-07-20, this method no longer caches the resulting HTML, and instead
+  returns an Object which contains a `setCache` callback, taking a single "value" parameter. Call this
+  to set the content of the cache to return when the same URL is requested. If `store` was omitted
+  when the webpage was fetched, the setCache callback will resolve instantly without caching anything.
+  
+  If the page can't be fetched (e.g. while Shoe Zone is unavailable), an expired cache entry is
+  resolved instead, with `stale` set to true.
 */
-function fetchWebpage(pathname = "/", cacheTTL = 31536000) {
+function fetchWebpage(pathname = "/", store, market = "GB") {
   // The key which data will be indexed under by the cache
-  const cacheKey = `page@sz:${pathname.toLowerCase()}`
+  const cacheKey = `page@sz:${market.toLowerCase()}:${pathname.toLowerCase()}`
   
-  if (cacheTTL) {
-    // Check the cache for an entry matching the requested path
-    const cachedValue = cache.products.getKey(cacheKey)
-    
-    if (cachedValue && cachedValue.timestamp && (Date.now() - cachedValue.timestamp < cacheTTL))
-      return Promise.resolve({ result: cachedValue.value, cached: true })
-  }
+  // Check the cache for an entry matching the requested path
+  const cached = store ? store.get(cacheKey) : Promise.resolve()
   
-  // Use JSDOM's `fromURL` convenience method to download and parse the HTML
-  // content of the requested page
-  return JSDOM.fromURL(`${process.env.SZSITE}${pathname}`).then(jsdom => {
-    console.dir(jsdom)
+  return cached.then(cachedValue => {
+    if (cachedValue)
+      return { result: cachedValue.value, cached: true }
     
-    return { result: jsdom, cached: false, setCache: value => {
-      if (!cacheTTL) return
+    // Download and parse the HTML content of the requested page using the
+    // upstream adapter (see "/adapters"), which resolves with a JSDOM object
+    return time("page", { market, pathname }, () => upstream.fetchPage(pathname, market)).then(jsdom => ({
+      result: jsdom,
+      cached: false,
+      setCache: value => store ? store.set(cacheKey, value) : Promise.resolve()
+    })).catch(err => {
+      // If Shoe Zone can't be reached, serve the expired cache entry (if there is one) rather
+      // than failing. Pages which don't exist are never served from the cache.
+      if (!store || err.statusCode === 404)
+        throw err
       
-      cache.products.setKey(cacheKey, { timestamp: Date.now(), value })
-      cache.products.save(true)
-    }}
+      return store.get(cacheKey, { stale: true }).then(staleValue => {
+        if (!staleValue)
+          throw err
+        
+        return { result: staleValue.value, cached: true, stale: true }
+      })
+    })
   })
 }
 
@@ -261,9 +717,533 @@ function abbreviateOffer(offer) {
 }
 
 
+/*
+  Private method:
+  parsePrice(element: Element | null): number | null
+  
+  Extract a price (e.g. "£12.99" or "Was £20") from the text content of an element. Returns null
+  if the element doesn't exist, or doesn't contain a price.
+*/
+function parsePrice(element) {
+  const match = element && element.textContent.match(/[£€]\s*(\d+(?:\.\d{1,2})?)/)
+  
+  return match ? Number(match[1]) : null
+}
+
+/*
+  Field validators used by `extractField` to decide whether a scraped value is usable.
+*/
+const isText = value => typeof value === "string" && value.trim().length > 0
+const isNumber = value => typeof value === "number" && !isNaN(value) && value >= 0
+const isList = value => Array.isArray(value) && value.length > 0
+
+/*
+  Private method:
+  extractField({ field: string, sources: Object[], validate: function<boolean>(value: any), fallback?: any, warnings: string[] }): any
+  
+  Shoe Zone occasionally change the markup of their product pages, so most fields can be found in
+  more than one place. Each source is an Object of `{ from: string, value: function<any>() }`, and is
+  tried in order until one returns a value which passes `validate`. Sources which throw (e.g. from
+  calling `getAttribute` on a missing element) are skipped.
+  
+  A warning is added to `warnings` when the first source couldn't be used, or when no source could
+  be used at all, in which case `fallback` is returned instead.
+*/
+function extractField({ field, sources, validate, fallback = null, warnings }) {
+  for (let i = 0; i < sources.length; i++) {
+    let value
+    
+    try {
+      value = sources[i].value()
+    } catch (err) {
+      value = undefined
+    }
+    
+    if (validate(value)) {
+      if (i > 0)
+        warnings.push(`"${field}" was read from ${sources[i].from}, as it could not be read from ${sources[0].from}`)
+      
+      return value
+    }
+  }
+  
+  warnings.push(`"${field}" could not be found on the product page`)
+  
+  return fallback
+}
+
+/*
+  Private method:
+  parseStructuredData(dom: Document, warnings: string[]): Object
+  
+  Find the product in the page's JSON SEO (ld+json) scripts. Resolves with an empty Object if there
+  isn't one, or if it can't be parsed, so that the microdata on the page can be used instead.
+*/
+function parseStructuredData(dom, warnings) {
+  const scripts = Array.from(dom.querySelectorAll("script[type='application/ld+json']"))
+  
+  for (const script of scripts) {
+    try {
+      const seo = JSON.parse(script.textContent)
+      const product = seo.mainEntity || (seo["@type"] === "Product" ? seo : null)
+      
+      if (product)
+        return product
+    } catch (err) {
+      warnings.push("The product page contains JSON SEO which could not be parsed")
+    }
+  }
+  
+  return {}
+}
+
+/*
+  Private method:
+  getMicrodata(dom: Document, property: string): string | undefined
+  
+  Read a microdata property (e.g. [itemprop="price"]) of the product on the page, preferring the
+  "content" attribute over the element's text. Other items on the page (such as breadcrumbs) also
+  have properties like "name", so the product's own item is searched first.
+*/
+function getMicrodata(dom, property) {
+  const product = dom.querySelector("[itemtype*='schema.org/Product']") || dom
+  const element = product.querySelector(`[itemprop='${property}']`)
+  
+  if (element)
+    return (element.getAttribute("content") || element.getAttribute("src") || element.textContent).trim()
+}
+
+/*
+  Private method:
+  isProductPage(dom: Document): boolean
+  
+  Shoe Zone don't always respond with a 404 status for products which don't exist; sometimes they
+  serve a normal page instead. A product page will always have at least one of these.
+*/
+function isProductPage(dom) {
+  return Boolean(dom.querySelector([
+    "script[type='application/ld+json']",
+    "[itemtype*='schema.org/Product']",
+    "select#productSelectedSize",
+    "#main-image-0"
+  ].join(", ")))
+}
+
+/*
+  Private method:
+  parseProductMetadata(dom: Document, styleCode: string, warnings: string[]): Object
+  
+  Scrape the (rarely changing) product information from a product page. See `getProductInfo`
+  for a description of each field. Any fields which had to be read from an alternative source,
+  or couldn't be found at all, are described in `warnings`. Throws a 502 `HttpError` if not even
+  the name of the product can be found, as there is nothing useful to return.
+*/
+function parseProductMetadata(dom, styleCode, warnings) {
+  // Extract metadata from JSON SEO
+  const seo = parseStructuredData(dom, warnings)
+  const seoOffer = Array.isArray(seo.offers) ? seo.offers[0] || {} : seo.offers || {}
+  
+  const productInfo = {
+    // The product ID (a.k.a. "Style Code" in most cases). This is typically displayed below
+    // the price listing.
+    id: extractField({
+      field: "id",
+      validate: value => Number.isInteger(value) && value > 0,
+      fallback: Number(styleCode),
+      warnings,
+      sources: [
+        { from: "JSON SEO", value: () => Number(seo.sku) },
+        { from: "microdata", value: () => Number(getMicrodata(dom, "sku")) }
+      ]
+    }),
+    
+    // The name of the product. Extracted from the main title on the product page.
+    name: extractField({
+      field: "name",
+      validate: isText,
+      warnings,
+      sources: [
+        { from: "JSON SEO", value: () => seo.name.trim() },
+        { from: "microdata", value: () => getMicrodata(dom, "name") },
+        { from: "the page title", value: () => dom.querySelector("h1").textContent.trim() }
+      ]
+    }),
+    
+    // The product description, as displayed on the product page.
+    description: extractField({
+      field: "description",
+      validate: isText,
+      fallback: "",
+      warnings,
+      sources: [
+        { from: "JSON SEO", value: () => seo.description.trim() },
+        { from: "microdata", value: () => getMicrodata(dom, "description") }
+      ]
+    }),
+    
+    /*
+      An object containing the current price of the product, as displayed on its product
+      page. Sometimes the previous price (or MRRP) is also displayed on the page under
+      "Price History", in which case it is included as `was`. The full history of prices
+      is recorded separately (see "/controllers/history.js").
+    */
+    price: {
+      current: extractField({
+        field: "price",
+        validate: isNumber,
+        warnings,
+        sources: [
+          { from: "JSON SEO", value: () => Number(seoOffer.price) },
+          { from: "microdata", value: () => Number(getMicrodata(dom, "price")) },
+          { from: "the price label", value: () => parsePrice(dom.querySelector("#divProdRightDT .price, .price")) }
+        ]
+      }),
+      was: parsePrice(dom.querySelector(".price-history, .was-price, .rrp"))
+    },
+    
+    /*
+      The currency the product page was displayed with. By default, this will always be
+      in GBP (Pounds), but could potentially be displayed in EUR (Euro), as Shoe Zone
+      also serves Ireland.
+    */
+    currency: extractField({
+      field: "currency",
+      validate: value => isText(value) && value.length === 3,
+      fallback: "GBP",
+      warnings,
+      sources: [
+        { from: "JSON SEO", value: () => seoOffer.priceCurrency.trim().toUpperCase() },
+        { from: "microdata", value: () => getMicrodata(dom, "priceCurrency").toUpperCase() }
+      ]
+    }),
+    
+    /*
+      This is the first product image displayed on the product page. Usually a 400x400
+      photo with a plain white background.
+    */
+    thumbnail: extractField({
+      field: "thumbnail",
+      validate: isText,
+      warnings,
+      sources: [
+        { from: "the main product image", value: () => dom.querySelector("#main-image-0").getAttribute("src") },
+        { from: "JSON SEO", value: () => Array.isArray(seo.image) ? seo.image[0] : seo.image },
+        { from: "microdata", value: () => getMicrodata(dom, "image") },
+        { from: "the page's metadata", value: () => dom.querySelector("meta[property='og:image']").getAttribute("content") }
+      ]
+    }),
+    
+    // The first entry will usually be "Mens", "Womens", "Girls", "Boys" or "Bags & Accessories".
+    // Subsequent categories declare what type of product is being displayed (e.g. "Sandals")
+    categories: extractField({
+      field: "categories",
+      validate: isList,
+      fallback: [],
+      warnings,
+      sources: [
+        { from: "the breadcrumbs", value: () => Array.from(dom.querySelectorAll("#bread-crumbs .breadcrumb"), crumb => crumb.textContent.trim()) },
+        {
+          from: "microdata",
+          value: () => Array.from(
+            dom.querySelectorAll("[itemtype*='BreadcrumbList'] [itemprop='itemListElement'] [itemprop='name']"),
+            crumb => crumb.textContent.trim()
+          ).filter(crumb => crumb.toLowerCase() !== "home")
+        }
+      ]
+    }),
+    
+    // Every image in the product's gallery, including the thumbnail
+    images: parseGallery(dom, seo),
+    
+    // The other colourways of this style, which have their own style codes
+    variants: parseVariants(dom, styleCode),
+    
+    /*
+      An Array of Objects containing information about the offers currently applied to the
+      product (e.g. "Buy One Get One Free"). This includes icons for the offers (if applicable),
+      in addition to an abbreviated name for the offer (e.g. "BOGOF"), and the rule for applying
+      the offer to a basket (see "/controllers/offers.js"), or null if the offer isn't understood
+    */
+    offers: Array.from(
+      dom.querySelectorAll("#divProdRightDT .grid:first-child .grid__col:last-child .float-right a[href][title]"),
+      offer => {
+        const image = offer.querySelector("img")
+        const name = offer.getAttribute("title").trim()
+        
+        return {
+          name,
+          image: image ? image.getAttribute("src") : null,
+          abbr: abbreviateOffer(name),
+          rule: parseOffer({ name })
+        }
+      }
+    ).filter(({ name }) => name.length && !ignoredOffers.includes(name.toLowerCase()))
+  }
+  
+  // Offers which can't be applied to a basket are reported, so new kinds of offer can be added
+  productInfo.offers.filter(({ rule }) => !rule).forEach(({ name }) =>
+    warnings.push(`The offer "${name}" is not recognised, so won't be applied to baskets`)
+  )
+  
+  if (!productInfo.name)
+    throw new HttpError(`The product page for "${styleCode}" could not be understood`, 502, "PRODUCT_UNPARSABLE")
+  
+  return productInfo
+}
+
+/*
+  Private method:
+  getStyleCodeFromLink(link: Element): string | undefined
+  
+  Product links end with the style code (e.g. "/Products/Product-15070"), so extract it from the
+  link's [href] attribute.
+*/
+function getStyleCodeFromLink(link) {
+  const match = (link.getAttribute("href") || "").match(/(\d{5,6})\/?(?:[?#].*)?$/)
+  
+  return match ? match[1] : undefined
+}
+
+/*
+  Private method:
+  parseImageSize(image: Element): { width: number, height: number } | null
+  
+  Read the dimensions of an image from its [width] and [height] attributes. Returns null if
+  either are missing, as the images aren't downloaded to measure them.
+*/
+function parseImageSize(image) {
+  const width = Number(image.getAttribute("width"))
+  const height = Number(image.getAttribute("height"))
+  
+  return width > 0 && height > 0 ? { width, height } : null
+}
+
+/*
+  Private method:
+  parseGallery(dom: Document, seo: Object): Object[]
+  
+  Scrape every image of the product from its gallery, in the order displayed on the page. Each
+  image may also have a larger "zoom" version. Images which are only listed in the JSON SEO are
+  added at the end. Resolves with an Array of the following Objects:
+  
+  {
+    url: string,
+    zoom: string | null,
+    size: { width: number, height: number } | null
+  }
+*/
+function parseGallery(dom, seo) {
+  const images = new Map()
+  
+  Array.from(dom.querySelectorAll("[id^='main-image-'], .product-gallery img, .product-thumbnails img")).forEach(image => {
+    const url = image.getAttribute("data-src") || image.getAttribute("src")
+    
+    if (!url || images.has(url))
+      return
+    
+    images.set(url, {
+      url,
+      zoom: image.getAttribute("data-zoom-image") || null,
+      size: parseImageSize(image)
+    })
+  })
+  
+  const seoImages = Array.isArray(seo.image) ? seo.image : [ seo.image ]
+  
+  seoImages.filter(url => isText(url) && !images.has(url)).forEach(url => images.set(url, { url, zoom: null, size: null }))
+  
+  return Array.from(images.values())
+}
+
+/*
+  Private method:
+  parseVariants(dom: Document, styleCode: string): Object[]
+  
+  Scrape the other colourways of the product, which the product page links to with colour swatches.
+  Resolves with an Array of the following Objects:
+  
+  {
+    id: number,
+    colour: string,
+    thumbnail: string | null
+  }
+*/
+function parseVariants(dom, styleCode) {
+  const variants = new Map()
+  
+  Array.from(dom.querySelectorAll(".colour-swatches a[href*='/Products/'], .product-colours a[href*='/Products/'], a[data-colour][href*='/Products/']")).forEach(link => {
+    const id = getStyleCodeFromLink(link)
+    
+    if (!id || id === String(styleCode) || variants.has(id))
+      return
+    
+    const image = link.querySelector("img")
+    
+    variants.set(id, {
+      id: Number(id),
+      colour: (link.getAttribute("data-colour") || link.getAttribute("title") || (image && image.getAttribute("alt")) || link.textContent).trim(),
+      thumbnail: image ? image.getAttribute("data-src") || image.getAttribute("src") : null
+    })
+  })
+  
+  return Array.from(variants.values())
+}
+
+/*
+  Private method:
+  parseWarehouseStock(dom: Document, warnings: string[]): Object[]
+  
+  Scrape the size range of a product from a product page, including the quantity of each
+  size currently available to order (in the warehouse). Sizes with a missing or invalid
+  quantity are assumed to be out of stock, and described in `warnings`.
+*/
+function parseWarehouseStock(dom, warnings) {
+  const options = Array.from(dom.querySelectorAll("select#productSelectedSize option")).filter(option => option.value.trim().length)
+  
+  if (!options.length)
+    warnings.push("\"sizeRange\" could not be found on the product page")
+  
+  return options.map(option => {
+    const size = option.getAttribute("data-display-size") || option.textContent.trim()
+    let warehouse = Number(option.getAttribute("data-available-qty"))
+    
+    if (!option.hasAttribute("data-available-qty") || !isNumber(warehouse)) {
+      warnings.push(`The warehouse stock of size "${size}" could not be read, so it has been assumed to be 0`)
+      warehouse = 0
+    }
+    
+    return {
+      size,
+      warehouse,
+      code: option.value.trim().substr(-3)
+    }
+  })
+}
+
+/*
+  Private method:
+  describeCacheEntry(entry: { timestamp: number }): { updated: string, age: number }
+  
+  Describe how old a cache entry is, for including in responses. `age` is in seconds.
+*/
+function describeCacheEntry({ timestamp }) {
+  return {
+    updated: (new Date(timestamp)).toISOString(),
+    age: Math.floor((Date.now() - timestamp) / 1000)
+  }
+}
+
+/*
+  Private method:
+  getProductCacheKeys(styleCode: string, market: string): { metadataKey: string, stockKey: string }
+  
+  The keys which each part of a product's information is indexed under by the cache.
+*/
+function getProductCacheKeys(styleCode, market) {
+  return {
+    metadataKey: `product@sz:${market.toLowerCase()}:${styleCode}`,
+    stockKey: `stock@sz:${market.toLowerCase()}:${styleCode}`
+  }
+}
+
+/*
+  Public method:
+  getProductExpiry({ styleCode: string, market?: string }): Promise<{ timestamp: number, expires: number } | null>
+  
+  When the cached information of a product was fetched (`timestamp`) and when it expires
+  (`expires`), both in milliseconds, for whichever of its two parts expires first. Resolves with
+  null if either part isn't cached at all. The cache is only peeked at, so this doesn't count as a
+  hit or miss, or stop the product from being evicted.
+*/
+function getProductExpiry({ styleCode, market }) {
+  return resolveMarket(market).then(({ id }) => {
+    const { metadataKey, stockKey } = getProductCacheKeys(normaliseStyleCode(styleCode), id)
+    
+    return Promise.all([ cache.products.peek(metadataKey), cache.stock.peek(stockKey) ])
+  }).then(([ metadata, stock ]) => {
+    if (!metadata || !stock)
+      return null
+    
+    const { timestamp, expires } = metadata.expires < stock.expires ? metadata : stock
+    
+    return { timestamp, expires }
+  })
+}
+
+/*
+  Public method:
+  isProductCached({ styleCode: string, market?: string }): Promise<boolean>
+  
+  Whether `getProductInfo` can respond without downloading the product page, i.e. both parts of the
+  product's information are cached and haven't expired (see `getProductExpiry`).
+*/
+function isProductCached({ styleCode, market }) {
+  return getProductExpiry({ styleCode, market }).then(cached => Boolean(cached && cached.expires > Date.now()))
+}
+
+/*
+  The maximum number of requests which `getStoreAvailability` will have waiting on the StoreStock API
+  at any one time, as every size of a product is checked separately.
+*/
+const storeAvailabilityConcurrency = 4
+
+/*
+  Private method:
+  getStoreAvailability({ styleCode: number, sizes: string[], storeId: number, market: string }): Promise<Object{
+    timestamp: number,
+    store: Object,
+    stock: { [code: string]: boolean | null }
+  }>
+  
+  Check which sizes of a product a store has in stock using `checkStoreStock`, with no more than
+  `storeAvailabilityConcurrency` checks being made at once. `stock` is keyed by size code, and a value
+  of `null` means the check for that size failed. `store` is the store's record from the store
+  directory (see "/controllers/stores.js"), which every successful check adds the store to.
+  
+  `stock` is cached for 5 minutes in the "store-stock" namespace, separately from the product's
+  metadata, unless any of the checks failed. `timestamp` is when the checks were made. Rejects with
+  the first error if every check failed (e.g. because the store doesn't exist).
+*/
+function getStoreAvailability({ styleCode, sizes, storeId, market }) {
+  const cacheKey = `store-stock@sz:${market.toLowerCase()}:${Number(storeId)}:${styleCode}`
+  
+  const checked = cache.storeStock.get(cacheKey).then(cachedValue => {
+    if (cachedValue)
+      return cachedValue
+    
+    let firstError
+    
+    return mapLimit(sizes, storeAvailabilityConcurrency, size => checkStoreStock({ styleCode, size, storeId, market }).then(
+      ({ inStock }) => inStock,
+      err => {
+        firstError = firstError || err
+        return null
+      }
+    )).then(results => {
+      if (sizes.length && results.every(inStock => inStock === null))
+        throw firstError
+      
+      const entry = {
+        timestamp: Date.now(),
+        value: sizes.reduce((stock, code, index) => {
+          stock[code] = results[index]
+          return stock
+        }, {})
+      }
+      
+      return results.includes(null) ? entry : cache.storeStock.set(cacheKey, entry.value).then(() => entry)
+    })
+  })
+  
+  // The store's details are always read from the directory, so that `openNow` is up to date
+  return checked.then(({ timestamp, value }) =>
+    directory.getStore({ storeId, market }).then(store => ({ timestamp, store, stock: value }))
+  )
+}
+
 /*
   Public method:
-  getProductInfo({ styleCode: number, storeId?: number }): Promise<Object>
+  getProductInfo({ styleCode: number, storeId?: number, market?: string, currency?: string, refresh?: boolean }): Promise<Object>
   
   Downloads a copy of the product page from the Shoe Zone website and scrapes
   information from the HTML content. Returns a promise which resolves with the
@@ -272,132 +1252,504 @@ function abbreviateOffer(offer) {
   {
     id: number,
     name: string,
-    price: { current: number },
+    price: { current: number, was: number | null },
     currency: string,
+    converted?: { currency: string, rate: number, current: number | null, was: number | null },
+    market: string,
     thumbnail: string,
+    images: { url: string, zoom: string | null, size: { width: number, height: number } | null }[],
+    variants: { id: number, colour: string, thumbnail: string | null }[],
     categories: string[],
-    storeId: number, // NOT IMPLEMENTED - See notes.
+    storeId?: number,
+    store?: Object, // See `getStore` in "/controllers/stores.js"
     sizeRange: {
       size: string,
       stock: {
         warehouse: number,
-        store: number // NOT IMPLEMENTED - See notes.
+        store?: boolean | null
       },
       code: string
     },
-    offers: string[]
+    offers: { name: string, image: string | null, abbr: string, rule: Object | null }[],
+    freshness: {
+      metadata: { updated: string, age: number },
+      stock: { updated: string, age: number },
+      store?: { updated: string, age: number },
+      stale: boolean
+    },
+    warnings: string[]
   }
   
-  Note: The StoreId is an unused parameter, but hopefully an API will be implemented on Shoe Zone's
-  servers eventually that will allow a specific store's stock levels to be checked. When this API does
-  come to fruition, stock quantities will be output in the `sizeRange` key of the resulting Object.
-  There will additionally be a `storeId` key in the resulting Object to reflect which store the stock
-  levels have been retrieved from.
+  Product information is split into two parts, which are cached separately:
+  
+  metadata: The name, description, price, categories, images and offers of a product. These
+            rarely change, so are cached for 8 hours, in the "products" namespace.
+  stock:    The size range of a product, and the quantity of each size in the warehouse. This
+            changes constantly, so is only cached for 5 minutes, in the "stock" namespace.
+  
+  Both parts are cached separately for each market. If `currency` is specified, the price is also
+  converted into that currency (see `convertPrice` in "/utils/markets.js"), as `converted`.
+  
+  Both parts come from the same product page, so whenever the page is downloaded to refresh the
+  stock, the metadata is only parsed again if its own cache entry has also expired. `freshness`
+  describes when each part was last fetched from the Shoe Zone website, and how many seconds ago
+  that was. If the product page can't be fetched (e.g. while Shoe Zone is unavailable), expired
+  cache entries are served instead, and `stale` is set to true.
+  
+  If Shoe Zone change the markup of their product pages, fields are read from alternative parts of
+  the page where possible, and any fields which couldn't be read are listed in `warnings` rather than
+  failing the whole request. Rejects with a 404 `HttpError` if the product doesn't exist, or a 502
+  `HttpError` if the product page couldn't be fetched or understood.
+  
+  If `storeId` is specified, every size is also checked at that store (see `getStoreAvailability`),
+  and `sizeRange[].stock.store` is whether the store has at least one pair of the size in stock, or
+  null if the size couldn't be checked. The store's details are included as `store`. Shoe Zone only
+  say whether a store has a size in stock, not how many pairs it has (see `estimateStoreStock`).
+  
+  If `refresh` is set, the product page is downloaded even if both parts are still cached (this is
+  used by the crawler, see "/controllers/crawler.js", to refresh products before they expire), and
+  expired entries aren't served in place of a page which couldn't be fetched.
 */
-function getProductInfo({ styleCode, storeId }) {
-  /*
-    As of 2020-07-19, product codes may be up to 6-digits long. This means we now need
-    to appropriately handle product codes with more than 5 digits. Size codes are still
-    currently only 3 digits long.
+function getProductInfo({ styleCode, storeId, market, currency, refresh = false }) {
+  styleCode = normaliseStyleCode(styleCode)
+  
+  return resolveMarket(market).then(({ id: marketId }) => {
+    // The keys which each part of the product information is indexed under by the cache
+    const { metadataKey, stockKey } = getProductCacheKeys(styleCode, marketId)
     
-    We can determine if a styleCode also contains a size code and truncate it by
-    subtracting 3 from its length. If length-3 is greater than or equal to 5, then
-    it most likely contains a size code too, and we should remove the last 3
-    characters.
+    // Only download the product page if either part of the cache has expired. This
+    // calls the `fetchWebpage` method, which is documented above, without caching the
+    // page itself, as each part is cached individually below.
+    const request = (refresh ? Promise.resolve([]) : Promise.all([
+      cache.products.get(metadataKey),
+      cache.stock.get(stockKey)
+    ])).then(([ cachedMetadata, cachedStock ]) => {
+      if (cachedMetadata && cachedStock)
+        return { metadata: cachedMetadata, stock: cachedStock }
+      
+      return fetchWebpage(`/Products/Product-${styleCode}`, undefined, marketId).catch(err => {
+        // Errors from the website are either because the product doesn't exist, or because
+        // the website itself is having problems
+        if (err.statusCode === 404)
+          throw new HttpError(`Product "${styleCode}" was not found`, 404, "PRODUCT_NOT_FOUND")
+        
+        throw new HttpError(`The product page for "${styleCode}" could not be fetched: ${err.message}`, 502)
+      }).then(({ result: jsdom }) => {
+        // Extract the document from the JSDOM object and set it as a variable named "dom"
+        const { window: { document: dom } } = jsdom
+        
+        if (!isProductPage(dom))
+          throw new HttpError(`Product "${styleCode}" was not found`, 404, "PRODUCT_NOT_FOUND")
+        
+        // Parse the metadata first (if it needs refreshing), as it throws if the page can't
+        // be understood at all, in which case nothing should be cached
+        let metadata = cachedMetadata
+        
+        if (!metadata) {
+          const warnings = []
+          metadata = { timestamp: Date.now(), value: { product: time("parse", { styleCode }, () => parseProductMetadata(dom, styleCode, warnings)), warnings } }
+        }
+        
+        // The stock will always need refreshing when we've had to download the page
+        const stockWarnings = []
+        const stock = { timestamp: Date.now(), value: { sizes: parseWarehouseStock(dom, stockWarnings), warnings: stockWarnings } }
+        const updates = [ cache.stock.set(stockKey, stock.value) ]
+        
+        if (metadata !== cachedMetadata) {
+          updates.push(cache.products.set(metadataKey, metadata.value))
+          
+          // Every freshly scraped price is added to the product's price history. Only prices in
+          // the GB market are recorded, so that the history never mixes currencies.
+          const { id, name, price, currency } = metadata.value.product
+          
+          if (marketId === "GB")
+            updates.push(history.recordPrice({ styleCode: id, name, current: price.current, was: price.was, currency }))
+        }
+        
+        // Every scrape is compared with the previous one, so that changes to the product (e.g. an
+        // offer starting, or a size selling out) are added to the change feed
+        updates.push(changes.recordSnapshot({ product: metadata.value.product, sizes: stock.value.sizes, market: marketId }))
+        
+        return Promise.all(updates).then(() => ({ metadata, stock }))
+      }).catch(err => {
+        // If Shoe Zone can't be reached (or the page can't be understood), serve the expired
+        // cache entries instead, so long as the product is known to exist (and a refresh wasn't
+        // asked for, as the refresh has failed)
+        if (err.statusCode === 404 || refresh)
+          throw err
+        
+        return Promise.all([
+          cachedMetadata || cache.products.get(metadataKey, { stale: true }),
+          cache.stock.get(stockKey, { stale: true })
+        ]).then(([ staleMetadata, staleStock ]) => {
+          if (!staleMetadata || !staleStock)
+            throw err
+          
+          return { metadata: staleMetadata, stock: staleStock, stale: err.message }
+        })
+      })
+    })
     
-    If no size code was appended to the style code, then subtracting 3 will result
-    in a value less than 5 (the minimum length of a style code).
-  */
-  if (styleCode.length - 3 >= 5)
-    styleCode = styleCode.substr(0, styleCode.length - 3)
-  
-  // Fetch the product page from the Shoe Zone website. This calls the `fetchWebpage`
-  // method, which is documented above. The resolved value is a JSDOM object. Pages
-  // will be cached for 60000ms (1 minute).
-  return fetchWebpage(`/Products/Product-${styleCode}`).then(({ cached, result: jsdom, setCache }) => {
-    if (cached) return jsdom
-    
-    // Extract the document from the JSDOM object and set it as a variable named "dom"
-    const { window: { document: dom } } = jsdom
-    
-    // Extract metadata from JSON SEO
-    const seo = JSON.parse(dom.querySelector("script[type='application/ld+json']").innerHTML)
-    
-    // Parse product information from the webpage
-    const productInfo = {
-      // The product ID (a.k.a. "Style Code" in most cases). This is typically displayed below
-      // the price listing.
-      id: Number(seo.mainEntity.sku),
+    return request.then(({ metadata, stock, stale }) => {
+      if (!storeId)
+        return { metadata, stock, stale }
       
-      // The name of the product. Extracted from the main title on the product page.
-      name: seo.mainEntity.name.trim(),
+      const { product } = metadata.value
+      const sizes = stock.value.sizes.map(({ code }) => code)
       
-      // The product description, as displayed on the product page.
-      description: seo.mainEntity.description.trim(),
+      return getStoreAvailability({ styleCode: product.id, sizes, storeId, market: marketId })
+        .then(availability => ({ metadata, stock, stale, availability }))
+    }).then(({ metadata, stock, stale, availability }) => {
+      const { product } = metadata.value
+      const productInfo = {
+        ...product,
+        
+        // The price in the requested currency, if one was requested
+        ...(currency ? { converted: convertPrice({ price: product.price, from: product.currency, to: currency }) } : {}),
+        
+        market: marketId,
+        
+        // An Array of Objects containing information about the size range of this product. Also
+        // includes current quantities of stock available to order (currently in the warehouse)
+        sizeRange: stock.value.sizes.map(({ size, warehouse, code }) => ({
+          size,
+          stock: {
+            warehouse,
+            // Whether the requested store has the size in stock, if a store was requested
+            ...(availability ? { store: availability.stock[code] } : {})
+          },
+          code
+        })),
+        
+        ...(availability ? { storeId: availability.store.storeId, store: availability.store } : {}),
+        
+        freshness: {
+          metadata: describeCacheEntry(metadata),
+          stock: describeCacheEntry(stock),
+          ...(availability ? { store: describeCacheEntry(availability) } : {}),
+          stale: Boolean(stale)
+        },
+        
+        // Describes any fields which had to be read from an alternative part of the page, or
+        // couldn't be found at all (e.g. when Shoe Zone have changed their markup)
+        warnings: [
+          ...(metadata.value.warnings || []),
+          ...(stock.value.warnings || []),
+          ...(stale ? [ `Expired information has been served, as the product page could not be refreshed (${stale})` ] : [])
+        ]
+      }
       
-      /*
-        An object containing the current price of the product, as displayed on its product
-        page. Ideally, this would show price history too, in the case of price reductions.
-        This will require some refinement, as sometimes the MRRP is also displayed on the
-        page under "Price History".
-      */
+      return productInfo
+    })
+  })
+}
+
+/*
+  The maximum number of style codes which can be requested at once by `getProducts`, and how many
+  product pages it will download at the same time.
+*/
+const batchLimit = 50
+const batchConcurrency = 3
+
+/*
+  Public method:
+  getProducts({ styleCodes: string[], market?: string, currency?: string }): Promise<Object[]>
+  
+  Get the information of several products at once using `getProductInfo`, from the same market
+  (and with prices converted into the same currency, if specified). Style codes may include
+  a size code, and duplicates are only looked up once. Products which are already cached are served
+  immediately, while the rest are fetched no more than `batchConcurrency` at a time. Resolves with
+  an Array containing an Object for each unique style code, in the order they were requested:
+  
+  {
+    styleCode: string,
+    ok: boolean,
+    status: number, // The HTTP status code the product would have been served with on its own
+    cached: boolean,
+    result: Object | string // See `getProductInfo`, or an error message when `ok` is false
+  }
+  
+  A product which fails to load doesn't fail the whole batch.
+*/
+function getProducts({ styleCodes, market, currency }) {
+  if (!Array.isArray(styleCodes) || !styleCodes.length)
+    return Promise.reject(new HttpError("An Array of style codes is required", 400))
+  
+  const uniqueCodes = Array.from(new Set(styleCodes.map(normaliseStyleCode)))
+  
+  if (uniqueCodes.length > batchLimit)
+    return Promise.reject(new HttpError(`No more than ${batchLimit} products can be requested at once`, 400))
+  
+  const lookup = cached => styleCode => getProductInfo({ styleCode, market, currency }).then(
+    result => ({ styleCode, ok: true, status: 200, cached, result }),
+    err => ({ styleCode, ok: false, status: err.statusCode || 500, cached, result: err.message })
+  )
+  
+  return resolveMarket(market).then(({ id }) =>
+    Promise.all(uniqueCodes.map(styleCode => isProductCached({ styleCode, market: id })))
+  ).then(isCached => {
+    const cachedCodes = uniqueCodes.filter((styleCode, index) => isCached[index])
+    const uncachedCodes = uniqueCodes.filter((styleCode, index) => !isCached[index])
+    
+    return Promise.all([
+      Promise.all(cachedCodes.map(lookup(true))),
+      mapLimit(uncachedCodes, batchConcurrency, lookup(false))
+    ])
+  }).then(([ cachedResults, uncachedResults ]) => {
+    const results = [ ...cachedResults, ...uncachedResults ]
+    
+    return uniqueCodes.map(styleCode => results.find(result => result.styleCode === styleCode))
+  })
+}
+
+/*
+  Private method:
+  parseProductListing(dom: Document): Object[]
+  
+  Scrape the product summaries from a search results or category listing page. Each product "tile"
+  on a listing page links to the product's own page, which is where the style code is taken from.
+  Resolves with an Array of the following Objects:
+  
+  {
+    id: number,
+    name: string,
+    price: { current: number },
+    thumbnail: string,
+    offers: string[] // Abbreviated offer names (e.g. "BOGOF")
+  }
+*/
+function parseProductListing(dom) {
+  const products = new Map()
+  
+  Array.from(dom.querySelectorAll("a[href*='/Products/']")).forEach(link => {
+    const id = getStyleCodeFromLink(link)
+    
+    if (!id || products.has(id))
+      return
+    
+    // The tile is the closest element wrapping the link which contains the product's
+    // image and price. Fall back to the link itself if the page has no wrapper.
+    const tile = link.closest(".product-list__item, .product, li, article") || link
+    const image = tile.querySelector("img")
+    const title = tile.querySelector(".product-title, .product__title, h2, h3")
+    
+    products.set(id, {
+      id: Number(id),
+      name: (title ? title.textContent : link.getAttribute("title") || (image && image.getAttribute("alt")) || "").trim(),
       price: {
-        current: Number(seo.mainEntity.offers.price)
+        current: parsePrice(tile)
       },
+      thumbnail: image ? image.getAttribute("data-src") || image.getAttribute("src") : null,
+      // Offer badges on listings are displayed in the same way as on product pages; an
+      // image with a [title] attribute, so the same ignored "offers" apply here too
+      offers: Array.from(tile.querySelectorAll("[title] > img"), offer => offer.parentElement.getAttribute("title").trim())
+        .filter(name => name.length && !ignoredOffers.includes(name.toLowerCase()) && name !== link.getAttribute("title"))
+        .map(abbreviateOffer)
+    })
+  })
+  
+  return Array.from(products.values())
+}
+
+/*
+  Private method:
+  fetchProductListing(pathname: string, page?: number = 1, market?: string): Promise<Object>
+  
+  Fetch and scrape a page of a search results or category listing from a market's website, using
+  `fetchWebpage`. The page number is passed to the Shoe Zone website as the "page" query string
+  parameter. Resolves with the following Object:
+  
+  {
+    market: string,
+    currency: string, // The currency the market's prices are displayed in
+    page: number,
+    hasNextPage: boolean,
+    products: Object[] // See `parseProductListing`
+  }
+*/
+function fetchProductListing(pathname, page = 1, market) {
+  page = Math.floor(Math.max(1, page)) || 1
+  
+  const separator = pathname.indexOf("?") === -1 ? "?" : "&"
+  
+  return resolveMarket(market).then(({ id, currency }) =>
+    fetchWebpage(`${pathname}${separator}page=${page}`, cache.listings, id).then(({ cached, result: jsdom, setCache }) => {
+      if (cached) return jsdom
       
-      /*
-        The currency the product page was displayed with. By default, this will always be
-        in GBP (Pounds), but could potentially be displayed in EUR (Euro), as Shoe Zone
-        also serves Ireland.
-      */
-      currency: seo.mainEntity.offers.priceCurrency.trim().toUpperCase(),
-      
-      /*
-        This is the first product image displayed on the product page. Usually a 400x400
-        photo with a plain white background.
-      */
-      thumbnail: dom.querySelector("#main-image-0").getAttribute("src"),
-      
-      // The first entry will usually be "Mens", "Womens", "Girls", "Boys" or "Bags & Accessories".
-      // Subsequent categories declare what type of product is being displayed (e.g. "Sandals")
-      categories: Array.from(dom.querySelectorAll("#bread-crumbs .breadcrumb"), crumb => crumb.textContent.trim()),
-      
-      // An Array of Objects containing information about the size range of this product. Also
-      // includes current quantities of stock available to order (currently in the warehouse)
-      sizeRange: Array.from(dom.querySelectorAll("select#productSelectedSize option")).filter(option => option.value.length).map(size => ({
-        size: size.getAttribute("data-display-size"),
-        stock: {
-          warehouse: Number(size.getAttribute("data-available-qty")),
-          // NOT IMPLEMENTED - See notes.
-          // store: undefineddata-display-size
-        },
-        code: size.value.trim().substr(-3)
-      })),
+      const { window: { document: dom } } = jsdom
       
-      /*
-        An Array of Objects containing information about the offers currently applied to the
-        product (e.g. "Buy One Get One Free"). This includes icons for the offers (if applicable),
-        in addition to an abbreviated name for the offer (e.g. "BOGOF")
-      */
-      offers: Array.from(
-        dom.querySelectorAll("#divProdRightDT .grid:first-child .grid__col:last-child .float-right a[href][title]"),
-        offer => ({
-          name: offer.getAttribute("title").trim(),
-          image: offer.querySelector("img").getAttribute("src"),
-          abbr: abbreviateOffer(offer.getAttribute("title"))
-        })
-      ).filter(({ name }) => !ignoredOffers.includes(name.toLowerCase())),
+      const listing = {
+        market: id,
+        currency,
+        page,
+        // The pagination controls only link to the next page if there is one
+        hasNextPage: Boolean(dom.querySelector(`a[rel='next'], .pagination a[href*='page=${page + 1}']`)),
+        products: time("parse", { pathname, page }, () => parseProductListing(dom))
+      }
       
-      // NOT IMPLEMENTED - See notes.
-      // storeId: undefined
-    }
+      return setCache(listing).then(() => listing)
+    })
+  )
+}
+
+/*
+  Public method:
+  searchProducts({ query: string, page?: number = 1, market?: string }): Promise<Object>
+  
+  Search the Shoe Zone website for products matching a keyword. Resolves with the
+  following Object:
+  
+  {
+    query: string,
+    market: string,
+    currency: string,
+    page: number,
+    hasNextPage: boolean,
+    products: {
+      id: number,
+      name: string,
+      price: { current: number },
+      thumbnail: string,
+      offers: string[]
+    }[]
+  }
+*/
+function searchProducts({ query, page = 1, market }) {
+  query = String(query || "").trim()
+  
+  if (!query.length)
+    return Promise.reject(new HttpError("A search query is required", 400))
+  
+  return fetchProductListing(`/Search?q=${encodeURIComponent(query)}`, page, market).then(listing => ({
+    query,
+    ...listing
+  }))
+}
+
+/*
+  Public method:
+  listCategory({ path: string | string[], page?: number = 1, market?: string }): Promise<Object>
+  
+  List the products in a category of the Shoe Zone website. The path is made up of the same
+  categories as the `categories` field of `getProductInfo` (e.g. "Womens/Sandals" or
+  [ "Womens", "Sandals" ]). Resolves with the following Object:
+  
+  {
+    categories: string[],
+    market: string,
+    currency: string,
+    page: number,
+    hasNextPage: boolean,
+    products: Object[] // See `searchProducts`
+  }
+*/
+function listCategory({ path, page = 1, market }) {
+  // Accept either an Array of categories, or a string separated by slashes or ">" (as
+  // breadcrumbs are usually displayed)
+  const categories = (Array.isArray(path) ? path : String(path || "").split(/[/>]/))
+    .map(category => category.trim())
+    .filter(category => category.length)
+  
+  if (!categories.length)
+    return Promise.reject(new HttpError("A category is required", 400))
+  
+  // Category URLs replace spaces with hyphens, and "&" with "and" (e.g. "Bags & Accessories"
+  // becomes "/Bags-and-Accessories")
+  const pathname = categories.map(
+    category => encodeURIComponent(category.replace(/\s*&\s*/g, " and ").split(/\s+/).join("-"))
+  ).join("/")
+  
+  return fetchProductListing(`/${pathname}`, page, market).then(listing => ({
+    categories,
+    ...listing
+  }))
+}
+
+/*
+  The maximum number of requests which `checkStockNearby` will have waiting on the StoreStock API at any
+  one time. A sweep may require dozens of individual stock checks, and firing them all at once would
+  be rather unkind to Shoe Zone's servers.
+*/
+const stockSweepConcurrency = 4
+
+/*
+  Public method:
+  checkStockNearby({
+    styleCode: string,
+    city?: string = "",
+    postcode?: string = "",
+    lat?: number = 0,
+    lon?: number = 0,
+    limit?: number = 5,
+    radius?: number,
+    quantity?: number = 1,
+    market?: string
+  }): Promise<Object>
+  
+  Check the availability of every size of a product across the stores nearest to a location. The
+  sizes are discovered using `getProductInfo`, and the stores using `locateStores`. Each size is then
+  checked at each store using `checkStoreStock`, with no more than `stockSweepConcurrency` checks
+  being made at once. Resolves with the following Object:
+  
+  {
+    id: number,
+    name: string,
+    sizes: { size: string, code: string }[],
+    stores: {
+      storeName: string,
+      storeId: number,
+      storeAddress: string,
+      storePhone: string,
+      distance: number,
+      coordinates: { lat: number, lon: number },
+      market: string,
+      stock: { [code: string]: boolean | null }
+    }[]
+  }
+  
+  The `stock` Object of each store is keyed by size code. A value of `null` means the stock check
+  for that size failed (e.g. the size isn't stocked by the store at all), rather than failing the
+  whole sweep.
+  
+  The product is looked up in the same market as the stores, so if no market is specified and the
+  location is an Eircode, both are in the IE market (see `locateStores`).
+*/
+function checkStockNearby({ styleCode, lat, lon, city, postcode, limit = 5, radius, quantity = 1, market }) {
+  if (!market && postcode && isEircode(postcode))
+    market = "IE"
+  
+  return Promise.all([
+    getProductInfo({ styleCode: String(styleCode), market }),
+    locateStores({ lat, lon, city, postcode, limit, radius, market })
+  ]).then(([ productInfo, stores ]) => {
+    const sizes = productInfo.sizeRange.map(({ size, code }) => ({ size, code }))
     
-    // store the resulting JSON data in the cache
-    setCache(productInfo)
+    // Flatten the matrix into a list of individual checks, so the concurrency
+    // limit applies across every store rather than per store
+    const checks = []
     
-    console.dir(productInfo)
+    stores.forEach(store => sizes.forEach(size => checks.push({ store, size })))
     
-    return productInfo
+    return mapLimit(checks, stockSweepConcurrency, ({ store, size }) => checkStoreStock({
+      styleCode: productInfo.id,
+      size: size.code,
+      storeId: store.storeId,
+      quantity,
+      market: productInfo.market
+    }).then(({ inStock }) => inStock).catch(() => null)).then(results => ({
+      id: productInfo.id,
+      name: productInfo.name,
+      sizes,
+      // Checks were queued store-by-store, so each store's results are a
+      // contiguous slice of the results Array, in the same order as `sizes`
+      stores: stores.map((store, storeIndex) => ({
+        ...store,
+        stock: sizes.reduce((stock, { code }, sizeIndex) => {
+          stock[code] = results[storeIndex * sizes.length + sizeIndex]
+          return stock
+        }, {})
+      }))
+    }))
   })
 }
 
@@ -407,6 +1759,14 @@ function getProductInfo({ styleCode, storeId }) {
 */
 module.exports = {
   locateStore,
+  locateStores,
   checkStoreStock,
-  getProductInfo
+  estimateStoreStock,
+  getProductInfo,
+  getProducts,
+  isProductCached,
+  getProductExpiry,
+  searchProducts,
+  listCategory,
+  checkStockNearby
 }
\ No newline at end of file
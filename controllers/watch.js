@@ -0,0 +1,303 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Controller for managing back-in-stock watches. A watch periodically re-checks the availability
+  of a single size of a product, either in a specific store (via `checkStoreStock`) or in the
+  warehouse (via `getProductInfo`), and POSTs a webhook to a callback URL when it changes.
+  
+  Available methods:
+  - createWatch({ styleCode: string, size: string, callbackUrl: string, storeId?: number, quantity?: number = 1 }): Promise<Object>
+  - listWatches(): Promise<Object[]>
+  - getWatch({ id: string }): Promise<Object>
+  - deleteWatch({ id: string }): Promise<Object>
+  - checkWatches(): Promise<Object[]>
+  - startScheduler({ interval?: number = 300 }): void
+  
+  Watches are persisted in the "_cache" directory, so survive restarts of the server. Callback
+  URLs must be public (see "/utils/address.js"); they're checked when the watch is created, and
+  again every time a webhook is sent.
+*/
+
+const crypto = require("crypto")
+const http = require("http")
+const https = require("https")
+const axios = require("axios")
+const fcache = require("flat-cache")
+const { HttpError } = require("../utils/HttpError")
+const { mapLimit } = require("../utils/promise")
+const { checkPublicUrl, lookupPublic } = require("../utils/address")
+const { logger } = require("../utils/logger")
+const sz = require("./sz")
+
+/*
+  Each watch is stored under its own ID as the key.
+*/
+const store = fcache.load("watches.json", process.env.CACHE_DIR || "./_cache")
+
+/*
+  The maximum number of watches which will be checked at the same time by the scheduler. Each
+  check makes a request to Shoe Zone, so this is kept low deliberately.
+*/
+const checkConcurrency = 2
+
+/*
+  How long (in milliseconds) to wait for a callback URL to respond to a webhook before giving up.
+*/
+const webhookTimeout = 10000
+
+/*
+  Webhooks are sent through agents which check the address of the callback URL's host as each
+  request connects (see `lookupPublic`), so the host can't be pointed at a private address once
+  the watch has been created.
+*/
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: lookupPublic }),
+  httpsAgent: new https.Agent({ lookup: lookupPublic })
+}
+
+// A reference to the scheduler's timer, so it is only ever started once
+let scheduler = null
+
+/*
+  Private method:
+  saveWatch(watch: Object): Object
+  
+  Write a watch to the store, and return it.
+*/
+function saveWatch(watch) {
+  store.setKey(watch.id, watch)
+  store.save(true)
+  
+  return watch
+}
+
+/*
+  Public method:
+  createWatch({ styleCode: string, size: string, callbackUrl: string, storeId?: number, quantity?: number = 1 }): Promise<Object>
+  
+  Register a new watch. If `storeId` is specified, the watch checks the stock of the store;
+  otherwise, it checks the quantity available in the warehouse. `size` is the 3-digit size
+  code (as returned in `sizeRange` by `getProductInfo`). Rejects with a 400 `HttpError` if the
+  callback URL's host is a loopback, private or link-local address. Resolves with the new watch:
+  
+  {
+    id: string,
+    type: "store" | "warehouse",
+    styleCode: string,
+    size: string,
+    storeId: number | null,
+    quantity: number,
+    callbackUrl: string,
+    available: boolean | null, // null until the watch has been checked
+    created: string,
+    lastChecked: string | null,
+    lastNotified: string | null,
+    lastError: string | null
+  }
+*/
+function createWatch({ styleCode, size, callbackUrl, storeId, quantity = 1 }) {
+  styleCode = String(styleCode || "").trim()
+  size = String(size || "").trim()
+  
+  // Allow the size code to be appended to the style code instead, as it is for "/stock"
+  if (!size.length && styleCode.length - 3 >= 5)
+    size = styleCode.substr(-3), styleCode = styleCode.substr(0, styleCode.length - 3)
+  
+  if (!/^\d{5,6}$/.test(styleCode))
+    return Promise.reject(new HttpError("A valid style code is required", 400))
+  
+  if (!/^\d{3}$/.test(size))
+    return Promise.reject(new HttpError("A valid 3-digit size code is required", 400))
+  
+  return checkPublicUrl(callbackUrl).then(() => saveWatch({
+    id: crypto.randomBytes(8).toString("hex"),
+    type: storeId ? "store" : "warehouse",
+    styleCode,
+    size,
+    storeId: storeId ? Number(storeId) : null,
+    quantity: Math.floor(Math.max(1, quantity)) || 1,
+    callbackUrl,
+    available: null,
+    created: (new Date()).toISOString(),
+    lastChecked: null,
+    lastNotified: null,
+    lastError: null
+  }))
+}
+
+/*
+  Public method:
+  listWatches(): Promise<Object[]>
+  
+  List every registered watch, oldest first.
+*/
+function listWatches() {
+  const all = store.all()
+  
+  return Promise.resolve(
+    Object.keys(all).map(id => all[id]).sort((a, b) => Date.parse(a.created) - Date.parse(b.created))
+  )
+}
+
+/*
+  Public method:
+  getWatch({ id: string }): Promise<Object>
+  
+  Get a single watch by its ID.
+*/
+function getWatch({ id }) {
+  const watch = store.getKey(id)
+  
+  if (!watch)
+    return Promise.reject(new HttpError(`Watch "${id}" was not found`, 404, "WATCH_NOT_FOUND"))
+  
+  return Promise.resolve(watch)
+}
+
+/*
+  Public method:
+  deleteWatch({ id: string }): Promise<Object>
+  
+  Remove a watch, resolving with the watch which was removed.
+*/
+function deleteWatch({ id }) {
+  return getWatch({ id }).then(watch => {
+    store.removeKey(id)
+    store.save(true)
+    
+    return watch
+  })
+}
+
+/*
+  Private method:
+  checkAvailability(watch: Object): Promise<boolean>
+  
+  Check whether the size being watched is currently available, either in the store or the
+  warehouse (depending on the type of watch).
+*/
+function checkAvailability({ type, styleCode, size, storeId, quantity }) {
+  if (type === "store")
+    return sz.checkStoreStock({ styleCode, size, storeId, quantity }).then(({ inStock }) => Boolean(inStock))
+  
+  return sz.getProductInfo({ styleCode }).then(({ sizeRange }) => {
+    const match = sizeRange.find(({ code }) => code === size)
+    
+    return Boolean(match && match.stock.warehouse >= quantity)
+  })
+}
+
+/*
+  Private method:
+  notify(watch: Object): Promise<void>
+  
+  POST the current state of a watch to its callback URL, once it has been checked that the URL is
+  still public. Redirects aren't followed, as they could lead anywhere. The webhook body is the
+  following JSON:
+  
+  {
+    event: "available" | "unavailable",
+    watch: Object, // See `createWatch`
+    date: string
+  }
+*/
+function notify(watch) {
+  return checkPublicUrl(watch.callbackUrl).then(() => axios.post(watch.callbackUrl, {
+    event: watch.available ? "available" : "unavailable",
+    watch,
+    date: (new Date()).toISOString()
+  }, {
+    ...webhookAgents,
+    timeout: webhookTimeout,
+    maxRedirects: 0
+  })).then(() => undefined)
+}
+
+/*
+  Private method:
+  checkWatch(watch: Object): Promise<Object>
+  
+  Re-check a single watch, sending a webhook if its availability has changed. The very first check
+  only sends a webhook if the size is already available, as there is nothing to compare against.
+  Errors are recorded on the watch rather than thrown, so one failing watch can't stop the others.
+*/
+function checkWatch(watch) {
+  return checkAvailability(watch).then(available => {
+    const previous = watch.available
+    
+    watch.lastChecked = (new Date()).toISOString()
+    watch.lastError = null
+    
+    if (available === previous || (previous === null && !available)) {
+      watch.available = available
+      return watch
+    }
+    
+    // Only remember the new availability once the webhook has been delivered, so a failed
+    // webhook is retried on the next check
+    return notify({ ...watch, available }).then(() => {
+      watch.available = available
+      watch.lastNotified = (new Date()).toISOString()
+      return watch
+    })
+  }).catch(err => {
+    watch.lastChecked = (new Date()).toISOString()
+    watch.lastError = err.message
+    
+    return watch
+  }).then(watch => {
+    // The watch may have been deleted while it was being checked
+    if (store.getKey(watch.id))
+      saveWatch(watch)
+    
+    return watch
+  })
+}
+
+/*
+  Public method:
+  checkWatches(): Promise<Object[]>
+  
+  Re-check every registered watch, no more than `checkConcurrency` at a time. Resolves with the
+  updated watches.
+*/
+function checkWatches() {
+  return listWatches().then(watches => mapLimit(watches, checkConcurrency, checkWatch))
+}
+
+/*
+  Public method:
+  startScheduler({ interval?: number = 300 }): void
+  
+  Start re-checking every watch every `interval` seconds. A new round of checks won't start until
+  the previous round has finished. Calling this more than once has no effect.
+*/
+function startScheduler({ interval = 300 }) {
+  if (scheduler)
+    return
+  
+  let running = false
+  
+  scheduler = setInterval(() => {
+    if (running) return
+    
+    running = true
+    
+    checkWatches()
+      .catch(err => logger.error("Unable to check watches", { error: err }))
+      .finally(() => running = false)
+  }, Math.max(1, Number(interval) || 300) * 1000)
+  
+  // Don't keep the process alive just to check watches
+  scheduler.unref()
+}
+
+module.exports = {
+  createWatch,
+  listWatches,
+  getWatch,
+  deleteWatch,
+  checkWatches,
+  startScheduler
+}
@@ -0,0 +1,165 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  Router for handling requests to "/admin". See "/controllers/admin.js" for full documentation
+  on each route's handler functions.
+  
+  Overview of Routes:
+  - "/cache"
+  - "/cache/:namespace"
+  - DELETE "/cache/:namespace"
+  - DELETE "/cache/:namespace/:key"
+  - "/keys"
+  - POST "/keys" { name: string, quota?: number, window?: number }
+  - DELETE "/keys/:id"
+  
+  Every route requires the token in the environment's ADMIN_TOKEN string, sent in the
+  "Authorization" header as "Bearer <token>". If ADMIN_TOKEN isn't set, these routes are disabled.
+  
+  All routes respond in the same format as the "/api" routes (see "/routes/api/index.js").
+*/
+const express = require("express")
+const router = express.Router()
+
+const { sendError } = require("../../utils/respond")
+const { validateRequest } = require("../../utils/validate")
+const { requireAdminToken } = require("../../utils/access")
+const admin = require("../../controllers/admin")
+const keys = require("../../controllers/keys")
+
+/*
+  Cache namespaces are named in lowercase, with hyphens (e.g. "products").
+*/
+const namespaceRule = { type: "string", required: true, pattern: /^[a-z0-9-]+$/, message: "Must be a cache namespace" }
+
+/*
+  Check the admin token of every request before it reaches a route (see "/utils/access.js").
+*/
+router.use(requireAdminToken)
+
+/*
+  Cache statistics endpoint. Responds with the statistics of every cache namespace.
+*/
+router.get("/cache", (req, res) => {
+  admin.getCacheStats().then(
+    stats => res.json({
+      ok: true,
+      result: stats
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Cache keys endpoint. Lists every key stored in a cache namespace.
+*/
+router.get("/cache/:namespace", validateRequest({ params: { namespace: namespaceRule } }), (req, res) => {
+  const { namespace } = req.params
+  
+  admin.listCacheKeys({ namespace }).then(
+    keys => res.json({
+      ok: true,
+      result: keys
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Purge a whole cache namespace.
+*/
+router.delete("/cache/:namespace", validateRequest({ params: { namespace: namespaceRule } }), (req, res) => {
+  const { namespace } = req.params
+  
+  admin.purgeCacheNamespace({ namespace }).then(
+    purged => res.json({
+      ok: true,
+      result: purged
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Purge a single cache key. Keys often contain characters such as ":" and "/", so should be
+  URL-encoded (e.g. "product%40sz%3A15070").
+*/
+router.delete("/cache/:namespace/:key", validateRequest({
+  params: {
+    namespace: namespaceRule,
+    key: { type: "string", required: true, maxLength: 500 }
+  }
+}), (req, res) => {
+  const { namespace, key } = req.params
+  
+  admin.purgeCacheKey({ namespace, key }).then(
+    purged => res.json({
+      ok: true,
+      result: purged
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  API keys endpoint. Lists every API key (without the keys themselves), and how
+  much of its quota has been used. See "/controllers/keys.js".
+*/
+router.get("/keys", (req, res) => {
+  keys.listKeys().then(
+    list => res.json({
+      ok: true,
+      result: list
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Create an API key. The key is only ever included in this response, so should
+  be stored by the client straight away.
+*/
+router.post("/keys", validateRequest({
+  body: {
+    name: { type: "string", required: true, maxLength: 100, pattern: /^[a-z0-9 ._-]+$/i, message: "Must be a name made of letters, numbers, spaces, dots, hyphens and underscores" },
+    quota: { type: "integer", min: 1, max: 1000000 },
+    window: { type: "integer", min: 1, max: 2592000 }
+  }
+}), (req, res) => {
+  const { name, quota, window } = req.body
+  
+  keys.createKey({ name, quota, window }).then(
+    key => res.status(201).json({
+      ok: true,
+      result: key
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Revoke an API key, so it can no longer be used.
+*/
+router.delete("/keys/:id", validateRequest({
+  params: { id: { type: "string", required: true, pattern: /^[a-f0-9]{12}$/, message: "Must be the ID of an API key" } }
+}), (req, res) => {
+  const { id } = req.params
+  
+  keys.revokeKey({ id }).then(
+    key => res.json({
+      ok: true,
+      result: key
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+module.exports = router
@@ -0,0 +1,97 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+
+  The columns of the CSV and NDJSON exports of the "/api" routes (see `sendResult` in
+  "/utils/respond.js"). Each table flattens a result into rows, and every row has every column
+  (empty when it doesn't apply), in the same order, so exports of different products line up in
+  a spreadsheet.
+  
+  Tables:
+  - product: "/product/:styleCode", one row per size
+  - products: POST "/products", one row per size of each product, or one row per failed product
+  - sweep: "/sweep/:styleCode", one row per size at each store
+  
+  Lists (e.g. categories and offers) are joined into a single column. Booleans are "true" or
+  "false" in CSV, and prices are in the product's own `currency`.
+*/
+
+// A column of a table, given its name, what it contains, and how to read it from a row
+const column = (name, description, value) => ({ name, description, value })
+
+/*
+  See `getProductInfo` in "/controllers/sz.js". Each row is `{ product, size }`, where `size` is an
+  entry of `sizeRange` (or null for products without any sizes).
+*/
+const productColumns = [
+  column("styleCode", "The style code of the product", ({ product }) => product.id),
+  column("name", "The name of the product", ({ product }) => product.name),
+  column("market", "The Shoe Zone market the product is from", ({ product }) => product.market),
+  column("currency", "The currency of \"price\" and \"wasPrice\"", ({ product }) => product.currency),
+  column("price", "The current price", ({ product }) => product.price.current),
+  column("wasPrice", "The previous price, if the product has been reduced", ({ product }) => product.price.was),
+  column("convertedCurrency", "The currency the price was converted into, if one was requested", ({ product }) => product.converted && product.converted.currency),
+  column("convertedPrice", "The current price in \"convertedCurrency\"", ({ product }) => product.converted && product.converted.current),
+  column("categories", "The categories of the product, separated by \"/\"", ({ product }) => product.categories.join("/")),
+  column("offers", "The names of the offers on the product, separated by \"; \"", ({ product }) => product.offers.map(({ name }) => name).join("; ")),
+  column("offerCodes", "The abbreviated offers (e.g. \"BOGOF\"), separated by \"; \"", ({ product }) => product.offers.map(({ abbr }) => abbr).join("; ")),
+  column("size", "The size", ({ size }) => size && size.size),
+  column("sizeCode", "The 3-digit size code", ({ size }) => size && size.code),
+  column("warehouseStock", "The quantity of the size in the warehouse", ({ size }) => size && size.stock.warehouse),
+  column("storeId", "The store which was checked, if one was requested", ({ product }) => product.storeId),
+  column("storeStock", "Whether the store has the size in stock (empty if it couldn't be checked)", ({ size }) => size && size.stock.store),
+  column("stockUpdated", "When the stock was last fetched from Shoe Zone", ({ product }) => product.freshness.stock.updated)
+]
+
+// Flatten a product into one row per size
+const productRows = product => product.sizeRange.length
+  ? product.sizeRange.map(size => ({ product, size }))
+  : [ { product, size: null } ]
+
+const product = {
+  columns: productColumns,
+  rows: productRows
+}
+
+/*
+  See `getProducts` in "/controllers/sz.js". Products which couldn't be looked up have a single row,
+  with only the first three columns filled in.
+*/
+const products = {
+  columns: [
+    column("styleCode", "The style code which was requested", ({ entry }) => entry.styleCode),
+    column("status", "The HTTP status code the product would have been served with on its own", ({ entry }) => entry.status),
+    column("error", "Why the product couldn't be looked up", ({ entry }) => entry.ok ? null : entry.result),
+    ...productColumns.slice(1).map(({ name, description, value }) => column(name, description, row => row.product ? value(row) : null))
+  ],
+  rows: entries => entries.reduce((rows, entry) => rows.concat(
+    entry.ok ? productRows(entry.result).map(row => ({ ...row, entry })) : [ { entry, product: null, size: null } ]
+  ), [])
+}
+
+/*
+  See `checkStockNearby` in "/controllers/sz.js". Each row is `{ sweep, store, size }`.
+*/
+const sweep = {
+  columns: [
+    column("styleCode", "The style code of the product", ({ sweep }) => sweep.id),
+    column("name", "The name of the product", ({ sweep }) => sweep.name),
+    column("storeId", "The ID of the store", ({ store }) => store.storeId),
+    column("storeName", "The name of the store", ({ store }) => store.storeName),
+    column("storeAddress", "The address of the store", ({ store }) => store.storeAddress),
+    column("distance", "Miles from the requested location", ({ store }) => store.distance),
+    column("market", "The Shoe Zone market the store is in", ({ store }) => store.market),
+    column("size", "The size", ({ size }) => size.size),
+    column("sizeCode", "The 3-digit size code", ({ size }) => size.code),
+    column("inStock", "Whether the store has the size in stock (empty if it couldn't be checked)", ({ store, size }) => store.stock[size.code])
+  ],
+  rows: result => result.stores.reduce((rows, store) => rows.concat(
+    result.sizes.map(size => ({ sweep: result, store, size }))
+  ), [])
+}
+
+module.exports = {
+  product,
+  products,
+  sweep
+}
@@ -1,42 +1,147 @@
 /*
   Date: 2020-07-15
   Author: ClockworkSquirrel (csqrl)
-
+  
   Router for handling requests to "/api". See "/controllers/sz.js" for full documentation
-  on each route's handler functions.
+  on each route's handler functions (and "/controllers/history.js" for price history,
+  "/controllers/changes.js" for product snapshots and changes, "/controllers/basket.js" for
+  basket quotes, "/controllers/stores.js" for store details, "/controllers/watch.js" for
+  watches, or "/controllers/crawler.js" for the crawler).
   
   Overview of Routes:
-  - "/locate" ?[ city: string | postcode: string | lat: number && lon: number ]
-  - "/stock/:storeId/:styleCode" ?[ quantity: number ]
-  - "/product/:styleCode" ?[ storeId: number ] -- Query string ignored as not implemented.
+  - "/locate" ?[ city: string | postcode: string | lat: number && lon: number ] [ limit: number, radius: number, market: string ]
+  - "/store/:storeId" ?[ market: string ]
+  - "/stock/:storeId/:styleCode" ?[ quantity: number, market: string ]
+  - "/stock/:storeId/:styleCode/estimate" ?[ market: string ]
+  - "/product/:styleCode" ?[ storeId: number, market: string, currency: string, format: string ]
+  - POST "/products" ?[ market: string, currency: string, format: string ] { styleCodes: string[] }
+  - POST "/basket/quote" ?[ market: string, currency: string ] { items: { styleCode: string, quantity?: number }[] }
+  - "/product/:styleCode/history"
+  - "/price-drops" ?[ days: number ]
+  - "/product/:styleCode/snapshots" ?[ market: string ]
+  - "/changes" ?[ since: string, after: number, type: string, limit: number ]
+  - "/changes/stream" ?[ since: string, after: number, type: string ] -- Server-Sent Events
+  - POST "/watches" { styleCode: string, size: string, callbackUrl: string, storeId?: number, quantity?: number }
+  - "/watches"
+  - "/watches/:id"
+  - DELETE "/watches/:id"
+  - "/search" ?[ q: string ] [ page: number, market: string ]
+  - "/category/:path" ?[ page: number, market: string ]
+  - "/sweep/:styleCode" ?[ city: string | postcode: string | lat: number && lon: number ] [ limit: number, radius: number, quantity: number, market: string, format: string ]
+  - "/crawler/status"
+  - "/openapi.json"
+  - "/docs"
   
   All routes respond with a JSON containing the following fields:
   
   {
     ok: boolean, // Returns true when no errors occur
-    result: any // Contains either the result returned by the controller API, or an error message
+    result: any // Contains either the result returned by the controller API, or an error
   }
   
-  When an error occurs, the "result" key is usually a string explaining what happened.
-  Errors usually serve a status code of 500 (Internal Server Error); however, this does not
-  necessarily mean that it *is* a server error - it could be due to user error. 500 just seemed
-  like the safest option all-round.
+  When an error occurs, the "result" key is an Object explaining what happened (see "/utils/respond.js"):
+  
+  {
+    code: string, // A machine-readable code, e.g. "PRODUCT_NOT_FOUND" or "VALIDATION_FAILED"
+    message: string,
+    details?: { field: string, code: string, message: string }[] // The fields which failed validation
+  }
+  
+  "market" selects which of Shoe Zone's markets (e.g. "GB" or "IE") requests are made to, and "currency"
+  converts prices into another currency as well (see "/utils/markets.js").
+  
+  Routes which accept "format" can also respond with CSV ("csv") or NDJSON ("ndjson") instead,
+  which can also be requested with the Accept header ("text/csv" or "application/x-ndjson"). The
+  result is flattened into rows, whose columns are described in "./columns.js".
+  
+  Every route validates its parameters, query string and body before calling the controller, using
+  the schemas below (see "/utils/validate.js"), and responds with a 400 status if they're invalid.
+  Errors without a more specific status code serve a status code of 500 (Internal Server Error).
 */
 const express = require("express")
+const path = require("path")
 const router = express.Router()
 
+const { sendError, sendResult } = require("../../utils/respond")
+const { validateRequest } = require("../../utils/validate")
+const { document, createSpec } = require("../../utils/openapi")
+const { logger } = require("../../utils/logger")
+const schemas = require("./schemas")
+const columns = require("./columns")
+
 const sz = require("../../controllers/sz")
+const history = require("../../controllers/history")
+const changes = require("../../controllers/changes")
+const basket = require("../../controllers/basket")
+const stores = require("../../controllers/stores")
+const watch = require("../../controllers/watch")
+const crawler = require("../../controllers/crawler")
+
+// A reference to one of the result schemas in "./schemas.js"
+const ref = name => ({ $ref: `#/components/schemas/${name}` })
+
+// The formats which routes with a table in "./columns.js" can also respond with
+const exportFormats = [ "text/csv", "application/x-ndjson" ]
+
+/*
+  Rules shared between the schemas of several routes.
+*/
+const rules = {
+  styleCode: { type: "styleCode", required: true },
+  storeId: { type: "integer", min: 1, max: 99999 },
+  quantity: { type: "integer", min: 1, max: 99, default: 1 },
+  page: { type: "integer", min: 1, max: 100, default: 1 },
+  market: { type: "market" },
+  currency: { type: "currency" },
+  // Overrides the Accept header of routes which can be exported (see "./columns.js")
+  format: { type: "string", values: [ "json", "csv", "ndjson" ] },
+  location: {
+    city: { type: "string", maxLength: 100, pattern: /^[a-z0-9 .,'&()-]+$/i, message: "Must be a town or city name" },
+    postcode: { type: "postcode" },
+    lat: { type: "number", min: -90, max: 90 },
+    lon: { type: "number", min: -180, max: 180 },
+    limit: { type: "integer", min: 1, max: 20 },
+    radius: { type: "number", min: 0.1, max: 500 },
+    market: { type: "market" }
+  }
+}
+
+/*
+  Check that a location was given, and that latitude and longitude are given together.
+*/
+const checkLocation = ({ city, postcode, lat, lon }) => {
+  if ((lat === undefined) !== (lon === undefined))
+    return [{ field: lat === undefined ? "query.lat" : "query.lon", code: "REQUIRED", message: "Latitude and longitude must be given together" }]
+  
+  if (city === undefined && postcode === undefined && lat === undefined)
+    return [{ field: "query", code: "REQUIRED", message: "One of city, postcode, or lat and lon is required" }]
+  
+  return []
+}
 
 /*
   Store Locator endpoint. Accepts any of: "city", "postcode", "lat"
   or "lon" in the query string.
+  
+  Optionally accepts "limit" (the number of stores to return, up to 20)
+  and "radius" (in miles) in the query string. When either of these are
+  specified, the result is a ranked Array of stores (nearest first),
+  rather than a single store. Eircodes are searched for in the IE market,
+  unless "market" is specified.
 */
-router.get("/locate", (req, res) => {
-  const { city, postcode, lat, lon } = req.query
+router.get("/locate", document({
+  summary: "Find the nearest stores to a location",
+  description: "Responds with the nearest store, or a ranked list of stores when \"limit\" or \"radius\" is given.",
+  tags: [ "Stores" ],
+  result: { oneOf: [ ref("Store"), { type: "array", items: ref("Store") } ] }
+}), validateRequest({ query: rules.location, check: checkLocation }), (req, res) => {
+  const { city, postcode, lat, lon, limit, radius, market } = req.query
   
-  console.info(`New location request:`, city, postcode, lat, lon)
+  const request = limit === undefined && radius === undefined
+    ? sz.locateStore({ city, postcode, lat, lon, market })
+    : sz.locateStores({ city, postcode, lat, lon, limit: limit || 20, radius, market })
   
-  sz.locateStore({ city, postcode, lat, lon })
+  request
     .then(
       storeInfo => res.json({
         ok: true,
@@ -44,63 +149,543 @@ router.get("/locate", (req, res) => {
       })
     )
     .catch(
-      err => res.status(err.statusCode || 500).json({
-        ok: false,
-        result: err.message
-      })
+      err => sendError(res, err)
     )
 })
 
+/*
+  Store details endpoint. Requires Store ID in the path. Accepts "market" in
+  the query string, as each market numbers its stores separately. Only stores
+  which have previously been returned by "/locate" (or checked by "/stock")
+  can be looked up.
+*/
+router.get("/store/:storeId", document({ summary: "Get the details of a store", tags: [ "Stores" ] }), validateRequest({
+  params: { storeId: { ...rules.storeId, required: true } },
+  query: { market: rules.market }
+}), (req, res) => {
+  const { storeId } = req.params
+  const { market } = req.query
+  
+  stores.getStore({ storeId, market }).then(
+    store => res.json({
+      ok: true,
+      result: store
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
 /*
   Stock check endpoint. Requires Store ID and style code (including
   size code) in the path. Accepts "quantity" in the query string.
 */
-router.get("/stock/:storeId/:styleCode", (req, res) => {
+router.get("/stock/:storeId/:styleCode", document({ summary: "Check whether a store has a size in stock", tags: [ "Stock" ], result: ref("StoreStock") }), validateRequest({
+  params: {
+    storeId: { ...rules.storeId, required: true },
+    styleCode: { type: "sizedStyleCode", required: true }
+  },
+  query: { quantity: rules.quantity, market: rules.market }
+}), (req, res) => {
   const { storeId, styleCode } = req.params
-  let { quantity } = req.query
-  
-  // Ensure quantity is always a positive integer - at least 1 or more
-  quantity = Math.floor(Math.max(1, quantity))
+  const { quantity, market } = req.query
   
+  // The size code is always the last 3 digits, after a 5 or 6-digit style code
   sz.checkStoreStock({
     storeId,
-    styleCode: styleCode.substr(0, 5),
-    size: styleCode.substr(-3),
-    quantity
+    styleCode: styleCode.slice(0, -3),
+    size: styleCode.slice(-3),
+    quantity,
+    market
   }).then(
     stockInfo => res.json({
       ok: true,
       result: stockInfo
     })
   ).catch(
-    err => res.status(err.statusCode || 500).json({
-      ok: false,
-      result: err.message
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Stock estimate endpoint. Requires Store ID and style code (including size
+  code) in the path. Accepts "market" in the query string. Makes up to 4 stock
+  checks, so each store has a budget of checks (see `estimateStoreStock`).
+*/
+router.get("/stock/:storeId/:styleCode/estimate", document({
+  summary: "Estimate how many pairs of a size a store has in stock",
+  description: "Responds with a band (0, 1, 2–3, 4–7 or 8+), found by checking increasing quantities. Estimates are cached for 10 minutes, and each store has an hourly budget of checks; a 429 status is returned once it has been used up.",
+  tags: [ "Stock" ],
+  result: ref("StockEstimate")
+}), validateRequest({
+  params: {
+    storeId: { ...rules.storeId, required: true },
+    styleCode: { type: "sizedStyleCode", required: true }
+  },
+  query: { market: rules.market }
+}), (req, res) => {
+  const { storeId, styleCode } = req.params
+  const { market } = req.query
+  
+  sz.estimateStoreStock({
+    storeId,
+    styleCode: styleCode.slice(0, -3),
+    size: styleCode.slice(-3),
+    market
+  }).then(
+    estimate => res.json({
+      ok: true,
+      result: estimate
     })
+  ).catch(
+    err => sendError(res, err)
   )
 })
 
 /*
-  Product info endpoint. Requires style code in the path.
+  Product info endpoint. Requires style code in the path. Accepts "storeId",
+  "market", "currency" and "format" in the query string. When "storeId" is
+  given, each size is also checked at that store.
 */
-router.get("/product/:styleCode", (req, res) => {
+router.get("/product/:styleCode", document({ summary: "Get the information of a product", tags: [ "Products" ], result: ref("Product"), formats: exportFormats }), validateRequest({
+  params: { styleCode: rules.styleCode },
+  query: { storeId: rules.storeId, market: rules.market, currency: rules.currency, format: rules.format }
+}), (req, res) => {
   const { styleCode } = req.params
+  const { storeId, market, currency } = req.query
   
-  // This is currently unused. It will allow a store's stock levels
-  // to be displayed in the response JSON.
-  // const { storeId } = req.query
+  sz.getProductInfo({ styleCode, storeId, market, currency }).then(
+    productInfo => sendResult(req, res, { result: productInfo, table: columns.product, filename: `product-${styleCode}` })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Batch product info endpoint. Requires "styleCodes" (an Array of up to 50
+  style codes, with or without size codes) in the JSON body. Responds with
+  the result of each product individually, so one missing product doesn't
+  fail the whole request. Accepts "market", "currency" and "format" in the
+  query string.
+*/
+router.post("/products", document({ summary: "Get the information of several products", tags: [ "Products" ], formats: exportFormats }), validateRequest({
+  query: { market: rules.market, currency: rules.currency, format: rules.format },
+  body: { styleCodes: { type: "array", required: true, min: 1, max: 50, items: rules.styleCode } }
+}), (req, res) => {
+  const { styleCodes } = req.body
+  const { market, currency } = req.query
   
-  sz.getProductInfo({ styleCode }).then(productInfo => res.json({
-    ok: true,
-    result: productInfo
-  })).catch(err => {
-    console.error(err)
-    
-    res.status(err.statusCode || 500).json({
-      ok: false,
-      result: err.message
+  sz.getProducts({ styleCodes, market, currency }).then(
+    products => sendResult(req, res, { result: products, table: columns.products, filename: "products" })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Basket quote endpoint. Requires "items" (an Array of Objects containing a
+  "styleCode" and an optional "quantity") in the JSON body. Responds with each
+  line of the basket, the offers which were applied, and the total cost.
+  Accepts "market" and "currency" in the query string.
+*/
+router.post("/basket/quote", document({ summary: "Quote the price of a basket, once offers are applied", tags: [ "Products" ] }), validateRequest({
+  query: { market: rules.market, currency: rules.currency },
+  body: {
+    items: {
+      type: "array",
+      required: true,
+      min: 1,
+      max: 50,
+      items: {
+        type: "object",
+        required: true,
+        fields: {
+          // Size codes are kept, so the same style can be quoted in different sizes
+          styleCode: { type: "string", required: true, pattern: /^\d{5,6}(\d{3})?$/, message: "Must be a 5 or 6-digit style code" },
+          quantity: { type: "integer", min: 1, max: 20, default: 1 }
+        }
+      }
+    }
+  }
+}), (req, res) => {
+  const { items } = req.body
+  const { market, currency } = req.query
+  
+  basket.quoteBasket({ items, market, currency }).then(
+    quote => res.json({
+      ok: true,
+      result: quote
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Price history endpoint. Requires style code in the path. Responds with
+  every price which has been recorded for the product.
+*/
+router.get("/product/:styleCode/history", document({ summary: "Get the recorded price history of a product", tags: [ "Prices" ] }), validateRequest({
+  params: { styleCode: rules.styleCode }
+}), (req, res) => {
+  const { styleCode } = req.params
+  
+  history.getPriceHistory({ styleCode }).then(
+    priceHistory => res.json({
+      ok: true,
+      result: priceHistory
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Price drops endpoint. Accepts "days" in the query string (defaults to 7).
+  Responds with every product whose price has fallen within that many days.
+*/
+router.get("/price-drops", document({ summary: "List products whose price has recently dropped", tags: [ "Prices" ] }), validateRequest({
+  query: { days: { type: "number", min: 1, max: 365, default: 7 } }
+}), (req, res) => {
+  const { days } = req.query
+  
+  history.getPriceDrops({ days }).then(
+    drops => res.json({
+      ok: true,
+      result: drops
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Product snapshots endpoint. Requires style code in the path. Accepts
+  "market" in the query string. Responds with every recorded version of
+  the product.
+*/
+router.get("/product/:styleCode/snapshots", document({ summary: "Get the recorded snapshots of a product", tags: [ "Changes" ] }), validateRequest({
+  params: { styleCode: rules.styleCode },
+  query: { market: rules.market }
+}), (req, res) => {
+  const { styleCode } = req.params
+  const { market } = req.query
+  
+  changes.getSnapshots({ styleCode, market }).then(
+    snapshots => res.json({
+      ok: true,
+      result: snapshots
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Rules shared by the change feed endpoints.
+*/
+const changeRules = {
+  since: { type: "date" },
+  after: { type: "integer", min: 0 },
+  type: { type: "string", values: changes.changeTypes }
+}
+
+/*
+  Change feed endpoint. Accepts "since" (a date), "after" (the ID of the
+  last change received), "type" and "limit" in the query string. Responds
+  with the changes to products, oldest first.
+*/
+router.get("/changes", document({
+  summary: "List changes to products",
+  description: "Responds with the changes found between consecutive snapshots of products, oldest first. Pass the ID of the last entry as \"after\" to get the next page.",
+  tags: [ "Changes" ]
+}), validateRequest({
+  query: { ...changeRules, limit: { type: "integer", min: 1, max: 500, default: 100 } }
+}), (req, res) => {
+  const { since, after, type, limit } = req.query
+  
+  changes.getChanges({ since, after, type, limit }).then(
+    feed => res.json({
+      ok: true,
+      result: feed
     })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  How often (in milliseconds) a comment is sent to each change stream, so
+  that proxies don't close connections which are waiting for changes.
+*/
+const streamHeartbeat = 30000
+
+/*
+  Change stream endpoint. Accepts the same filters as "/changes", and sends
+  every matching change as a Server-Sent Event, starting with any changes
+  which have already been made since "since" or "after". Clients which
+  reconnect with the "Last-Event-ID" header carry on where they left off.
+*/
+router.get("/changes/stream", document({
+  summary: "Stream changes to products",
+  description: "Sends each change (see \"/changes\") as a Server-Sent Event named \"change\", whose data is the JSON of the entry and whose ID is the entry's ID.",
+  tags: [ "Changes" ],
+  contentType: "text/event-stream"
+}), validateRequest({
+  query: changeRules
+}), (req, res) => {
+  const { since, type } = req.query
+  const lastEventId = Number(req.get("Last-Event-ID"))
+  const after = Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : req.query.after
+  
+  let latest = after
+  let closed = false
+  
+  // Changes made while the backlog is being read are held back until it has been sent
+  let held = []
+  
+  const send = entry => {
+    if (closed)
+      return
+    
+    if (held) {
+      held.push(entry)
+      return
+    }
+    
+    // Changes made while the backlog was being read would otherwise be sent twice
+    if (latest !== undefined && entry.id <= latest)
+      return
+    
+    latest = entry.id
+    res.write(`id: ${entry.id}\nevent: change\ndata: ${JSON.stringify(entry)}\n\n`)
+  }
+  
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  })
+  res.flushHeaders()
+  
+  const unsubscribe = changes.subscribe({ listener: send, type })
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), streamHeartbeat)
+  
+  const close = () => {
+    if (closed)
+      return
+    
+    closed = true
+    clearInterval(heartbeat)
+    unsubscribe()
+    res.end()
+  }
+  
+  req.once("close", close)
+  
+  changes.getChanges({ since, after, type, limit: Infinity }).then(backlog => {
+    const live = held
+    
+    held = null
+    backlog.concat(live).forEach(send)
+  }).catch(err => {
+    logger.error("Unable to send the backlog of a change stream", { error: err })
+    close()
   })
 })
 
+/*
+  Watch endpoints. A watch re-checks the availability of a size of a product
+  on a schedule, and POSTs to "callbackUrl" when it changes. "POST /watches"
+  requires "styleCode", "size" and "callbackUrl" in the JSON body, and
+  accepts "storeId" (to watch a store, rather than the warehouse) and
+  "quantity".
+*/
+router.post("/watches", document({ summary: "Create a watch", tags: [ "Watches" ], status: 201 }), validateRequest({
+  body: {
+    // The size code may be appended to the style code instead, as it is for "/stock"
+    styleCode: { type: "string", required: true, pattern: /^\d{5,6}(\d{3})?$/, message: "Must be a 5 or 6-digit style code" },
+    size: { type: "sizeCode" },
+    callbackUrl: { type: "url", required: true },
+    storeId: rules.storeId,
+    quantity: rules.quantity
+  }
+}), (req, res) => {
+  const { styleCode, size, callbackUrl, storeId, quantity } = req.body
+  
+  watch.createWatch({ styleCode, size, callbackUrl, storeId, quantity }).then(
+    newWatch => res.status(201).json({
+      ok: true,
+      result: newWatch
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+router.get("/watches", document({ summary: "List every watch", tags: [ "Watches" ] }), (req, res) => {
+  watch.listWatches().then(
+    watches => res.json({
+      ok: true,
+      result: watches
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+router.get("/watches/:id", document({ summary: "Get a watch", tags: [ "Watches" ] }), validateRequest({
+  params: { id: { type: "string", required: true, pattern: /^[0-9a-f]{16}$/, message: "Must be a watch ID" } }
+}), (req, res) => {
+  const { id } = req.params
+  
+  watch.getWatch({ id }).then(
+    existingWatch => res.json({
+      ok: true,
+      result: existingWatch
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+router.delete("/watches/:id", document({ summary: "Delete a watch", tags: [ "Watches" ] }), validateRequest({
+  params: { id: { type: "string", required: true, pattern: /^[0-9a-f]{16}$/, message: "Must be a watch ID" } }
+}), (req, res) => {
+  const { id } = req.params
+  
+  watch.deleteWatch({ id }).then(
+    deletedWatch => res.json({
+      ok: true,
+      result: deletedWatch
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Product search endpoint. Requires "q" (the search keywords) in the query
+  string. Accepts "page" and "market" in the query string.
+*/
+router.get("/search", document({ summary: "Search for products", tags: [ "Listings" ] }), validateRequest({
+  query: {
+    q: { type: "string", required: true, maxLength: 100 },
+    page: rules.page,
+    market: rules.market
+  }
+}), (req, res) => {
+  const { q, page, market } = req.query
+  
+  sz.searchProducts({ query: q, page, market }).then(
+    results => res.json({
+      ok: true,
+      result: results
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Category listing endpoint. Requires the category path in the path, with
+  each category separated by a slash (e.g. "/category/Womens/Sandals").
+  Accepts "page" and "market" in the query string.
+*/
+router.get("/category/:path(*)", document({ summary: "List the products in a category", tags: [ "Listings" ] }), validateRequest({
+  params: { path: { type: "string", required: true, maxLength: 200, pattern: /^[a-z0-9 &'-]+(\/[a-z0-9 &'-]+)*\/?$/i, message: "Must be a list of categories separated by slashes" } },
+  query: { page: rules.page, market: rules.market }
+}), (req, res) => {
+  const { path } = req.params
+  const { page, market } = req.query
+  
+  sz.listCategory({ path, page, market }).then(
+    results => res.json({
+      ok: true,
+      result: results
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Stock sweep endpoint. Requires style code in the path, and a location
+  in the query string (any of: "city", "postcode", "lat" or "lon", as with
+  "/locate"). Accepts "limit", "radius", "quantity", "market" and "format" in
+  the query string.
+  
+  Responds with the availability of every size of the product across the
+  nearest stores to the location.
+*/
+router.get("/sweep/:styleCode", document({ summary: "Check every size of a product at the nearest stores", tags: [ "Stock" ], formats: exportFormats }), validateRequest({
+  params: { styleCode: rules.styleCode },
+  query: { ...rules.location, quantity: rules.quantity, format: rules.format },
+  check: checkLocation
+}), (req, res) => {
+  const { styleCode } = req.params
+  const { city, postcode, lat, lon, limit, radius, quantity, market } = req.query
+  
+  sz.checkStockNearby({
+    styleCode,
+    city,
+    postcode,
+    lat,
+    lon,
+    limit,
+    radius,
+    quantity,
+    market
+  }).then(
+    sweep => sendResult(req, res, { result: sweep, table: columns.sweep, filename: `sweep-${styleCode}` })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  Crawler status endpoint. Responds with the crawler's configuration, its
+  last round of crawling, and whether each product it crawls is warm,
+  stale, failing or pending.
+*/
+router.get("/crawler/status", document({ summary: "Get the status of the catalogue crawler", tags: [ "Crawler" ] }), (req, res) => {
+  crawler.getStatus().then(
+    status => res.json({
+      ok: true,
+      result: status
+    })
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+/*
+  OpenAPI document endpoint. Responds with an OpenAPI 3 document describing
+  every route above, generated from their validation schemas and the result
+  schemas in "./schemas.js" (see "/utils/openapi.js").
+*/
+router.get("/openapi.json", (req, res) => {
+  res.json(createSpec({
+    router,
+    basePath: req.baseUrl,
+    info: {
+      title: "We Heart Shoes API",
+      version: require("../../package.json").version,
+      description: "The public API for the We Heart Shoes demo app."
+    },
+    schemas,
+    securitySchemes: {
+      ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" }
+    }
+  }))
+})
+
+/*
+  Interactive documentation, which reads the OpenAPI document above and allows
+  each route to be tried out from the browser.
+*/
+router.get("/docs", (req, res) => {
+  res.sendFile(path.join(__dirname, "..", "..", "views", "docs.html"))
+})
+
 module.exports = router
\ No newline at end of file
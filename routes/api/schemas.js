@@ -0,0 +1,168 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  JSON Schemas (in the OpenAPI 3.0 dialect) describing the results of the "/api" routes. These
+  are included in the OpenAPI document served at "/api/openapi.json" (see "/utils/openapi.js"),
+  and are checked against real responses by "/test/routes/openapi.test.js", so they must be kept
+  in sync with the controllers.
+  
+  Objects don't allow properties which aren't listed, so that new fields can't be added to a
+  response without also being documented here.
+*/
+
+const { getMarketIds } = require("../../utils/markets")
+
+const nullable = schema => ({ ...schema, nullable: true })
+
+const object = (properties, optional = []) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties).filter(property => !optional.includes(property)),
+  additionalProperties: false
+})
+
+const timestamp = { type: "string", format: "date-time" }
+
+const market = { type: "string", enum: getMarketIds() }
+
+const coordinates = object({
+  lat: nullable({ type: "number" }),
+  lon: nullable({ type: "number" })
+})
+
+/*
+  See `locateStores` in "/controllers/sz.js".
+*/
+const Store = object({
+  storeName: { type: "string" },
+  storeId: { type: "integer" },
+  storeAddress: { type: "string" },
+  storePhone: { type: "string" },
+  distance: nullable({ type: "number", description: "Miles from the search point" }),
+  coordinates,
+  market,
+  date: { type: "string", description: "When the store was located" }
+})
+
+/*
+  See `checkStoreStock` in "/controllers/sz.js".
+*/
+const StoreStock = object({
+  inStock: { type: "boolean" },
+  storeName: { type: "string" },
+  storeId: { type: "integer" },
+  storeAddress: { type: "string" }
+})
+
+/*
+  See `estimateStoreStock` in "/controllers/sz.js".
+*/
+const StockEstimate = object({
+  storeId: { type: "integer" },
+  storeName: { type: "string" },
+  storeAddress: { type: "string" },
+  styleCode: { type: "string" },
+  size: { type: "string" },
+  market,
+  quantity: object({
+    min: { type: "integer" },
+    max: nullable({ type: "integer", description: "Null when the store has at least \"min\" pairs" }),
+    label: { type: "string", description: "e.g. \"0\", \"1\", \"2–3\", \"4–7\" or \"8+\"" }
+  }),
+  checks: { type: "integer", description: "How many stock checks were made to Shoe Zone" },
+  estimated: timestamp,
+  cached: { type: "boolean" }
+})
+
+/*
+  See `getProductInfo` in "/controllers/sz.js".
+*/
+const Product = object({
+  id: { type: "integer" },
+  name: { type: "string" },
+  description: { type: "string" },
+  price: object({
+    current: nullable({ type: "number" }),
+    was: nullable({ type: "number" })
+  }),
+  currency: { type: "string", pattern: "^[A-Z]{3}$" },
+  converted: object({
+    currency: { type: "string", pattern: "^[A-Z]{3}$" },
+    rate: { type: "number" },
+    current: nullable({ type: "number" }),
+    was: nullable({ type: "number" })
+  }),
+  market,
+  thumbnail: nullable({ type: "string" }),
+  categories: { type: "array", items: { type: "string" } },
+  images: {
+    type: "array",
+    items: object({
+      url: { type: "string" },
+      zoom: nullable({ type: "string" }),
+      size: nullable(object({ width: { type: "integer" }, height: { type: "integer" } }))
+    })
+  },
+  variants: {
+    type: "array",
+    items: object({
+      id: { type: "integer" },
+      colour: { type: "string" },
+      thumbnail: nullable({ type: "string" })
+    })
+  },
+  offers: {
+    type: "array",
+    items: object({
+      name: { type: "string" },
+      image: nullable({ type: "string" }),
+      abbr: { type: "string" },
+      rule: nullable({ type: "object", description: "See \"/controllers/offers.js\"" })
+    })
+  },
+  storeId: { type: "integer" },
+  store: { type: "object", description: "The requested store's details (see \"/controllers/stores.js\")" },
+  sizeRange: {
+    type: "array",
+    items: object({
+      size: { type: "string" },
+      stock: object({
+        warehouse: { type: "integer" },
+        store: nullable({ type: "boolean", description: "Whether the requested store has the size in stock (null if it couldn't be checked)" })
+      }, [ "store" ]),
+      code: { type: "string", pattern: "^\\d{3}$" }
+    })
+  },
+  freshness: object({
+    metadata: object({ updated: timestamp, age: { type: "integer" } }),
+    stock: object({ updated: timestamp, age: { type: "integer" } }),
+    store: object({ updated: timestamp, age: { type: "integer" } }),
+    stale: { type: "boolean" }
+  }, [ "store" ]),
+  warnings: { type: "array", items: { type: "string" } }
+}, [ "converted", "storeId", "store" ])
+
+/*
+  The result of a failed request (see "/utils/respond.js").
+*/
+const ErrorResult = object({
+  code: { type: "string" },
+  message: { type: "string" },
+  details: {
+    type: "array",
+    items: object({
+      field: { type: "string" },
+      code: { type: "string" },
+      message: { type: "string" }
+    })
+  }
+}, [ "details" ])
+
+module.exports = {
+  Store,
+  StoreStock,
+  StockEstimate,
+  Product,
+  Error: ErrorResult
+}
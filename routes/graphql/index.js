@@ -0,0 +1,158 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Router for handling requests to "/graphql". See "./schema.js" for the schema, and "./loaders.js"
+  for how requests to Shoe Zone are batched.
+  
+  Overview of Routes:
+  - POST "/" { query: string, variables?: Object, operationName?: string }
+  - "/" ?[ query: string ] [ variables: string (JSON), operationName: string ]
+  
+  Unlike the other routes, responses follow the GraphQL convention rather than `{ ok, result }`:
+  
+  {
+    data?: Object,
+    errors?: {
+      message: string,
+      locations?: { line: number, column: number }[],
+      path?: (string | number)[],
+      extensions: { code: string, details?: Object[] } // See "/utils/HttpError.js"
+    }[]
+  }
+  
+  Queries which can't be parsed, or don't match the schema, respond with a 400 status. Otherwise,
+  the status is 200, and any fields which failed are null, with an entry in `errors` explaining why.
+  If the query can't be executed at all, the status is 500, with a single entry in `errors`.
+*/
+const express = require("express")
+const router = express.Router()
+const { parse, validate: validateQuery, execute, specifiedRules, formatError, GraphQLError } = require("graphql")
+
+const { validate } = require("../../utils/validate")
+const { logger } = require("../../utils/logger")
+const { schema } = require("./schema")
+const { createLoaders } = require("./loaders")
+
+/*
+  How deeply fields can be nested in a query. Every level of `Variant.product` downloads more
+  product pages, so deeper queries are rejected before they're executed.
+*/
+const maxDepth = 8
+
+/*
+  The fields accepted in the body (or query string) of a request.
+*/
+const requestSchema = {
+  query: { type: "string", required: true, maxLength: 10000 },
+  variables: { type: "object" },
+  operationName: { type: "string", maxLength: 100 }
+}
+
+// Work out how deeply the fields of a selection set are nested, following fragments
+const getDepth = (selectionSet, fragments, visited = []) => selectionSet ? Math.max(0, ...selectionSet.selections.map(selection => {
+  if (selection.kind === "FragmentSpread") {
+    const fragment = fragments[selection.name.value]
+    
+    return fragment && !visited.includes(fragment) ? getDepth(fragment.selectionSet, fragments, visited.concat(fragment)) : 0
+  }
+  
+  return (selection.kind === "Field" ? 1 : 0) + getDepth(selection.selectionSet, fragments, visited)
+})) : 0
+
+// A validation rule (see `specifiedRules` in graphql-js) which rejects operations nested deeper than `maxDepth`
+const depthLimit = context => {
+  const fragments = context.getDocument().definitions
+    .filter(({ kind }) => kind === "FragmentDefinition")
+    .reduce((all, fragment) => ({ ...all, [fragment.name.value]: fragment }), {})
+  
+  return {
+    OperationDefinition: operation => {
+      if (getDepth(operation.selectionSet, fragments) > maxDepth)
+        context.reportError(new GraphQLError(`Queries can't be nested more than ${maxDepth} fields deep`, [ operation ]))
+    }
+  }
+}
+
+// Format an error for the response, including the code of the `HttpError` which caused it
+const toResponseError = (error, code) => {
+  const { originalError } = error
+  const formatted = formatError(error)
+  
+  return {
+    ...formatted,
+    extensions: {
+      ...formatted.extensions,
+      code: (originalError && originalError.code) || code,
+      ...(originalError && originalError.details ? { details: originalError.details } : {})
+    }
+  }
+}
+
+/*
+  Parse, validate and execute a GraphQL request. Each request is given its own DataLoaders, so
+  nothing is shared between requests other than the controllers' caches.
+*/
+const handleRequest = (input, res) => {
+  let request, document
+  
+  try {
+    request = validate(requestSchema, input)
+    document = parse(request.query)
+  } catch (err) {
+    const error = err instanceof GraphQLError ? err : new GraphQLError(err.message, undefined, undefined, undefined, undefined, err)
+    
+    return res.status(400).json({ errors: [ toResponseError(error, "GRAPHQL_PARSE_FAILED") ] })
+  }
+  
+  const errors = validateQuery(schema, document, [ ...specifiedRules, depthLimit ])
+  
+  if (errors.length)
+    return res.status(400).json({ errors: errors.map(error => toResponseError(error, "GRAPHQL_VALIDATION_FAILED")) })
+  
+  // `execute` can throw as well as reject, so it's called within the Promise
+  new Promise(resolve => resolve(execute({
+    schema,
+    document,
+    variableValues: request.variables,
+    operationName: request.operationName,
+    contextValue: { loaders: createLoaders() }
+  }))).then(({ data, errors }) => res.json({
+    data,
+    ...(errors ? { errors: errors.map(error => toResponseError(error, "INTERNAL_ERROR")) } : {})
+  })).catch(err => {
+    logger.error("Request failed", { error: err })
+    
+    if (res.headersSent)
+      return res.end()
+    
+    const error = err instanceof GraphQLError ? err : new GraphQLError(err.message, undefined, undefined, undefined, undefined, err)
+    
+    res.status(500).json({ errors: [ toResponseError(error, "INTERNAL_ERROR") ] })
+  })
+}
+
+/*
+  GraphQL endpoint. Requires "query" in the JSON body, and accepts "variables"
+  and "operationName".
+*/
+router.post("/", (req, res) => handleRequest(req.body, res))
+
+/*
+  GraphQL endpoint for GET requests. Requires "query" in the query string, and
+  accepts "variables" (as a JSON string) and "operationName".
+*/
+router.get("/", (req, res) => {
+  let variables = req.query.variables
+  
+  try {
+    if (typeof variables === "string")
+      variables = JSON.parse(variables)
+  } catch (err) {
+    // Rejected by the validation in `handleRequest`, as it isn't an Object
+  }
+  
+  handleRequest({ ...req.query, variables }, res)
+})
+
+module.exports = router
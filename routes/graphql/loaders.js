@@ -0,0 +1,86 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  DataLoaders used by the GraphQL resolvers (see "./schema.js"). A new set of loaders is created for
+  every request, so each product, store and stock check is only requested once per query, however
+  many fields ask for it, and requests made while resolving the same level of a query are batched.
+  
+  Overview of Methods:
+  - createLoaders(): { products: DataLoader, locations: DataLoader, stores: DataLoader, stock: DataLoader }
+  
+  Batch functions resolve with an Error in place of each key which failed, so that only the fields
+  which asked for that key fail, rather than the whole batch.
+  
+  Keys:
+  - products: { styleCode: string, market?: string, currency?: string } (without a size code)
+  - locations: { city?: string, postcode?: string, lat?: number, lon?: number, limit?: number, radius?: number, market?: string }
+  - stores: { storeId: number, market?: string }
+  - stock: { storeId: number, styleCode: string, size: string, quantity?: number, market?: string }
+*/
+const DataLoader = require("dataloader")
+const { HttpError } = require("../../utils/HttpError")
+const { mapLimit } = require("../../utils/promise")
+
+const sz = require("../../controllers/sz")
+const stores = require("../../controllers/stores")
+
+/*
+  The most stock checks a single query can make at once, matching the stock sweep in
+  "/controllers/sz.js". Every check is a separate request to Shoe Zone's StoreStock API.
+*/
+const stockConcurrency = 4
+
+// DataLoaders compare keys by reference, so Object keys are compared by their contents instead
+const cacheKeyFn = key => JSON.stringify(key, Object.keys(key).sort())
+
+// Group keys which can be requested together, keeping track of each key's position
+const groupBy = (keys, getGroup) => keys.reduce((groups, key, index) => {
+  const group = getGroup(key)
+  
+  groups.set(group, (groups.get(group) || []).concat({ key, index }))
+  
+  return groups
+}, new Map())
+
+/*
+  Products are looked up with `getProducts`, which serves cached products immediately and limits
+  how many product pages are downloaded at once. Each market (and currency) is a separate batch.
+*/
+const loadProducts = keys => {
+  const results = new Array(keys.length)
+  const groups = groupBy(keys, ({ market, currency }) => `${market || ""}:${currency || ""}`)
+  
+  return Promise.all(Array.from(groups.values()).map(group => {
+    const { market, currency } = group[0].key
+    
+    return sz.getProducts({ styleCodes: group.map(({ key }) => key.styleCode), market, currency }).then(products => {
+      group.forEach(({ key, index }) => {
+        const { ok, status, result } = products.find(({ styleCode }) => styleCode === key.styleCode)
+        
+        results[index] = ok ? result : new HttpError(result, status)
+      })
+    }, err => {
+      group.forEach(({ index }) => {
+        results[index] = err
+      })
+    })
+  })).then(() => results)
+}
+
+/*
+  Stock checks can only be made one size at a time, so they're made a few at a time (and failures
+  are returned as errors for just that size, rather than failing the whole query).
+*/
+const loadStock = keys => mapLimit(keys, stockConcurrency, key => sz.checkStoreStock(key).catch(err => err))
+
+const createLoaders = () => ({
+  products: new DataLoader(loadProducts, { cacheKeyFn }),
+  locations: new DataLoader(keys => Promise.all(keys.map(key => sz.locateStores(key).catch(err => err))), { cacheKeyFn }),
+  stores: new DataLoader(keys => Promise.all(keys.map(key => stores.getStore(key).catch(err => err))), { cacheKeyFn }),
+  stock: new DataLoader(loadStock, { cacheKeyFn })
+})
+
+module.exports = {
+  createLoaders
+}
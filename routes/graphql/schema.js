@@ -0,0 +1,306 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  The GraphQL schema served at "/graphql", and its resolvers. Every field is resolved through the
+  controllers (mostly "/controllers/sz.js"), using the per-request DataLoaders in "./loaders.js", so
+  a query only makes the requests to Shoe Zone it needs, and never makes the same request twice.
+  For example, a product's size availability at the nearest store only downloads the product page
+  once, and makes one stock check per size:
+  
+  {
+    nearestStores(postcode: "GL1 1AA") {
+      storeName
+      stock(styleCode: "15070") { size inStock }
+    }
+  }
+  
+  Arguments are validated with the same rules as the REST API (see "/utils/validate.js"), and
+  errors include the `code` of the `HttpError` which caused them in their `extensions`.
+*/
+const { buildSchema } = require("graphql")
+const { HttpError } = require("../../utils/HttpError")
+const { validate } = require("../../utils/validate")
+
+const typeDefs = `
+  "A Shoe Zone market, which determines the website (and currency) products are requested from"
+  enum Market {
+    GB
+    IE
+  }
+  
+  type Query {
+    "Look up a product by its style code (a size code may be included, but is ignored)"
+    product(styleCode: String!, market: Market, currency: String): Product
+    
+    "Look up several products at once (up to 50)"
+    products(styleCodes: [String!]!, market: Market, currency: String): [Product]!
+    
+    "Look up a store which has previously been located"
+    store(storeId: Int!, market: Market): StoreDetails
+    
+    "Find the nearest stores to a location (up to 20), nearest first"
+    nearestStores(city: String, postcode: String, lat: Float, lon: Float, limit: Int = 1, radius: Float, market: Market): [Store!]!
+  }
+  
+  type Product {
+    id: Int!
+    name: String!
+    description: String!
+    price: Price!
+    currency: String!
+    "The price converted into the requested currency, if one was requested"
+    converted: ConvertedPrice
+    market: Market!
+    thumbnail: String
+    categories: [String!]!
+    images: [Image!]!
+    variants: [Variant!]!
+    offers: [Offer!]!
+    sizes: [Size!]!
+    warnings: [String!]!
+  }
+  
+  type Price {
+    current: Float
+    was: Float
+  }
+  
+  type ConvertedPrice {
+    currency: String!
+    rate: Float!
+    current: Float
+    was: Float
+  }
+  
+  type Image {
+    url: String!
+    zoom: String
+    width: Int
+    height: Int
+  }
+  
+  type Variant {
+    id: Int!
+    colour: String!
+    thumbnail: String
+    product(currency: String): Product
+  }
+  
+  type Offer {
+    name: String!
+    abbr: String!
+    image: String
+    "The type of offer (e.g. \\"multi-buy\\"), if it's understood. See \\"/controllers/offers.js\\"."
+    type: String
+  }
+  
+  type Size {
+    size: String!
+    code: String!
+    warehouseStock: Int!
+    "Whether a store has this size in stock"
+    stockAt(storeId: Int!, quantity: Int = 1): StockCheck
+  }
+  
+  type StockCheck {
+    inStock: Boolean!
+    storeId: Int!
+    storeName: String!
+    storeAddress: String!
+  }
+  
+  type Coordinates {
+    lat: Float
+    lon: Float
+  }
+  
+  type Store {
+    storeId: Int!
+    storeName: String!
+    storeAddress: String!
+    storePhone: String!
+    "Miles from the search point"
+    distance: Float
+    coordinates: Coordinates!
+    market: Market!
+    "The availability of every size of a product at this store"
+    stock(styleCode: String!, quantity: Int = 1): [SizeStock!]!
+    details: StoreDetails
+  }
+  
+  type SizeStock {
+    size: String!
+    code: String!
+    "Null if the stock check failed"
+    inStock: Boolean
+  }
+  
+  type StoreDetails {
+    storeId: Int!
+    market: Market!
+    storeName: String
+    storeAddress: String
+    storePhone: String
+    coordinates: Coordinates
+    openingHours: OpeningHours
+    "The names of the store's facilities, e.g. \\"parking\\""
+    facilities: [String!]!
+    openNow: Boolean
+  }
+  
+  "Each day is null when the store is closed"
+  type OpeningHours {
+    monday: Hours
+    tuesday: Hours
+    wednesday: Hours
+    thursday: Hours
+    friday: Hours
+    saturday: Hours
+    sunday: Hours
+  }
+  
+  type Hours {
+    open: String!
+    close: String!
+  }
+`
+
+/*
+  Validation rules for arguments, matching those of the REST API (see "/routes/api/index.js").
+*/
+const rules = {
+  styleCode: { type: "styleCode", required: true },
+  currency: { type: "currency" },
+  quantity: { type: "integer", min: 1, max: 99, default: 1 },
+  location: {
+    city: { type: "string", maxLength: 100, pattern: /^[a-z0-9 .,'&()-]+$/i, message: "Must be a town or city name" },
+    postcode: { type: "postcode" },
+    lat: { type: "number", min: -90, max: 90 },
+    lon: { type: "number", min: -180, max: 180 },
+    limit: { type: "integer", min: 1, max: 20, default: 1 },
+    radius: { type: "number", min: 0.1, max: 500 },
+    market: { type: "market" }
+  }
+}
+
+// Reject arguments which are valid on their own, but not together (in the same way as `validate`)
+const invalid = (field, message) => new HttpError("The request is invalid", 400, "VALIDATION_FAILED", [{ field, code: "REQUIRED", message }])
+
+/*
+  Resolvers for fields which aren't simply read from the parent Object. Each resolver is called with
+  `(parent, args, context)`, where `context.loaders` are the request's DataLoaders.
+*/
+const resolvers = {
+  Query: {
+    product: (parent, args, { loaders }) => {
+      const { styleCode, currency } = validate({ styleCode: rules.styleCode, currency: rules.currency }, args)
+      
+      return loaders.products.load({ styleCode, market: args.market, currency })
+    },
+    
+    products: (parent, args, { loaders }) => {
+      const { styleCodes, currency } = validate({
+        styleCodes: { type: "array", required: true, min: 1, max: 50, items: rules.styleCode },
+        currency: rules.currency
+      }, args)
+      
+      // Products which fail to load are returned as null, with an error for each
+      return loaders.products.loadMany(styleCodes.map(styleCode => ({ styleCode, market: args.market, currency })))
+    },
+    
+    store: (parent, { storeId, market }, { loaders }) => loaders.stores.load({ storeId, market }),
+    
+    nearestStores: (parent, args, { loaders }) => {
+      const location = validate(rules.location, args)
+      
+      if ((location.lat === undefined) !== (location.lon === undefined))
+        throw invalid(location.lat === undefined ? "lat" : "lon", "Latitude and longitude must be given together")
+      
+      if (location.city === undefined && location.postcode === undefined && location.lat === undefined)
+        throw invalid("nearestStores", "One of city, postcode, or lat and lon is required")
+      
+      return loaders.locations.load(location)
+    }
+  },
+  
+  Product: {
+    // Variants are other colours of the same product, so are looked up in the same market
+    variants: product => product.variants.map(variant => ({ ...variant, market: product.market })),
+    
+    // Each size keeps track of its product, for `Size.stockAt`
+    sizes: product => product.sizeRange.map(({ size, code, stock }) => ({
+      size,
+      code,
+      warehouseStock: stock.warehouse,
+      styleCode: String(product.id),
+      market: product.market
+    }))
+  },
+  
+  Image: {
+    width: ({ size }) => size ? size.width : null,
+    height: ({ size }) => size ? size.height : null
+  },
+  
+  Variant: {
+    product: (variant, { currency }, { loaders }) => loaders.products.load({
+      styleCode: String(variant.id),
+      market: variant.market,
+      currency: validate({ currency: rules.currency }, { currency }).currency
+    })
+  },
+  
+  Offer: {
+    type: ({ rule }) => rule ? rule.type : null
+  },
+  
+  Size: {
+    stockAt: (size, args, { loaders }) => {
+      const { quantity } = validate({ quantity: rules.quantity }, args)
+      
+      return loaders.stock.load({ storeId: args.storeId, styleCode: size.styleCode, size: size.code, quantity, market: size.market })
+    }
+  },
+  
+  Store: {
+    stock: (store, args, { loaders }) => {
+      const { styleCode, quantity } = validate({ styleCode: rules.styleCode, quantity: rules.quantity }, args)
+      
+      // A failed stock check only affects its own size
+      return loaders.products.load({ styleCode, market: store.market }).then(product => Promise.all(
+        product.sizeRange.map(({ size, code }) => loaders.stock.load({
+          storeId: store.storeId, styleCode, size: code, quantity, market: store.market
+        }).then(({ inStock }) => ({ size, code, inStock }), () => ({ size, code, inStock: null })))
+      ))
+    },
+    
+    details: (store, args, { loaders }) => loaders.stores.load({ storeId: store.storeId, market: store.market })
+  },
+  
+  StoreDetails: {
+    facilities: ({ facilities }) => Object.keys(facilities || {}).filter(name => facilities[name])
+  }
+}
+
+/*
+  Attach the resolvers to the fields of the schema built from `typeDefs`.
+*/
+const createSchema = () => {
+  const schema = buildSchema(typeDefs)
+  
+  Object.keys(resolvers).forEach(typeName => {
+    const fields = schema.getType(typeName).getFields()
+    
+    Object.keys(resolvers[typeName]).forEach(fieldName => {
+      fields[fieldName].resolve = resolvers[typeName][fieldName]
+    })
+  })
+  
+  return schema
+}
+
+module.exports = {
+  schema: createSchema(),
+  typeDefs
+}
@@ -5,6 +5,8 @@
 const express = require("express")
 const path = require("path")
 const fs = require("../utils/fs")
+const { HttpError } = require("../utils/HttpError")
+const { sendError } = require("../utils/respond")
 
 const router = express.Router()
 
@@ -54,11 +56,9 @@ fs.readdir(__dirname, { withFileTypes: true }).then(
 
   /*
     Handle all other requests with a 404 status and not found response JSON
+    (in the same format as every other error; see "/utils/respond.js")
   */
-  router.all("*", (req, res) => res.status(404).json({
-    ok: false,
-    result: `"${req.path}" was not found on this server`
-  }))
+  router.all("*", (req, res) => sendError(res, new HttpError(`"${req.path}" was not found on this server`, 404, "ROUTE_NOT_FOUND")))
 })
 
 module.exports = router
\ No newline at end of file
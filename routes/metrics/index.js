@@ -0,0 +1,103 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Router for handling requests to "/metrics", which reports the server's metrics in Prometheus'
+  text exposition format (see "/utils/metrics.js").
+  
+  Overview of Routes:
+  - "/"
+  
+  Requires the admin token, in the same way as the "/admin" routes (see "/utils/access.js").
+*/
+const express = require("express")
+const router = express.Router()
+
+const { sendError } = require("../../utils/respond")
+const { requireAdminToken } = require("../../utils/access")
+const { getRequestMetrics, formatMetrics } = require("../../utils/metrics")
+const admin = require("../../controllers/admin")
+const upstream = require("../../adapters")
+
+router.use(requireAdminToken)
+
+/*
+  Private method:
+  getCacheMetrics(): Promise<Object[]>
+  
+  The lookups and hit ratio of each cache namespace (see `getCacheStats` in "/controllers/admin.js").
+*/
+function getCacheMetrics() {
+  return admin.getCacheStats().then(stats => [
+    {
+      name: "whs_cache_lookups_total",
+      help: "Cache lookups, by namespace and result (stale entries are served when Shoe Zone is unavailable)",
+      type: "counter",
+      samples: stats.reduce((samples, { namespace, hits, staleHits, misses }) => samples.concat(
+        { labels: { namespace, result: "hit" }, value: hits },
+        { labels: { namespace, result: "stale" }, value: staleHits },
+        { labels: { namespace, result: "miss" }, value: misses }
+      ), [])
+    },
+    {
+      name: "whs_cache_hit_ratio",
+      help: "The proportion of cache lookups which found an entry, by namespace",
+      type: "gauge",
+      samples: stats.filter(({ hitRate }) => hitRate !== null).map(({ namespace, hitRate }) => ({ labels: { namespace }, value: hitRate }))
+    },
+    {
+      name: "whs_cache_entries",
+      help: "The number of entries in each cache namespace",
+      type: "gauge",
+      samples: stats.map(({ namespace, size }) => ({ labels: { namespace }, value: size }))
+    }
+  ])
+}
+
+/*
+  Private method:
+  getUpstreamMetrics(): Object[]
+  
+  Requests made to Shoe Zone by the upstream gateway (see "/adapters/gateway.js"). Adapters which
+  aren't wrapped by the gateway don't report anything.
+*/
+function getUpstreamMetrics() {
+  const status = upstream.getStatus()
+  
+  if (status.requests === undefined)
+    return []
+  
+  const counter = (name, help, value) => ({ name, help, type: "counter", samples: [ { value } ] })
+  
+  return [
+    counter("whs_upstream_requests_total", "Requests made to Shoe Zone, including retries", status.requests),
+    counter("whs_upstream_failures_total", "Requests to Shoe Zone which failed for a transient reason", status.failures),
+    counter("whs_upstream_retries_total", "Requests to Shoe Zone which were retried", status.retries),
+    counter("whs_upstream_coalesced_total", "Requests which shared the response of an identical request in flight", status.coalesced),
+    counter("whs_upstream_rejected_total", "Requests rejected while the circuit breaker was open", status.rejected),
+    {
+      name: "whs_upstream_circuit_state",
+      help: "The state of the circuit breaker (1 for the current state, 0 otherwise)",
+      type: "gauge",
+      samples: [ "closed", "half-open", "open" ].map(state => ({ labels: { state }, value: status.circuit === state ? 1 : 0 }))
+    }
+  ]
+}
+
+/*
+  Metrics endpoint. Responds with the metrics of requests to this server, the
+  cache, and requests made to Shoe Zone.
+*/
+router.get("/", (req, res) => {
+  getCacheMetrics().then(
+    cacheMetrics => res.type("text/plain; version=0.0.4").send(formatMetrics([
+      ...getRequestMetrics(),
+      ...cacheMetrics,
+      ...getUpstreamMetrics()
+    ]))
+  ).catch(
+    err => sendError(res, err)
+  )
+})
+
+module.exports = router
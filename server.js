@@ -5,13 +5,54 @@
 const express = require("express")
 const path = require("path")
 const cors = require("cors")
+const { requireApiKey, getCorsOptions } = require(path.join(__dirname, "utils", "access"))
+const { measureRequests } = require(path.join(__dirname, "utils", "metrics"))
+const { logger, traceRequests } = require(path.join(__dirname, "utils", "logger"))
 const app = express()
 
-// Allow requests from remote clients/servers
-app.use(cors())
+// Read the client's IP address (for anonymous quotas) from the "X-Forwarded-For" header set by
+// the proxies in front of the server, e.g. TRUST_PROXY=1 on Glitch (see Express' "trust proxy")
+if (process.env.TRUST_PROXY)
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY)
+
+// Give every request an ID (in the "X-Request-Id" header), and log it once it has been handled
+app.use(traceRequests)
+
+// Record the route, status and duration of every request for "/metrics"
+app.use(measureRequests)
+
+// Allow requests from the origins in ".env" (or from anywhere, if none are specified)
+app.use(cors(getCorsOptions()))
+
+// Require an API key, and count requests towards the key's quota
+app.use([ "/api", "/graphql" ], requireApiKey)
+
+// Parse JSON request bodies (e.g. when creating watches)
+app.use(express.json())
 
 // Handle routing by initiating "routes/index.js"
 app.use(require(path.join(__dirname, "routes")))
 
+// Start re-checking back-in-stock watches on the interval (in seconds)
+// specified in ".env", or every 5 minutes by default
+require(path.join(__dirname, "controllers", "watch")).startScheduler({
+  interval: process.env.WATCH_INTERVAL
+})
+
+// Start crawling the products and categories specified in ".env" on the interval (in seconds)
+// specified in ".env", or every 2 minutes by default, to keep them warm in the cache
+require(path.join(__dirname, "controllers", "crawler")).startCrawler({
+  interval: process.env.CRAWL_INTERVAL
+})
+
 // Start the server on the port specified in ".env"
-app.listen(process.env.PORT)
\ No newline at end of file
+const server = app.listen(process.env.PORT, () => logger.info("Server started", { port: server.address().port }))
+
+// Save any cache entries and records which haven't been written to disk yet before exiting
+const onExit = () => Promise.all([
+  require(path.join(__dirname, "cache")).flush(),
+  require(path.join(__dirname, "cache", "records")).flush()
+]).finally(() => process.exit())
+
+process.once("SIGINT", onExit)
+process.once("SIGTERM", onExit)
\ No newline at end of file
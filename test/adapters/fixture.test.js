@@ -0,0 +1,55 @@
+const assert = require("assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { JSDOM } = require("jsdom")
+const { createFixtureAdapter } = require("../../adapters/fixture")
+const { createRecordAdapter } = require("../../adapters/record")
+
+describe("adapters", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "we-heart-shoes-fixtures-"))
+  
+  // Stands in for the live adapter, so nothing is requested from Shoe Zone
+  const fakeAdapter = {
+    post: (pathname, body) => Promise.resolve({ d: JSON.stringify({ pathname, body }) }),
+    fetchPage: pathname => Promise.resolve(new JSDOM(`<h1>${pathname}</h1>`))
+  }
+  
+  const recorder = createRecordAdapter({ directory, adapter: fakeAdapter })
+  const player = createFixtureAdapter({ directory })
+  
+  it("replays recorded API responses, ignoring whitespace in the request", () =>
+    recorder.post("/StoreLocator.aspx/FindRequestedStores", { "_sRequestJSON": `{ "Town": "Gloucester" }` }).then(
+      recorded => player.post("/StoreLocator.aspx/FindRequestedStores", { "_sRequestJSON": `{"Town":"Gloucester"}` }).then(
+        replayed => assert.deepStrictEqual(replayed, recorded)
+      )
+    )
+  )
+  
+  it("replays recorded pages", () =>
+    recorder.fetchPage("/Products/Product-12345").then(
+      () => player.fetchPage("/Products/Product-12345")
+    ).then(jsdom => {
+      assert.strictEqual(jsdom.window.document.querySelector("h1").textContent, "/Products/Product-12345")
+      assert.strictEqual(jsdom.window.location.href, "https://www.shoezone.com/Products/Product-12345")
+    })
+  )
+  
+  it("keeps the fixtures of each market separate", () =>
+    recorder.fetchPage("/Products/Product-54321", "IE").then(() => Promise.all([
+      player.fetchPage("/Products/Product-54321", "IE"),
+      player.fetchPage("/Products/Product-54321").then(() => assert.fail("Expected the GB page to be missing"), err => err)
+    ])).then(([ jsdom, err ]) => {
+      assert.ok(fs.existsSync(path.join(directory, "pages", "ie-products-product-54321.html")))
+      assert.strictEqual(jsdom.window.document.querySelector("h1").textContent, "/Products/Product-54321")
+      assert.strictEqual(err.statusCode, 404)
+    })
+  )
+  
+  it("rejects with a 404 when there is no fixture", () =>
+    player.post("/Product.aspx/StoreStockAjaxRequest", { data: "{}" }).then(
+      () => assert.fail("Expected the fixture adapter to reject"),
+      err => assert.strictEqual(err.statusCode, 404)
+    )
+  )
+})
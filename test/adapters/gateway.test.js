@@ -0,0 +1,106 @@
+const assert = require("assert")
+const { createGateway } = require("../../adapters/gateway")
+
+/*
+  Create an adapter which counts its requests, and responds using `respond` (which is called with
+  the number of the request, starting from 1).
+*/
+const createCountingAdapter = respond => {
+  const adapter = {
+    name: "counting",
+    requests: 0,
+    post: () => {
+      adapter.requests++
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => respond(adapter.requests))
+    }
+  }
+  
+  adapter.fetchPage = adapter.post
+  
+  return adapter
+}
+
+const transientError = () => Object.assign(new Error("Service Unavailable"), { statusCode: 503 })
+
+describe("adapters/gateway", () => {
+  it("coalesces identical in-flight requests", () => {
+    const adapter = createCountingAdapter(count => ({ count }))
+    const gateway = createGateway({ adapter })
+    
+    return Promise.all([
+      gateway.post("/Product.aspx/StoreStockAjaxRequest", { data: "{ 'a': 1 }" }),
+      gateway.post("/Product.aspx/StoreStockAjaxRequest", { data: "{'a':1}" }),
+      gateway.fetchPage("/Products/Product-15070"),
+      gateway.fetchPage("/products/product-15070")
+    ]).then(responses => {
+      assert.strictEqual(adapter.requests, 2)
+      assert.strictEqual(responses[0], responses[1])
+      assert.strictEqual(responses[2], responses[3])
+      assert.strictEqual(gateway.getStatus().coalesced, 2)
+    })
+  })
+  
+  it("limits the rate of requests", () => {
+    const adapter = createCountingAdapter(count => count)
+    const gateway = createGateway({ adapter, rate: 20, burst: 1 })
+    const started = Date.now()
+    
+    return Promise.all([ 1, 2, 3 ].map(page => gateway.fetchPage(`/page-${page}`))).then(() => {
+      // The first request uses the burst; the other two wait 50ms each for a token
+      assert.ok(Date.now() - started >= 90)
+    })
+  })
+  
+  it("retries transient failures", () => {
+    const adapter = createCountingAdapter(count => {
+      if (count < 3) throw transientError()
+      return "ok"
+    })
+    const gateway = createGateway({ adapter, retries: 2, retryDelay: 1 })
+    
+    return gateway.fetchPage("/").then(response => {
+      assert.strictEqual(response, "ok")
+      assert.strictEqual(adapter.requests, 3)
+    })
+  })
+  
+  it("doesn't retry errors which aren't transient", () => {
+    const adapter = createCountingAdapter(() => {
+      throw Object.assign(new Error("Not Found"), { statusCode: 404 })
+    })
+    const gateway = createGateway({ adapter, retries: 2, retryDelay: 1 })
+    
+    return gateway.fetchPage("/").then(
+      () => assert.fail("Expected the request to fail"),
+      err => {
+        assert.strictEqual(err.statusCode, 404)
+        assert.strictEqual(adapter.requests, 1)
+      }
+    )
+  })
+  
+  it("fails fast while the circuit is open, and closes again after the cooldown", () => {
+    let healthy = false
+    const adapter = createCountingAdapter(() => {
+      if (!healthy) throw transientError()
+      return "ok"
+    })
+    const gateway = createGateway({ adapter, retries: 0, failureThreshold: 2, cooldown: 0.05 })
+    const expectFailure = pathname => gateway.fetchPage(pathname).then(() => assert.fail("Expected the request to fail"), err => err)
+    
+    return expectFailure("/1").then(() => expectFailure("/2")).then(() => {
+      assert.strictEqual(gateway.getStatus().circuit, "open")
+      return expectFailure("/3")
+    }).then(err => {
+      // The third request never reached the adapter
+      assert.strictEqual(err.statusCode, 503)
+      assert.strictEqual(adapter.requests, 2)
+      
+      healthy = true
+      return new Promise(resolve => setTimeout(resolve, 60))
+    }).then(() => gateway.fetchPage("/4")).then(response => {
+      assert.strictEqual(response, "ok")
+      assert.strictEqual(gateway.getStatus().circuit, "closed")
+    })
+  })
+})
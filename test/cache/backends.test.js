@@ -0,0 +1,152 @@
+const assert = require("assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const RedisMock = require("ioredis-mock")
+const cacheStore = require("../../cache")
+
+const entry = (value, retainFor = 60000) => ({
+  value,
+  timestamp: Date.now(),
+  expires: Date.now() + retainFor,
+  retainUntil: Date.now() + retainFor
+})
+
+const backends = {
+  memory: () => cacheStore.createBackend({ backend: "memory" }),
+  file: () => cacheStore.createBackend({ backend: "file", directory: fs.mkdtempSync(path.join(os.tmpdir(), "we-heart-shoes-cache-")) }),
+  redis: () => cacheStore.createBackend({ backend: "redis", client: new RedisMock() })
+}
+
+Object.keys(backends).forEach(name => describe(`cache/${name}`, () => {
+  let backend
+  
+  beforeEach(() => {
+    backend = backends[name]()
+  })
+  
+  it("stores and retrieves entries", () =>
+    backend.set("test", "a", entry({ name: "Brogue" }))
+      .then(() => backend.get("test", "a"))
+      .then(stored => assert.deepStrictEqual(stored.value, { name: "Brogue" }))
+      .then(() => backend.get("test", "b"))
+      .then(stored => assert.strictEqual(stored, undefined))
+  )
+  
+  it("keeps namespaces separate", () =>
+    backend.set("one", "a", entry(1))
+      .then(() => backend.get("two", "a"))
+      .then(stored => assert.strictEqual(stored, undefined))
+  )
+  
+  it("drops entries after their retention date", () =>
+    backend.set("test", "a", entry(1, 20))
+      .then(() => new Promise(resolve => setTimeout(resolve, 40)))
+      .then(() => backend.get("test", "a"))
+      .then(stored => assert.strictEqual(stored, undefined))
+  )
+  
+  it("evicts the least recently used entries", () =>
+    backend.set("test", "a", entry(1), { maxEntries: 2 })
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => backend.set("test", "b", entry(2), { maxEntries: 2 }))
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      // Reading "a" makes "b" the least recently used
+      .then(() => backend.get("test", "a"))
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => backend.set("test", "c", entry(3), { maxEntries: 2 }))
+      .then(evicted => assert.strictEqual(evicted, 1))
+      .then(() => backend.keys("test"))
+      .then(keys => assert.deepStrictEqual(keys.sort(), [ "a", "c" ]))
+  )
+  
+  it("peeks at entries without marking them as recently used", () =>
+    backend.set("test", "a", entry(1), { maxEntries: 2 })
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => backend.set("test", "b", entry(2), { maxEntries: 2 }))
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => backend.peek("test", "a"))
+      .then(stored => assert.strictEqual(stored.value, 1))
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => backend.set("test", "c", entry(3), { maxEntries: 2 }))
+      .then(() => backend.keys("test"))
+      .then(keys => assert.deepStrictEqual(keys.sort(), [ "b", "c" ]))
+  )
+  
+  it("deletes keys and clears namespaces", () =>
+    Promise.all([ backend.set("test", "a", entry(1)), backend.set("test", "b", entry(2)) ])
+      .then(() => backend.delete("test", "a"))
+      .then(deleted => assert.strictEqual(deleted, true))
+      .then(() => backend.delete("test", "a"))
+      .then(deleted => assert.strictEqual(deleted, false))
+      .then(() => backend.clear("test"))
+      .then(cleared => assert.strictEqual(cleared, 1))
+      .then(() => backend.size("test"))
+      .then(size => assert.strictEqual(size, 0))
+  )
+}))
+
+describe("cache/file", () => {
+  it("persists entries between instances", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "we-heart-shoes-cache-"))
+    const backend = cacheStore.createBackend({ backend: "file", directory })
+    
+    return backend.set("test", "a", entry({ name: "Brogue" }))
+      .then(() => backend.flush())
+      .then(() => cacheStore.createBackend({ backend: "file", directory }).get("test", "a"))
+      .then(stored => assert.deepStrictEqual(stored.value, { name: "Brogue" }))
+  })
+})
+
+describe("cache", () => {
+  it("expires entries after the namespace's TTL, but can still serve them as stale", () => {
+    const space = cacheStore.namespace("test-ttl", { ttl: 0.02 })
+    
+    return space.set("a", 1)
+      .then(() => space.get("a"))
+      .then(cached => assert.strictEqual(cached.stale, false))
+      .then(() => new Promise(resolve => setTimeout(resolve, 40)))
+      .then(() => space.get("a"))
+      .then(cached => assert.strictEqual(cached, undefined))
+      .then(() => space.get("a", { stale: true }))
+      .then(cached => {
+        assert.strictEqual(cached.value, 1)
+        assert.strictEqual(cached.stale, true)
+      })
+  })
+  
+  it("counts hits, misses and evictions", () => {
+    const space = cacheStore.namespace("test-stats", { maxEntries: 1 })
+    
+    return space.set("a", 1)
+      .then(() => space.get("a"))
+      .then(() => space.get("b"))
+      .then(() => space.set("b", 2))
+      .then(() => space.stats())
+      .then(stats => {
+        assert.strictEqual(stats.size, 1)
+        assert.strictEqual(stats.hits, 1)
+        assert.strictEqual(stats.misses, 1)
+        assert.strictEqual(stats.evictions, 1)
+        assert.strictEqual(stats.hitRate, 0.5)
+      })
+  })
+  
+  it("doesn't count peeks as hits or misses", () => {
+    const space = cacheStore.namespace("test-peek")
+    
+    return space.set("a", 1)
+      .then(() => Promise.all([ space.peek("a"), space.peek("b") ]))
+      .then(([ a, b ]) => {
+        assert.strictEqual(a.value, 1)
+        assert.strictEqual(a.stale, false)
+        assert.strictEqual(b, undefined)
+        
+        return space.stats()
+      })
+      .then(stats => {
+        assert.strictEqual(stats.hits, 0)
+        assert.strictEqual(stats.misses, 0)
+      })
+  })
+})
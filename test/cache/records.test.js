@@ -0,0 +1,30 @@
+const assert = require("assert")
+const fs = require("fs")
+const path = require("path")
+const records = require("../../cache/records")
+
+describe("cache/records", () => {
+  const store = records.recordStore("test-records")
+  
+  it("stores, lists and deletes records", () =>
+    store.set("a", { value: 1 })
+      .then(() => store.get("a"))
+      .then(value => assert.deepStrictEqual(value, { value: 1 }))
+      .then(() => store.keys())
+      .then(keys => assert.deepStrictEqual(keys, [ "a" ]))
+      .then(() => store.delete("a"))
+      .then(deleted => assert.strictEqual(deleted, true))
+      .then(() => store.get("a"))
+      .then(value => assert.strictEqual(value, undefined))
+  )
+  
+  it("saves records to the records directory of the cache directory", () =>
+    store.set("b", "saved")
+      .then(() => records.flush())
+      .then(() => {
+        const saved = JSON.parse(fs.readFileSync(path.join(process.env.CACHE_DIR, "records", "test-records.cache.json"), "utf8"))
+        
+        assert.deepStrictEqual(saved.map(([ key, entry ]) => [ key, entry.value ]), [[ "b", "saved" ]])
+      })
+  )
+})
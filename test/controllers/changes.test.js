@@ -0,0 +1,126 @@
+const assert = require("assert")
+const changes = require("../../controllers/changes")
+const cacheStore = require("../../cache")
+const { recordStore } = require("../../cache/records")
+
+const product = (id, overrides = {}) => ({
+  id,
+  name: `Product ${id}`,
+  description: "A pair of shoes.",
+  price: { current: 12.99, was: null },
+  currency: "GBP",
+  categories: [ "Womens", "Shoes" ],
+  offers: [ { name: "Buy One Get One Half Price" } ],
+  ...overrides
+})
+
+const sizes = (...warehouse) => warehouse.map((quantity, index) => ({ size: String(index + 4), code: `0${index + 4}0`, warehouse: quantity }))
+
+describe("controllers/changes", () => {
+  describe("diffSnapshots", () => {
+    it("describes each change to a product", () => {
+      const previous = { name: "A", description: "B", price: { current: 10, was: null }, categories: [ "Womens" ], offers: [ "BOGOF" ], sizes: sizes(3, 0, 2) }
+      const current = { name: "A", description: "C", price: { current: 8, was: 10 }, categories: [ "Womens" ], offers: [ "2 For £20" ], sizes: sizes(0, 4, 1, 6) }
+      
+      assert.deepStrictEqual(changes.diffSnapshots({ previous, current }), [
+        { type: "description-changed", path: "description", from: "B", to: "C" },
+        { type: "price-changed", path: "price.current", from: 10, to: 8 },
+        { type: "price-changed", path: "price.was", from: null, to: 10 },
+        { type: "offer-started", path: "offers", from: null, to: "2 For £20" },
+        { type: "offer-ended", path: "offers", from: "BOGOF", to: null },
+        { type: "sold-out", path: "sizes.040", from: 3, to: 0 },
+        { type: "restocked", path: "sizes.050", from: 0, to: 4 },
+        { type: "stock-changed", path: "sizes.060", from: 2, to: 1 },
+        { type: "size-added", path: "sizes.070", from: null, to: 6 }
+      ])
+    })
+  })
+  
+  describe("recordSnapshot", () => {
+    const record = (...snapshots) => snapshots.reduce(
+      (previous, snapshot) => previous.then(entries => changes.recordSnapshot({ market: "GB", ...snapshot }).then(entry => entries.concat([ entry ]))),
+      Promise.resolve([])
+    )
+    
+    it("only adds a version when something has changed", () =>
+      record(
+        { product: product(90001), sizes: sizes(2, 1) },
+        { product: product(90001), sizes: sizes(2, 1) },
+        { product: product(90001, { offers: [] }), sizes: sizes(2) }
+      ).then(([ first, second, entry ]) => {
+        assert.strictEqual(first, undefined)
+        assert.strictEqual(second, undefined)
+        assert.strictEqual(entry.version, 2)
+        assert.deepStrictEqual(entry.changes.map(({ type }) => type), [ "offer-ended", "size-removed" ])
+        
+        return changes.getSnapshots({ styleCode: 90001 })
+      }).then(({ versions }) => {
+        assert.deepStrictEqual(versions.map(({ version }) => version), [ 1, 2 ])
+        assert.deepStrictEqual(versions[1].snapshot.offers, [])
+      })
+    )
+    
+    it("notifies subscribers of each change", () => {
+      const received = []
+      const unsubscribe = changes.subscribe({ listener: entry => received.push(entry), type: "price-changed" })
+      
+      return record(
+        { product: product(90002), sizes: sizes(1) },
+        { product: product(90002), sizes: sizes(0) },
+        { product: product(90002, { price: { current: 9.99, was: 12.99 } }), sizes: sizes(0) }
+      ).then(() => {
+        unsubscribe()
+        
+        return record({ product: product(90002, { price: { current: 7.99, was: 12.99 } }), sizes: sizes(0) })
+      }).then(() => {
+        assert.strictEqual(received.length, 1)
+        assert.deepStrictEqual(received[0].changes.map(({ path }) => path), [ "price.current", "price.was" ])
+      })
+    })
+    
+    it("gives every change its own ID when products are recorded at the same time", () =>
+      Promise.all([ 90003, 90004, 90005 ].map(id => changes.recordSnapshot({ product: product(id), sizes: sizes(1), market: "GB" })))
+        .then(() => Promise.all([ 90003, 90004, 90005 ].map(id => changes.recordSnapshot({ product: product(id), sizes: sizes(0), market: "GB" }))))
+        .then(entries => {
+          const ids = entries.map(({ id }) => id)
+          
+          assert.strictEqual(new Set(ids).size, 3)
+          assert.deepStrictEqual(ids, ids.slice().sort((a, b) => a - b))
+        })
+    )
+    
+    it("stores each change separately in the product-changes record store, rather than the cache", () => {
+      const feed = recordStore("product-changes")
+      
+      return record({ product: product(90006), sizes: sizes(1) }, { product: product(90006), sizes: sizes(2) })
+        .then(([ , entry ]) => Promise.all([ entry, feed.get("sequence"), feed.get(`change:${entry.id}`) ]))
+        .then(([ entry, sequence, stored ]) => {
+          assert.strictEqual(sequence, entry.id)
+          assert.deepStrictEqual(stored, entry)
+          assert.strictEqual(cacheStore.getNamespace("product-changes"), undefined)
+        })
+    })
+  })
+  
+  describe("getChanges", () => {
+    it("lists changes after an entry, oldest first", () =>
+      changes.getChanges({}).then(feed => {
+        assert.ok(feed.length >= 2)
+        
+        return changes.getChanges({ after: feed[0].id, limit: 1 }).then(next => {
+          assert.strictEqual(next.length, 1)
+          assert.strictEqual(next[0].id, feed[1].id)
+        })
+      })
+    )
+  })
+  
+  describe("getSnapshots", () => {
+    it("rejects with a 404 for products without snapshots", () =>
+      changes.getSnapshots({ styleCode: 90099 }).then(
+        () => assert.fail("Expected getSnapshots to reject"),
+        err => assert.strictEqual(err.statusCode, 404)
+      )
+    )
+  })
+})
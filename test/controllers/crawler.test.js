@@ -0,0 +1,72 @@
+const assert = require("assert")
+const crawler = require("../../controllers/crawler")
+const cacheStore = require("../../cache")
+
+describe("controllers/crawler", () => {
+  describe("crawl", () => {
+    it("fetches the listed products and those in each category", () =>
+      crawler.crawl({ styleCodes: [ "15070", "15072" ], categories: [ "Womens/Sandals" ], pages: 1, budget: 10, delay: 0 }).then(run => {
+        assert.strictEqual(run.products, 3)
+        assert.strictEqual(run.refreshed, 1)
+        assert.strictEqual(run.failed, 2)
+        assert.strictEqual(run.requests, 4)
+        assert.ok(run.finished)
+      })
+    )
+    
+    it("skips cached products, and stops fetching once the budget has been used up", () =>
+      crawler.crawl({ styleCodes: [ "15070", "15071" ], categories: [], budget: 1, delay: 0 }).then(run => {
+        assert.strictEqual(run.warm, 1)
+        assert.strictEqual(run.refreshed, 1)
+        assert.strictEqual(run.skipped, 0)
+        
+        return crawler.crawl({ styleCodes: [ "15071", "15073" ], categories: [ "Womens/Sandals" ], pages: 1, budget: 1, delay: 0 })
+      }).then(run => {
+        // The category page uses up the budget, and the product which failed is backing off
+        assert.strictEqual(run.requests, 1)
+        assert.strictEqual(run.warm, 1)
+        assert.strictEqual(run.skipped, 2)
+      })
+    )
+    
+    it("refreshes cached products once they're past the refresh point", () =>
+      crawler.crawl({ styleCodes: [ "15070" ], categories: [], budget: 1, delay: 0, refreshAt: 0 }).then(run => {
+        assert.strictEqual(run.warm, 0)
+        assert.strictEqual(run.refreshed, 1)
+        
+        return crawler.crawl({ styleCodes: [ "15070" ], categories: [], budget: 1, delay: 0, refreshAt: 0.5 })
+      }).then(run => {
+        assert.strictEqual(run.warm, 1)
+        assert.strictEqual(run.requests, 0)
+      })
+    )
+  })
+  
+  describe("getStatus", () => {
+    it("describes whether each product is warm, failing or pending", () =>
+      crawler.getStatus().then(status => {
+        const statuses = status.products.reduce((statuses, { styleCode, status }) => ({ ...statuses, [styleCode]: status }), {})
+        
+        assert.strictEqual(status.enabled, false)
+        assert.strictEqual(status.running, false)
+        assert.strictEqual(status.lastRun.warm, 1)
+        assert.strictEqual(statuses["15070"], "warm")
+        assert.strictEqual(statuses["15072"], "failing")
+        assert.strictEqual(statuses["69228"], "failing")
+        assert.strictEqual(statuses["15073"], "pending")
+        assert.deepStrictEqual(status.summary, { warm: 2, stale: 0, failing: 2, pending: 1 })
+      })
+    )
+    
+    it("doesn't count as a cache lookup", () => {
+      const products = cacheStore.getNamespace("products")
+      
+      return products.stats().then(before =>
+        crawler.getStatus().then(() => products.stats()).then(after => {
+          assert.strictEqual(after.hits, before.hits)
+          assert.strictEqual(after.misses, before.misses)
+        })
+      )
+    })
+  })
+})
@@ -0,0 +1,25 @@
+const assert = require("assert")
+const history = require("../../controllers/history")
+const cacheStore = require("../../cache")
+const { recordStore } = require("../../cache/records")
+
+describe("controllers/history", () => {
+  describe("recordPrice", () => {
+    it("stores prices in the price-history record store, rather than the cache", () =>
+      history.recordPrice({ styleCode: 90101, name: "Product", current: 12.99, currency: "GBP" })
+        .then(() => recordStore("price-history").keys())
+        .then(keys => {
+          assert.ok(keys.includes("price@sz:90101"))
+          assert.strictEqual(cacheStore.getNamespace("price-history"), undefined)
+        })
+    )
+    
+    it("keeps every price recorded at the same time", () =>
+      Promise.all([ 12.99, 9.99, 7.99 ].map(current =>
+        history.recordPrice({ styleCode: 90102, current, currency: "GBP" })
+      )).then(() => history.getPriceHistory({ styleCode: 90102 })).then(({ prices }) => {
+        assert.deepStrictEqual(prices.map(({ current }) => current), [ 12.99, 9.99, 7.99 ])
+      })
+    )
+  })
+})
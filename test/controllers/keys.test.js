@@ -0,0 +1,38 @@
+const assert = require("assert")
+const keys = require("../../controllers/keys")
+
+describe("controllers/keys", () => {
+  describe("consumeQuota", () => {
+    const consume = now => keys.consumeQuota({ client: "test:quota", quota: 2, window: 60, now })
+    
+    it("allows requests until the quota has been used up", () => {
+      assert.deepStrictEqual(consume(0), { allowed: true, limit: 2, remaining: 1, reset: 60 })
+      assert.deepStrictEqual(consume(1000), { allowed: true, limit: 2, remaining: 0, reset: 59 })
+      assert.deepStrictEqual(consume(2000), { allowed: false, limit: 2, remaining: 0, reset: 58 })
+    })
+    
+    it("resets the quota once the window has ended", () => {
+      assert.deepStrictEqual(consume(60000), { allowed: true, limit: 2, remaining: 1, reset: 60 })
+    })
+  })
+  
+  describe("authenticate", () => {
+    afterEach(() => delete process.env.API_KEYS)
+    
+    it("accepts keys from the environment", () => {
+      process.env.API_KEYS = "mobile-app=whs_environmentkey"
+      
+      return keys.authenticate({ key: "whs_environmentkey" }).then(({ id, name }) => {
+        assert.strictEqual(id, "env-mobile-app")
+        assert.strictEqual(name, "mobile-app")
+      })
+    })
+    
+    it("rejects unknown keys with a 401", () =>
+      keys.authenticate({ key: "whs_unknown" }).then(
+        () => assert.fail("Expected the key to be rejected"),
+        err => assert.strictEqual(err.statusCode, 401)
+      )
+    )
+  })
+})
@@ -0,0 +1,63 @@
+const assert = require("assert")
+const { parseOffer, priceBasket } = require("../../controllers/offers")
+
+const item = (styleCode, price, quantity, offers) => ({
+  styleCode,
+  name: `Product ${styleCode}`,
+  quantity,
+  price,
+  offers: offers.map(name => ({ name, rule: parseOffer({ name }) }))
+})
+
+describe("controllers/offers", () => {
+  describe("parseOffer", () => {
+    it("understands common offers", () => {
+      assert.deepStrictEqual(parseOffer({ name: "2 For £20" }), { type: "multi-buy", quantity: 2, price: 20 })
+      assert.deepStrictEqual(parseOffer({ name: "Buy One Get One Free" }), { type: "buy-get", buy: 1, get: 1, percent: 100 })
+      assert.deepStrictEqual(parseOffer({ name: "BOGOF" }), { type: "buy-get", buy: 1, get: 1, percent: 100 })
+      assert.deepStrictEqual(parseOffer({ name: "3 For 2" }), { type: "buy-get", buy: 2, get: 1, percent: 100 })
+      assert.deepStrictEqual(parseOffer({ name: "Second Pair Half Price" }), { type: "buy-get", buy: 1, get: 1, percent: 50 })
+      assert.deepStrictEqual(parseOffer({ name: "Half Price Second Pair" }), { type: "buy-get", buy: 1, get: 1, percent: 50 })
+      assert.deepStrictEqual(parseOffer({ name: "Save 25%" }), { type: "percentage-off", percent: 25 })
+      assert.deepStrictEqual(parseOffer({ name: "£5 Off" }), { type: "amount-off", amount: 5 })
+    })
+    
+    it("returns null for offers it doesn't understand", () => {
+      assert.strictEqual(parseOffer({ name: "Memory Foam" }), null)
+      assert.strictEqual(parseOffer({ name: "Up To 50% Off" }), null)
+    })
+  })
+  
+  describe("priceBasket", () => {
+    it("combines different products in the same multi-buy offer", () => {
+      const quote = priceBasket({ items: [ item("15070", 12.99, 1, [ "2 For £20" ]), item("15069", 14.99, 1, [ "2 For £20" ]) ] })
+      
+      assert.strictEqual(quote.subtotal, 27.98)
+      assert.strictEqual(quote.total, 20)
+      assert.strictEqual(quote.lines.reduce((sum, { total }) => sum + total, 0), 20)
+      assert.deepStrictEqual(quote.promotions[0].styleCodes, [ "15070", "15069" ])
+    })
+    
+    it("discounts the cheapest pairs first", () => {
+      const quote = priceBasket({ items: [ item("10000", 20, 1, [ "BOGOF" ]), item("20000", 10, 1, [ "BOGOF" ]) ] })
+      
+      assert.deepStrictEqual(quote.lines.map(({ discount }) => discount), [ 0, 10 ])
+      assert.strictEqual(quote.total, 20)
+    })
+    
+    it("only applies offers to complete groups", () => {
+      const quote = priceBasket({ items: [ item("10000", 10, 3, [ "Second Pair Half Price" ]) ] })
+      
+      assert.strictEqual(quote.discount, 5)
+      assert.strictEqual(quote.total, 25)
+    })
+    
+    it("reports offers it doesn't understand", () => {
+      const quote = priceBasket({ items: [ item("10000", 10, 2, [ "Mystery Deal" ]) ] })
+      
+      assert.strictEqual(quote.total, 20)
+      assert.deepStrictEqual(quote.promotions, [])
+      assert.deepStrictEqual(quote.unknownOffers, [ "Mystery Deal" ])
+    })
+  })
+})
@@ -0,0 +1,271 @@
+const assert = require("assert")
+const sz = require("../../controllers/sz")
+
+describe("controllers/sz", () => {
+  describe("locateStore", () => {
+    it("resolves with the nearest store", () =>
+      sz.locateStore({ postcode: "gl1 1aa" }).then(store => {
+        assert.strictEqual(store.storeName, "Gloucester")
+        assert.strictEqual(store.storeId, 1649)
+        assert.strictEqual(store.storeAddress, "Unit 4, Eastgate Street, GL1 1PA")
+        assert.strictEqual(store.storePhone, "01452300486")
+        assert.strictEqual(store.distance, 0.4)
+        assert.deepStrictEqual(store.coordinates, { lat: 51.8645, lon: -2.2431 })
+      })
+    )
+    
+    it("rejects with a 400 when no stores are found", () =>
+      sz.locateStore({ postcode: "ZZ9 9ZZ" }).then(
+        () => assert.fail("Expected locateStore to reject"),
+        err => {
+          assert.strictEqual(err.statusCode, 400)
+          assert.strictEqual(err.message, "No stores could be found for the location entered")
+        }
+      )
+    )
+  })
+  
+  describe("locateStores", () => {
+    it("ranks stores by distance", () =>
+      sz.locateStores({ postcode: "GL1 1AA", limit: 2 }).then(stores => {
+        assert.deepStrictEqual(stores.map(({ storeId }) => storeId), [ 1649, 1650 ])
+        assert.deepStrictEqual(stores.map(({ distance }) => distance), [ 0.4, 7.9 ])
+      })
+    )
+    
+    it("removes stores outside of the radius", () =>
+      sz.locateStores({ postcode: "GL1 1AA", limit: 2, radius: 5 }).then(stores => {
+        assert.deepStrictEqual(stores.map(({ storeId }) => storeId), [ 1649 ])
+      })
+    )
+  })
+  
+  describe("store directory", () => {
+    const directory = require("../../controllers/stores")
+    
+    it("records the opening hours and facilities of located stores", () =>
+      sz.locateStores({ postcode: "GL1 1AA", limit: 2 })
+        // A Monday at noon, and a Sunday at noon (UK time)
+        .then(() => Promise.all([
+          directory.getStore({ storeId: 1649, date: new Date("2026-10-19T11:00:00Z") }),
+          directory.getStore({ storeId: 1649, date: new Date("2026-10-18T11:00:00Z") })
+        ]))
+        .then(([ monday, sunday ]) => {
+          assert.deepStrictEqual(monday.openingHours.monday, { open: "09:00", close: "17:30" })
+          assert.strictEqual(monday.openingHours.sunday, null)
+          assert.deepStrictEqual(monday.facilities, { parking: true, wheelchairAccess: true, kidsFitting: false })
+          assert.deepStrictEqual(monday.address, { property: "Unit 4", street: "Eastgate Street", town: null, postcode: "GL1 1PA" })
+          assert.strictEqual(monday.openNow, true)
+          assert.strictEqual(sunday.openNow, false)
+        })
+    )
+    
+    it("keeps the details of a store when it's seen by a stock check", () =>
+      sz.checkStoreStock({ styleCode: "15070", size: "040", storeId: 1649 })
+        .then(() => directory.getStore({ storeId: 1649 }))
+        .then(store => assert.ok(store.openingHours))
+    )
+    
+    it("merges stores which are seen at the same time", () =>
+      Promise.all([
+        directory.recordStore({ store: { storeId: 9001, storeName: "Testville", openingHours: { monday: null } } }),
+        directory.recordStore({ store: { storeId: 9001, storeAddress: "1 Test Street" } })
+      ]).then(() => directory.getStore({ storeId: 9001 })).then(store => {
+        assert.strictEqual(store.storeName, "Testville")
+        assert.strictEqual(store.storeAddress, "1 Test Street")
+        assert.ok(store.openingHours)
+      })
+    )
+    
+    it("keeps the stores of each market apart", () =>
+      directory.recordStore({ store: { storeId: 9002, storeName: "Dublin", openingHours: { monday: { open: "09:00", close: "17:30" } } }, market: "IE" })
+        // Half an hour before the store opens (Irish time)
+        .then(() => directory.getStore({ storeId: 9002, market: "ie", date: new Date("2026-12-07T08:30:00Z") }))
+        .then(store => {
+          assert.strictEqual(store.market, "IE")
+          assert.strictEqual(store.openNow, false)
+          
+          return directory.getStore({ storeId: 9002 })
+        })
+        .then(
+          () => assert.fail("Expected getStore to reject"),
+          err => assert.strictEqual(err.statusCode, 404)
+        )
+    )
+  })
+  
+  describe("checkStoreStock", () => {
+    it("resolves with whether the store has the size in stock", () =>
+      sz.checkStoreStock({ styleCode: "15070", size: "040", storeId: 1649 }).then(stock => {
+        assert.deepStrictEqual(stock, {
+          inStock: true,
+          storeName: "Gloucester",
+          storeId: 1649,
+          storeAddress: "Unit 4, Eastgate Street, GL1 1PA"
+        })
+      })
+    )
+    
+    it("resolves with false when the store doesn't have the size in stock", () =>
+      sz.checkStoreStock({ styleCode: "15070", size: "050", storeId: 1649 }).then(stock => {
+        assert.strictEqual(stock.inStock, false)
+      })
+    )
+    
+    it("rejects when the product is unavailable", () =>
+      sz.checkStoreStock({ styleCode: "99999", size: "040", storeId: 1649 }).then(
+        () => assert.fail("Expected checkStoreStock to reject"),
+        err => assert.strictEqual(err.message, "Product unavailable")
+      )
+    )
+  })
+  
+  describe("estimateStoreStock", () => {
+    afterEach(() => delete process.env.SZ_ESTIMATE_BUDGET)
+    
+    it("reports stores without the size as having none", () =>
+      sz.estimateStoreStock({ styleCode: "15070", size: "050", storeId: 1649 }).then(estimate => {
+        assert.deepStrictEqual(estimate.quantity, { min: 0, max: 0, label: "0" })
+        assert.strictEqual(estimate.checks, 1)
+      })
+    )
+    
+    it("rejects with a 429 once the store's budget has been used up", () => {
+      process.env.SZ_ESTIMATE_BUDGET = "3"
+      
+      return sz.estimateStoreStock({ styleCode: "15070", size: "040", storeId: 1650 }).then(
+        () => assert.fail("Expected estimateStoreStock to reject"),
+        err => {
+          assert.strictEqual(err.statusCode, 429)
+          assert.strictEqual(err.code, "ESTIMATE_BUDGET_EXCEEDED")
+        }
+      )
+    })
+  })
+  
+  describe("getProductInfo", () => {
+    it("scrapes the product page", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(product => {
+        assert.strictEqual(product.id, 15070)
+        assert.strictEqual(product.name, "Lilley Womens Black Lace Up Brogue Shoe")
+        assert.strictEqual(product.description, "Invest in a pair of these womens black lace up brogue shoes that will never go out of fashion.")
+        assert.deepStrictEqual(product.price, { current: 12.99, was: 19.99 })
+        assert.strictEqual(product.currency, "GBP")
+        assert.strictEqual(product.thumbnail, "https://www.shoezone.com/Images/Product/15070_P01.jpg")
+        assert.deepStrictEqual(product.categories, [ "Womens", "Shoes", "Brogues" ])
+        assert.deepStrictEqual(product.sizeRange, [
+          { size: "4", stock: { warehouse: 12 }, code: "040" },
+          { size: "5", stock: { warehouse: 0 }, code: "050" }
+        ])
+      })
+    )
+    
+    it("doesn't check a store's stock unless a store is requested", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(product => {
+        assert.strictEqual(product.store, undefined)
+        assert.strictEqual(product.freshness.store, undefined)
+      })
+    )
+    
+    it("checks each size at the requested store", () =>
+      sz.getProductInfo({ styleCode: "15070", storeId: 1650 }).then(product => {
+        assert.deepStrictEqual(product.sizeRange.map(({ stock }) => stock.store), [ false, true ])
+        assert.strictEqual(product.storeId, 1650)
+        assert.strictEqual(product.store.storeName, "Cheltenham High Street")
+      })
+    )
+    
+    it("scrapes every image in the gallery", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(({ images }) => {
+        assert.deepStrictEqual(images, [{
+          url: "https://www.shoezone.com/Images/Product/15070_P01.jpg",
+          zoom: "https://www.shoezone.com/Images/Product/Zoom/15070_P01.jpg",
+          size: { width: 400, height: 400 }
+        }, {
+          url: "https://www.shoezone.com/Images/Product/15070_P02.jpg",
+          zoom: null,
+          size: { width: 400, height: 400 }
+        }, {
+          url: "https://www.shoezone.com/Images/Product/15070_P03.jpg",
+          zoom: null,
+          size: null
+        }])
+      })
+    )
+    
+    it("scrapes the other colourways of the style", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(({ variants }) => {
+        assert.deepStrictEqual(variants, [
+          { id: 15069, colour: "Tan", thumbnail: "https://www.shoezone.com/Images/Product/15069_S.jpg" },
+          { id: 150711, colour: "Navy", thumbnail: null }
+        ])
+      })
+    )
+    
+    it("ignores badges which aren't offers", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(({ offers }) => {
+        assert.deepStrictEqual(offers, [{
+          name: "2 For £20",
+          image: "https://www.shoezone.com/Images/Offers/2for20.png",
+          abbr: "2-4-20",
+          rule: { type: "multi-buy", quantity: 2, price: 20 }
+        }])
+      })
+    )
+    
+    it("removes the size code from the style code", () =>
+      sz.getProductInfo({ styleCode: "15070040" }).then(({ id }) => assert.strictEqual(id, 15070))
+    )
+    
+    it("describes how old each part of the product is", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(({ freshness }) => {
+        assert.ok(freshness.metadata.age >= 0)
+        assert.ok(freshness.stock.age >= 0)
+        assert.ok(!isNaN(Date.parse(freshness.metadata.updated)))
+      })
+    )
+    
+    it("has no warnings when the product page is as expected", () =>
+      sz.getProductInfo({ styleCode: "15070" }).then(({ warnings }) => assert.deepStrictEqual(warnings, []))
+    )
+    
+    it("falls back to alternative sources when the markup changes", () =>
+      sz.getProductInfo({ styleCode: "15071" }).then(product => {
+        assert.strictEqual(product.id, 15071)
+        assert.strictEqual(product.name, "Womens Navy Canvas Pump")
+        assert.strictEqual(product.description, "")
+        assert.deepStrictEqual(product.price, { current: 9.99, was: null })
+        assert.strictEqual(product.currency, "GBP")
+        assert.strictEqual(product.thumbnail, "https://www.shoezone.com/Images/Product/15071_P01.jpg")
+        assert.deepStrictEqual(product.categories, [ "Womens", "Canvas" ])
+        assert.deepStrictEqual(product.sizeRange.map(({ stock }) => stock.warehouse), [ 5, 0 ])
+        
+        assert.ok(product.warnings.includes("The product page contains JSON SEO which could not be parsed"))
+        assert.ok(product.warnings.includes("\"name\" was read from microdata, as it could not be read from JSON SEO"))
+        assert.ok(product.warnings.includes("\"description\" could not be found on the product page"))
+        assert.ok(product.warnings.some(warning => warning.startsWith("The warehouse stock of size \"5\"")))
+      })
+    )
+    
+    it("rejects with a 404 when the product doesn't exist", () =>
+      sz.getProductInfo({ styleCode: "00000" }).then(
+        () => assert.fail("Expected getProductInfo to reject"),
+        err => assert.strictEqual(err.statusCode, 404)
+      )
+    )
+    
+    it("rejects with a 404 when the website serves a page which isn't a product", () =>
+      sz.getProductInfo({ styleCode: "15072" }).then(
+        () => assert.fail("Expected getProductInfo to reject"),
+        err => assert.strictEqual(err.statusCode, 404)
+      )
+    )
+    
+    it("rejects with a 502 when the product page can't be understood", () =>
+      sz.getProductInfo({ styleCode: "15073" }).then(
+        () => assert.fail("Expected getProductInfo to reject"),
+        err => assert.strictEqual(err.statusCode, 502)
+      )
+    )
+  })
+})
@@ -0,0 +1,114 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Helpers shared between test files.
+  
+  Overview of Methods:
+  - startServer({ access?: boolean = false }): Promise<Object{ baseURL: string, request: function<Promise>(method: string, url: string, data?: any, headers?: Object), close: function<void>() }>
+  - checkSchema(spec: Object, schema: Object, value: any, path?: string): string[]
+*/
+const express = require("express")
+const axios = require("axios")
+const cors = require("cors")
+const { requireApiKey, getCorsOptions } = require("../utils/access")
+const { measureRequests } = require("../utils/metrics")
+const { traceRequests } = require("../utils/logger")
+
+/*
+  Start an Express server with the "/api", "/admin", "/graphql" and "/metrics" routes mounted, on a
+  random port. If `access` is set, API keys and CORS origins are checked in the same way as
+  "/server.js" (using the environment when the server starts). The returned `request` function
+  resolves with the full axios response, regardless of its status code.
+*/
+const startServer = ({ access = false } = {}) => new Promise(resolve => {
+  const app = express()
+  
+  app.use(traceRequests)
+  app.use(measureRequests)
+  
+  if (access) {
+    app.use(cors(getCorsOptions()))
+    app.use([ "/api", "/graphql" ], requireApiKey)
+  }
+  
+  app.use(express.json())
+  app.use("/api", require("../routes/api"))
+  app.use("/admin", require("../routes/admin"))
+  app.use("/graphql", require("../routes/graphql"))
+  app.use("/metrics", require("../routes/metrics"))
+  
+  const server = app.listen(0, () => {
+    const baseURL = `http://127.0.0.1:${server.address().port}`
+    
+    resolve({
+      baseURL,
+      request: (method, url, data, headers) => axios({ method, url, data, headers, baseURL, validateStatus: () => true }),
+      close: () => server.close()
+    })
+  })
+})
+
+/*
+  Check a value against a JSON Schema from an OpenAPI document, returning a description of every
+  problem (so an empty Array means it matches). Only the keywords used by "/routes/api/schemas.js"
+  and "/utils/openapi.js" are supported: $ref, type, nullable, enum, pattern, required, properties,
+  additionalProperties, items and oneOf.
+*/
+const checkSchema = (spec, schema, value, path = "value") => {
+  if (schema.$ref)
+    return checkSchema(spec, spec.components.schemas[schema.$ref.split("/").pop()], value, path)
+  
+  if (value === null)
+    return schema.nullable ? [] : [ `${path} must not be null` ]
+  
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => !checkSchema(spec, option, value, path).length)
+    
+    return matches.length === 1 ? [] : [ `${path} must match exactly one schema, but matched ${matches.length}` ]
+  }
+  
+  const types = {
+    string: typeof value === "string",
+    number: typeof value === "number",
+    integer: Number.isInteger(value),
+    boolean: typeof value === "boolean",
+    array: Array.isArray(value),
+    object: typeof value === "object" && !Array.isArray(value)
+  }
+  
+  if (schema.type && !types[schema.type])
+    return [ `${path} must be of type ${schema.type}` ]
+  
+  if (schema.enum && !schema.enum.includes(value))
+    return [ `${path} must be one of: ${schema.enum.join(", ")}` ]
+  
+  if (schema.pattern && !new RegExp(schema.pattern).test(value))
+    return [ `${path} must match ${schema.pattern}` ]
+  
+  if (schema.type === "array" && schema.items)
+    return value.reduce((errors, item, index) => errors.concat(checkSchema(spec, schema.items, item, `${path}[${index}]`)), [])
+  
+  if (schema.type === "object") {
+    const properties = schema.properties || {}
+    const missing = (schema.required || []).filter(property => value[property] === undefined)
+    const unexpected = schema.additionalProperties === false
+      ? Object.keys(value).filter(property => !properties[property])
+      : []
+    
+    return [
+      ...missing.map(property => `${path}.${property} is required`),
+      ...unexpected.map(property => `${path}.${property} is not documented`),
+      ...Object.keys(properties).filter(property => value[property] !== undefined).reduce(
+        (errors, property) => errors.concat(checkSchema(spec, properties[property], value[property], `${path}.${property}`)), []
+      )
+    ]
+  }
+  
+  return []
+}
+
+module.exports = {
+  startServer,
+  checkSchema
+}
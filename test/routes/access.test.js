@@ -0,0 +1,93 @@
+const assert = require("assert")
+const { startServer } = require("../helpers")
+
+describe("utils/access", () => {
+  let server, key
+  
+  const admin = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` }
+  const environment = { CORS_ORIGINS: "https://we-heart-shoes.example" }
+  
+  before(() => {
+    Object.assign(process.env, environment)
+    
+    return startServer({ access: true }).then(started => {
+      server = started
+    })
+  })
+  
+  before(() => server.request("post", "/admin/keys", { name: "test client", quota: 3 }, admin).then(({ status, data }) => {
+    assert.strictEqual(status, 201)
+    key = data.result
+  }))
+  
+  after(() => {
+    Object.keys(environment).forEach(name => delete process.env[name])
+    server.close()
+  })
+  
+  it("requires an API key", () =>
+    Promise.all([
+      server.request("get", "/api/locate?postcode=GL1%201AA"),
+      server.request("get", "/api/locate?postcode=GL1%201AA", undefined, { "X-API-Key": "whs_incorrect" })
+    ]).then(responses => {
+      assert.deepStrictEqual(responses.map(({ status }) => status), [ 401, 401 ])
+      assert.deepStrictEqual(responses.map(({ data }) => data.result.code), [ "API_KEY_REQUIRED", "INVALID_API_KEY" ])
+    })
+  )
+  
+  it("serves the documentation without an API key", () =>
+    server.request("get", "/api/openapi.json").then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(data.security, [ { ApiKey: [] } ])
+    })
+  )
+  
+  it("lists keys without the keys themselves", () =>
+    server.request("get", "/admin/keys", undefined, admin).then(({ status, data }) => {
+      const listed = data.result.find(({ id }) => id === key.id)
+      
+      assert.strictEqual(status, 200)
+      assert.ok(/^whs_[a-f0-9]{48}$/.test(key.key))
+      assert.strictEqual(listed.name, "test client")
+      assert.strictEqual(listed.key, undefined)
+      assert.strictEqual(listed.hash, undefined)
+    })
+  )
+  
+  it("enforces each key's quota", () => {
+    const request = () => server.request("get", "/api/locate?postcode=GL1%201AA", undefined, { "X-API-Key": key.key })
+    
+    return request()
+      .then(() => request())
+      .then(({ status, headers }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(headers["x-ratelimit-limit"], "3")
+        assert.strictEqual(headers["x-ratelimit-remaining"], "1")
+        
+        return request()
+      })
+      .then(() => request())
+      .then(({ status, headers, data }) => {
+        assert.strictEqual(status, 429)
+        assert.strictEqual(data.result.code, "QUOTA_EXCEEDED")
+        assert.ok(Number(headers["retry-after"]) > 0)
+      })
+  })
+  
+  it("only allows requests from the allowed origins", () =>
+    Promise.all([
+      server.request("options", "/api/locate", undefined, { Origin: "https://we-heart-shoes.example", "Access-Control-Request-Method": "GET" }),
+      server.request("options", "/api/locate", undefined, { Origin: "https://elsewhere.example", "Access-Control-Request-Method": "GET" })
+    ]).then(([ allowed, denied ]) => {
+      assert.strictEqual(allowed.headers["access-control-allow-origin"], "https://we-heart-shoes.example")
+      assert.strictEqual(denied.headers["access-control-allow-origin"], undefined)
+    })
+  )
+  
+  it("revokes keys", () =>
+    server.request("delete", `/admin/keys/${key.id}`, undefined, admin)
+      .then(({ status }) => assert.strictEqual(status, 200))
+      .then(() => server.request("get", "/api/locate?postcode=GL1%201AA", undefined, { "X-API-Key": key.key }))
+      .then(({ status }) => assert.strictEqual(status, 401))
+  )
+})
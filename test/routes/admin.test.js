@@ -0,0 +1,80 @@
+const assert = require("assert")
+const { startServer } = require("../helpers")
+
+describe("routes/admin", () => {
+  let server
+  
+  const request = (method, url, token = process.env.ADMIN_TOKEN) =>
+    server.request(method, url, undefined, { Authorization: `Bearer ${token}` })
+  
+  before(() => startServer().then(started => {
+    server = started
+  }))
+  
+  // Make sure there's something in the cache to inspect
+  before(() => request("get", "/api/product/15070"))
+  
+  after(() => server.close())
+  
+  it("responds with a 401 without a valid token", () =>
+    Promise.all([
+      server.request("get", "/admin/cache"),
+      request("get", "/admin/cache", "incorrect")
+    ]).then(responses => responses.forEach(({ status }) => assert.strictEqual(status, 401)))
+  )
+  
+  it("responds with the statistics of each namespace", () =>
+    request("get", "/admin/cache").then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      
+      const products = data.result.find(stats => stats.namespace === "products")
+      
+      assert.ok(products)
+      assert.ok(products.size >= 1)
+      assert.strictEqual(products.ttl, 28800)
+    })
+  )
+  
+  it("lists the keys in a namespace", () =>
+    request("get", "/admin/cache/products").then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.ok(data.result.keys.includes("product@sz:gb:15070"))
+    })
+  )
+  
+  it("purges a single key", () =>
+    request("delete", `/admin/cache/stock/${encodeURIComponent("stock@sz:gb:15070")}`)
+      .then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.purged, 1)
+        
+        return request("delete", `/admin/cache/stock/${encodeURIComponent("stock@sz:gb:15070")}`)
+      })
+      .then(({ status }) => assert.strictEqual(status, 404))
+  )
+  
+  it("purges a namespace", () =>
+    request("delete", "/admin/cache/products")
+      .then(({ status }) => assert.strictEqual(status, 200))
+      .then(() => request("get", "/admin/cache/products"))
+      .then(({ data }) => assert.deepStrictEqual(data.result.keys, []))
+  )
+  
+  it("lists and purges the stock checked at stores", () =>
+    server.request("get", "/api/product/15070?storeId=1649")
+      .then(() => request("get", "/admin/cache/store-stock"))
+      .then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.ok(data.result.keys.some(key => key.startsWith("store-stock@sz:gb:1649:")))
+        
+        return request("delete", "/admin/cache/store-stock")
+      })
+      .then(({ status }) => assert.strictEqual(status, 200))
+      .then(() => request("get", "/admin/cache/store-stock"))
+      .then(({ data }) => assert.deepStrictEqual(data.result.keys, []))
+  )
+  
+  it("responds with a 404 for an unknown namespace", () =>
+    request("get", "/admin/cache/unknown").then(({ status }) => assert.strictEqual(status, 404))
+  )
+})
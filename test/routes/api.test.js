@@ -0,0 +1,535 @@
+const assert = require("assert")
+const http = require("http")
+const { startServer } = require("../helpers")
+const changes = require("../../controllers/changes")
+
+describe("routes/api", () => {
+  let server
+  
+  before(() => startServer().then(started => server = started))
+  after(() => server.close())
+  
+  describe("GET /locate", () => {
+    it("responds with the nearest store", () =>
+      server.request("get", "/api/locate?postcode=GL1%201AA").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.ok, true)
+        assert.strictEqual(data.result.storeId, 1649)
+      })
+    )
+    
+    it("responds with a ranked list of stores when a limit is specified", () =>
+      server.request("get", "/api/locate?postcode=GL1%201AA&limit=2").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(data.result.map(({ storeId }) => storeId), [ 1649, 1650 ])
+      })
+    )
+    
+    it("responds with a 400 without a valid location", () =>
+      Promise.all([
+        server.request("get", "/api/locate"),
+        server.request("get", "/api/locate?postcode=not-a-postcode"),
+        server.request("get", "/api/locate?lat=51.86")
+      ]).then(responses => {
+        assert.deepStrictEqual(responses.map(({ status }) => status), [ 400, 400, 400 ])
+        assert.deepStrictEqual(responses.map(({ data }) => data.result.details[0].field), [ "query", "query.postcode", "query.lon" ])
+      })
+    )
+    
+    it("searches for Irish Eircodes in the IE market", () =>
+      server.request("get", "/api/locate?postcode=d02x285").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.storeId, 3012)
+        assert.strictEqual(data.result.market, "IE")
+      })
+    )
+    
+    it("responds with a 400 for an unknown market", () =>
+      server.request("get", "/api/locate?postcode=GL1%201AA&market=us").then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.strictEqual(data.result.details[0].field, "query.market")
+      })
+    )
+    
+    it("responds with a 400 when no stores are found", () =>
+      server.request("get", "/api/locate?postcode=ZZ99ZZ").then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.strictEqual(data.ok, false)
+      })
+    )
+  })
+  
+  describe("GET /store/:storeId", () => {
+    it("responds with the details of a store which has been located", () =>
+      server.request("get", "/api/locate?postcode=GL1+1AA&limit=2")
+        .then(() => server.request("get", "/api/store/1650"))
+        .then(({ status, data }) => {
+          assert.strictEqual(status, 200)
+          assert.strictEqual(data.result.storeName, "Cheltenham High Street")
+          assert.deepStrictEqual(data.result.openingHours.sunday, { open: "10:30", close: "16:30" })
+          assert.deepStrictEqual(data.result.facilities, { wheelchairAccess: true, kidsFitting: true })
+          assert.strictEqual(typeof data.result.openNow, "boolean")
+        })
+    )
+    
+    it("responds with a 404 for a store which hasn't been discovered", () =>
+      server.request("get", "/api/store/9999").then(({ status }) => assert.strictEqual(status, 404))
+    )
+    
+    it("only looks up stores in the requested market", () =>
+      server.request("get", "/api/locate?postcode=GL1+1AA&limit=2")
+        .then(() => server.request("get", "/api/store/1650?market=IE"))
+        .then(({ status }) => assert.strictEqual(status, 404))
+    )
+  })
+  
+  describe("GET /stock/:storeId/:styleCode", () => {
+    it("responds with whether the store has the size in stock", () =>
+      server.request("get", "/api/stock/1649/15070040").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.inStock, true)
+        assert.strictEqual(data.result.storeId, 1649)
+      })
+    )
+    
+    it("responds with a 500 when the product is unavailable", () =>
+      server.request("get", "/api/stock/1649/99999040").then(({ status, data }) => {
+        assert.strictEqual(status, 500)
+        assert.deepStrictEqual(data.result, { code: "PRODUCT_UNAVAILABLE", message: "Product unavailable" })
+      })
+    )
+    
+    it("splits the size code from 6-digit style codes", () =>
+      server.request("get", "/api/stock/1649/150711040").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.inStock, false)
+      })
+    )
+    
+    it("responds with a 400 describing each invalid field", () =>
+      server.request("get", "/api/stock/store/15070?quantity=lots").then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.strictEqual(data.result.code, "VALIDATION_FAILED")
+        assert.deepStrictEqual(data.result.details.map(({ field, code }) => ({ field, code })), [
+          { field: "params.storeId", code: "INVALID_TYPE" },
+          { field: "params.styleCode", code: "INVALID_FORMAT" },
+          { field: "query.quantity", code: "INVALID_TYPE" }
+        ])
+      })
+    )
+  })
+  
+  describe("GET /stock/:storeId/:styleCode/estimate", () => {
+    it("responds with the band of the store's stock", () =>
+      Promise.all([
+        server.request("get", "/api/stock/1649/15070040/estimate"),
+        server.request("get", "/api/stock/1650/15070050/estimate")
+      ]).then(responses => {
+        assert.deepStrictEqual(responses.map(({ status }) => status), [ 200, 200 ])
+        assert.deepStrictEqual(responses.map(({ data }) => data.result.quantity), [
+          { min: 4, max: 7, label: "4–7" },
+          { min: 1, max: 1, label: "1" }
+        ])
+        assert.deepStrictEqual(responses.map(({ data }) => data.result.checks), [ 4, 2 ])
+      })
+    )
+    
+    it("caches estimates", () =>
+      server.request("get", "/api/stock/1649/15070040/estimate").then(({ data }) => {
+        assert.strictEqual(data.result.cached, true)
+        assert.strictEqual(data.result.quantity.label, "4–7")
+      })
+    )
+  })
+  
+  describe("GET /product/:styleCode", () => {
+    it("responds with the product information", () =>
+      server.request("get", "/api/product/15070").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.id, 15070)
+        assert.strictEqual(data.result.sizeRange.length, 2)
+        assert.strictEqual(data.result.market, "GB")
+        assert.strictEqual(data.result.converted, undefined)
+      })
+    )
+    
+    it("responds with the product from the requested market", () =>
+      server.request("get", "/api/product/15070?market=ie").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.market, "IE")
+        assert.strictEqual(data.result.currency, "EUR")
+        assert.deepStrictEqual(data.result.price, { current: 14.99, was: 22.99 })
+      })
+    )
+    
+    it("converts the price into the requested currency", () =>
+      server.request("get", "/api/product/15070?currency=eur").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.currency, "GBP")
+        assert.deepStrictEqual(data.result.converted, { currency: "EUR", rate: 1.17, current: 15.2, was: 23.39 })
+      })
+    )
+    
+    it("responds with a 400 for a currency without an exchange rate", () =>
+      server.request("get", "/api/product/15070?currency=XYZ").then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.strictEqual(data.result.details[0].field, "query.currency")
+      })
+    )
+    
+    it("checks each size at the requested store", () =>
+      server.request("get", "/api/product/15070?storeId=1649").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.storeId, 1649)
+        assert.strictEqual(data.result.store.storeId, 1649)
+        assert.deepStrictEqual(data.result.sizeRange.map(({ code, stock }) => ({ code, store: stock.store })), [
+          { code: "040", store: true },
+          { code: "050", store: false }
+        ])
+        assert.strictEqual(typeof data.result.freshness.store.age, "number")
+      })
+    )
+    
+    it("responds with one row per size as CSV", () =>
+      server.request("get", "/api/product/15070?format=csv").then(({ status, headers, data }) => {
+        const [ header, ...rows ] = data.trim().split("\r\n").map(line => line.split(","))
+        const row = rows[0].reduce((row, cell, index) => ({ ...row, [header[index]]: cell }), {})
+        
+        assert.strictEqual(status, 200)
+        assert.ok(headers["content-type"].startsWith("text/csv"))
+        assert.ok(headers["content-disposition"].includes("product-15070.csv"))
+        assert.strictEqual(rows.length, 2)
+        assert.strictEqual(header.length, 17)
+        assert.deepStrictEqual(
+          [ row.styleCode, row.price, row.categories, row.offerCodes, row.sizeCode, row.warehouseStock, row.storeStock ],
+          [ "15070", "12.99", "Womens/Shoes/Brogues", "2-4-20", "040", "12", "" ]
+        )
+      })
+    )
+    
+    it("responds with NDJSON when it's accepted", () =>
+      server.request("get", "/api/product/15070?storeId=1649", undefined, { Accept: "application/x-ndjson" }).then(({ status, headers, data }) => {
+        const records = data.trim().split("\n").map(line => JSON.parse(line))
+        
+        assert.strictEqual(status, 200)
+        assert.ok(headers["content-type"].startsWith("application/x-ndjson"))
+        assert.deepStrictEqual(records.map(({ sizeCode, storeId, storeStock }) => ({ sizeCode, storeId, storeStock })), [
+          { sizeCode: "040", storeId: 1649, storeStock: true },
+          { sizeCode: "050", storeId: 1649, storeStock: false }
+        ])
+        assert.strictEqual(records[0].convertedPrice, null)
+      })
+    )
+    
+    it("responds with a 404 when the product doesn't exist", () =>
+      server.request("get", "/api/product/00000").then(({ status, data }) => {
+        assert.strictEqual(status, 404)
+        assert.strictEqual(data.ok, false)
+      })
+    )
+  })
+  
+  describe("POST /products", () => {
+    it("responds with each product, removing duplicates", () =>
+      server.request("post", "/api/products", { styleCodes: [ "15070", "15070040", "00000" ] }).then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(data.result.map(({ styleCode, ok, status }) => ({ styleCode, ok, status })), [
+          { styleCode: "15070", ok: true, status: 200 },
+          { styleCode: "00000", ok: false, status: 404 }
+        ])
+        assert.strictEqual(data.result[0].result.id, 15070)
+      })
+    )
+    
+    it("responds with a row for each product which couldn't be looked up", () =>
+      server.request("post", "/api/products?format=csv", { styleCodes: [ "15070", "00000" ] }).then(({ status, data }) => {
+        const rows = data.trim().split("\r\n")
+        
+        assert.strictEqual(status, 200)
+        assert.ok(rows[0].startsWith("styleCode,status,error,name,"))
+        assert.strictEqual(rows.length, 4)
+        assert.ok(rows[3].startsWith("00000,404,\"Product \"\"00000\"\" was not found\",,"))
+      })
+    )
+    
+    it("responds with a 400 without any style codes", () =>
+      server.request("post", "/api/products", { styleCodes: [] }).then(({ status }) => assert.strictEqual(status, 400))
+    )
+  })
+  
+  describe("POST /basket/quote", () => {
+    it("responds with the total once offers have been applied", () =>
+      server.request("post", "/api/basket/quote", { items: [{ styleCode: "15070040", quantity: 2 }] }).then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.currency, "GBP")
+        assert.strictEqual(data.result.subtotal, 25.98)
+        assert.strictEqual(data.result.total, 20)
+        assert.deepStrictEqual(data.result.promotions.map(({ name, discount }) => ({ name, discount })), [{ name: "2 For £20", discount: 5.98 }])
+      })
+    )
+    
+    it("quotes in the requested market, converting the totals", () =>
+      server.request("post", "/api/basket/quote?market=IE&currency=GBP", { items: [{ styleCode: "15070040", quantity: 2 }] }).then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.market, "IE")
+        assert.strictEqual(data.result.currency, "EUR")
+        assert.strictEqual(data.result.total, 25)
+        assert.deepStrictEqual(data.result.converted, { currency: "GBP", rate: 0.854701, subtotal: 25.62, discount: 4.26, total: 21.36 })
+      })
+    )
+    
+    it("responds with a 400 for an invalid quantity", () =>
+      server.request("post", "/api/basket/quote", { items: [{ styleCode: "15070", quantity: 0 }] }).then(({ status }) => assert.strictEqual(status, 400))
+    )
+    
+    it("responds with a 404 when a product doesn't exist", () =>
+      server.request("post", "/api/basket/quote", { items: [{ styleCode: "00000" }] }).then(({ status }) => assert.strictEqual(status, 404))
+    )
+  })
+  
+  describe("GET /product/:styleCode/history", () => {
+    it("responds with the prices recorded for the product", () =>
+      server.request("get", "/api/product/15070/history").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.id, 15070)
+        assert.deepStrictEqual(data.result.prices.map(({ current, was }) => ({ current, was })), [{ current: 12.99, was: 19.99 }])
+      })
+    )
+    
+    it("responds with a 404 when no prices have been recorded", () =>
+      server.request("get", "/api/product/11111/history").then(({ status }) => assert.strictEqual(status, 404))
+    )
+  })
+  
+  describe("GET /price-drops", () => {
+    it("responds with a list of price drops", () =>
+      server.request("get", "/api/price-drops?days=7").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.ok(Array.isArray(data.result))
+      })
+    )
+  })
+  
+  describe("GET /product/:styleCode/snapshots", () => {
+    it("responds with the versions recorded for the product", () =>
+      server.request("get", "/api/product/15070/snapshots").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.market, "GB")
+        assert.strictEqual(data.result.versions[0].version, 1)
+        assert.deepStrictEqual(data.result.versions[0].snapshot.sizes.map(({ code }) => code), [ "040", "050" ])
+      })
+    )
+  })
+  
+  describe("GET /changes", () => {
+    it("responds with the changes to products", () => {
+      const product = { id: 90100, name: "Product 90100", description: "", price: { current: 10, was: null }, currency: "GBP" }
+      
+      changes.recordSnapshot({ product, sizes: [ { size: "4", code: "040", warehouse: 1 } ], market: "GB" })
+      changes.recordSnapshot({ product, sizes: [ { size: "4", code: "040", warehouse: 0 } ], market: "GB" })
+      
+      return server.request("get", "/api/changes?type=sold-out&since=2020-01-01").then(({ status, data }) => {
+        const entry = data.result.find(({ styleCode }) => styleCode === 90100)
+        
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(entry.changes, [ { type: "sold-out", path: "sizes.040", from: 1, to: 0 } ])
+      })
+    })
+    
+    it("responds with a 400 for invalid filters", () =>
+      server.request("get", "/api/changes?since=yesterday&type=everything").then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.deepStrictEqual(data.result.details.map(({ field }) => field), [ "query.since", "query.type" ])
+      })
+    )
+  })
+  
+  describe("GET /changes/stream", () => {
+    it("streams changes as Server-Sent Events", () => new Promise((resolve, reject) => {
+      const product = { id: 90101, name: "Product 90101", description: "", price: { current: 10, was: null }, currency: "GBP" }
+      
+      const request = http.get(`${server.baseURL}/api/changes/stream?type=restocked`, response => {
+        let received = ""
+        
+        response.setEncoding("utf8")
+        response.on("data", chunk => {
+          received += chunk
+          
+          if (!received.includes("\"styleCode\":90101"))
+            return
+          
+          request.destroy()
+          
+          try {
+            const event = received.split("\n\n").find(message => message.includes("\"styleCode\":90101"))
+            const entry = JSON.parse(event.match(/^data: (.*)$/m)[1])
+            
+            assert.ok(response.headers["content-type"].startsWith("text/event-stream"))
+            assert.ok(new RegExp(`^id: ${entry.id}$`, "m").test(event))
+            assert.ok(/^event: change$/m.test(event))
+            assert.deepStrictEqual(entry.changes, [ { type: "restocked", path: "sizes.040", from: 0, to: 3 } ])
+            resolve()
+          } catch (err) {
+            reject(err)
+          }
+        })
+        
+        changes.recordSnapshot({ product, sizes: [ { size: "4", code: "040", warehouse: 0 } ], market: "GB" })
+        changes.recordSnapshot({ product, sizes: [ { size: "4", code: "040", warehouse: 3 } ], market: "GB" })
+      })
+      
+      request.on("error", reject)
+    }))
+    
+    it("ends the stream when the backlog can't be read", () => {
+      const getChanges = changes.getChanges
+      
+      changes.getChanges = () => Promise.reject(new Error("Unavailable"))
+      
+      return new Promise((resolve, reject) => {
+        http.get(`${server.baseURL}/api/changes/stream`, response => {
+          response.resume()
+          response.on("end", resolve)
+        }).on("error", reject)
+      }).finally(() => {
+        changes.getChanges = getChanges
+      })
+    })
+  })
+  
+  describe("GET /search", () => {
+    it("responds with a page of matching products", () =>
+      server.request("get", "/api/search?q=brogue").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.query, "brogue")
+        assert.strictEqual(data.result.page, 1)
+        assert.strictEqual(data.result.hasNextPage, true)
+        assert.deepStrictEqual(data.result.products, [{
+          id: 15070,
+          name: "Lilley Womens Black Lace Up Brogue Shoe",
+          price: { current: 12.99 },
+          thumbnail: "https://www.shoezone.com/Images/Product/15070_P01.jpg",
+          offers: [ "2-4-20" ]
+        }, {
+          id: 696001,
+          name: "Mens Tan Leather Brogue",
+          price: { current: 24.99 },
+          thumbnail: "https://www.shoezone.com/Images/Product/696001_P01.jpg",
+          offers: []
+        }])
+      })
+    )
+    
+    it("responds with a 400 without a query", () =>
+      server.request("get", "/api/search").then(({ status }) => assert.strictEqual(status, 400))
+    )
+  })
+  
+  describe("GET /category/:path", () => {
+    it("responds with a page of products in the category", () =>
+      server.request("get", "/api/category/Womens/Sandals").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(data.result.categories, [ "Womens", "Sandals" ])
+        assert.strictEqual(data.result.hasNextPage, false)
+        assert.deepStrictEqual(data.result.products.map(({ id, offers }) => ({ id, offers })), [{ id: 69228, offers: [ "BOGOF" ] }])
+      })
+    )
+  })
+  
+  describe("GET /sweep/:styleCode", () => {
+    it("responds with the availability of every size at each nearby store", () =>
+      server.request("get", "/api/sweep/15070?postcode=GL1%201AA&limit=2").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.deepStrictEqual(data.result.sizes, [{ size: "4", code: "040" }, { size: "5", code: "050" }])
+        assert.deepStrictEqual(data.result.stores.map(({ storeId, stock }) => ({ storeId, stock })), [
+          { storeId: 1649, stock: { "040": true, "050": false } },
+          { storeId: 1650, stock: { "040": false, "050": true } }
+        ])
+      })
+    )
+    
+    it("responds with one row per size at each store as CSV", () =>
+      server.request("get", "/api/sweep/15070?postcode=GL1%201AA&limit=2", undefined, { Accept: "text/csv" }).then(({ status, data }) => {
+        const rows = data.trim().split("\r\n")
+        
+        // "inStock" is the last column, as addresses contain commas (so are quoted)
+        assert.strictEqual(status, 200)
+        assert.ok(rows[0].endsWith(",inStock"))
+        assert.deepStrictEqual(rows.slice(1).map(row => row.split(",").pop()), [ "true", "false", "false", "true" ])
+      })
+    )
+  })
+  
+  describe("GET /crawler/status", () => {
+    it("responds with the status of the crawler", () =>
+      server.request("get", "/api/crawler/status").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.enabled, false)
+        assert.deepStrictEqual(Object.keys(data.result.summary), [ "warm", "stale", "failing", "pending" ])
+        assert.ok(Array.isArray(data.result.products))
+      })
+    )
+  })
+  
+  describe("/watches", () => {
+    let id
+    
+    it("creates a watch", () =>
+      server.request("post", "/api/watches", {
+        styleCode: "15070040",
+        storeId: 1649,
+        callbackUrl: "http://93.184.216.34/webhook"
+      }).then(({ status, data }) => {
+        assert.strictEqual(status, 201)
+        assert.strictEqual(data.result.type, "store")
+        assert.strictEqual(data.result.styleCode, "15070")
+        assert.strictEqual(data.result.size, "040")
+        
+        id = data.result.id
+      })
+    )
+    
+    it("responds with a 400 for an invalid watch", () =>
+      server.request("post", "/api/watches", { styleCode: "15070", size: "040" }).then(
+        ({ status }) => assert.strictEqual(status, 400)
+      )
+    )
+    
+    it("responds with a 400 for callback URLs which aren't public", () =>
+      Promise.all([
+        "http://localhost:8080/webhook",
+        "http://127.0.0.1/webhook",
+        "http://10.1.2.3/webhook",
+        "http://172.20.0.1/webhook",
+        "http://192.168.1.1/webhook",
+        "http://169.254.169.254/latest/meta-data",
+        "http://[::1]/webhook",
+        "http://[::ffff:127.0.0.1]/webhook",
+        "http://[fd00::1]/webhook"
+      ].map(callbackUrl => server.request("post", "/api/watches", { styleCode: "15070040", callbackUrl }))).then(responses => {
+        assert.deepStrictEqual(responses.map(({ status }) => status), responses.map(() => 400))
+        responses.forEach(({ data }) => assert.strictEqual(data.result.code, "CALLBACK_URL_NOT_ALLOWED"))
+      })
+    )
+    
+    it("lists watches", () =>
+      server.request("get", "/api/watches").then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.ok(data.result.some(watch => watch.id === id))
+      })
+    )
+    
+    it("gets a single watch", () =>
+      server.request("get", `/api/watches/${id}`).then(({ status, data }) => {
+        assert.strictEqual(status, 200)
+        assert.strictEqual(data.result.id, id)
+      })
+    )
+    
+    it("deletes a watch", () =>
+      server.request("delete", `/api/watches/${id}`).then(
+        () => server.request("get", `/api/watches/${id}`)
+      ).then(({ status }) => assert.strictEqual(status, 404))
+    )
+  })
+})
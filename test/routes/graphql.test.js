@@ -0,0 +1,110 @@
+const assert = require("assert")
+const path = require("path")
+const upstream = require("../../adapters")
+const { startServer } = require("../helpers")
+
+describe("routes/graphql", () => {
+  let server
+  
+  before(() => startServer().then(started => server = started))
+  after(() => server.close())
+  
+  const query = (source, variables) => server.request("post", "/graphql", { query: source, variables })
+  
+  it("responds with a product and its sizes", () =>
+    query(`{
+      product(styleCode: "15070040") { id name price { current } sizes { code } }
+    }`).then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.strictEqual(data.errors, undefined)
+      assert.strictEqual(data.data.product.id, 15070)
+      assert.strictEqual(typeof data.data.product.price.current, "number")
+      assert.ok(data.data.product.sizes.some(({ code }) => code === "040"))
+    })
+  )
+  
+  it("accepts queries in the query string", () =>
+    server.request("get", `/graphql?query=${encodeURIComponent("query ($id: Int!) { store(storeId: $id) { storeId } }")}&variables=${encodeURIComponent("{\"id\":1}")}`).then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.strictEqual(data.data.store, null)
+      assert.strictEqual(data.errors[0].extensions.code, "STORE_NOT_FOUND")
+    })
+  )
+  
+  it("responds with the stock of each size at the nearest store", () =>
+    query(`{
+      nearestStores(postcode: "GL1 1AA") {
+        storeId
+        stock(styleCode: "15070") { code inStock }
+      }
+    }`).then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.strictEqual(data.data.nearestStores[0].storeId, 1649)
+      assert.ok(data.data.nearestStores[0].stock.some(({ code, inStock }) => code === "040" && typeof inStock === "boolean"))
+    })
+  )
+  
+  it("only requests each stock check once per query", () => {
+    const { createAdapter, setAdapter } = upstream
+    const fixtures = createAdapter({ mode: "fixture", directory: path.join(__dirname, "..", "fixtures") })
+    const requests = []
+    
+    setAdapter({
+      ...fixtures,
+      post: (pathname, body, market) => {
+        requests.push(pathname)
+        return fixtures.post(pathname, body, market)
+      }
+    })
+    
+    return query(`{
+      product(styleCode: "15070") {
+        sizes {
+          code
+          first: stockAt(storeId: 1649) { inStock }
+          second: stockAt(storeId: 1649) { inStock }
+        }
+      }
+      again: product(styleCode: "15070") { sizes { stockAt(storeId: 1649) { inStock } } }
+    }`).then(({ status, data }) => {
+      const sizes = data.data.product.sizes
+      
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(sizes.map(({ first }) => first && first.inStock), sizes.map(({ second }) => second && second.inStock))
+      assert.strictEqual(requests.filter(pathname => /storestock/i.test(pathname)).length, sizes.length)
+    }).finally(() => setAdapter(null))
+  })
+  
+  it("responds with the code of invalid arguments", () =>
+    query(`query ($lat: Float) {
+      product(styleCode: "abc") { id }
+      nearestStores(lat: $lat) { storeId }
+    }`, { lat: 51.86 }).then(({ status, data }) => {
+      assert.strictEqual(status, 200)
+      assert.deepStrictEqual(data.data, null)
+      assert.deepStrictEqual(data.errors.map(({ extensions }) => extensions.code), [ "VALIDATION_FAILED", "VALIDATION_FAILED" ])
+      assert.deepStrictEqual(data.errors.map(({ extensions }) => extensions.details[0].field), [ "styleCode", "lon" ])
+    })
+  )
+  
+  it("responds with a 400 for queries which don't match the schema", () =>
+    Promise.all([
+      query("{ product(styleCode: \"15070\") { id"),
+      query("{ product(styleCode: \"15070\") { unknownField } }"),
+      server.request("post", "/graphql", {})
+    ]).then(responses => {
+      assert.deepStrictEqual(responses.map(({ status }) => status), [ 400, 400, 400 ])
+      assert.deepStrictEqual(responses.map(({ data }) => data.errors[0].extensions.code), [
+        "GRAPHQL_PARSE_FAILED", "GRAPHQL_VALIDATION_FAILED", "VALIDATION_FAILED"
+      ])
+    })
+  )
+  
+  it("rejects deeply nested queries", () =>
+    query("{ product(styleCode: \"15070\") { variants { product { variants { product { variants { product { variants { product { id } } } } } } } } } }")
+      .then(({ status, data }) => {
+        assert.strictEqual(status, 400)
+        assert.ok(/nested/.test(data.errors[0].message))
+      })
+  )
+})
@@ -0,0 +1,43 @@
+const assert = require("assert")
+const { startServer } = require("../helpers")
+
+describe("routes/metrics", () => {
+  let server
+  
+  const request = (token = process.env.ADMIN_TOKEN) =>
+    server.request("get", "/metrics", undefined, { Authorization: `Bearer ${token}` })
+  
+  before(() => startServer().then(started => {
+    server = started
+  }))
+  
+  before(() => Promise.all([
+    server.request("get", "/api/product/15070"),
+    server.request("get", "/api/product/99999"),
+    server.request("get", "/not-a-route")
+  ]))
+  
+  after(() => server.close())
+  
+  it("requires the admin token", () =>
+    request("incorrect").then(({ status }) => assert.strictEqual(status, 401))
+  )
+  
+  it("reports requests by route, in Prometheus' text format", () =>
+    request().then(({ status, headers, data }) => {
+      assert.strictEqual(status, 200)
+      assert.ok(/^text\/plain/.test(headers["content-type"]))
+      assert.ok(/^# TYPE whs_http_requests_total counter$/m.test(data))
+      assert.ok(/^whs_http_requests_total\{method="GET",route="\/api\/product\/:styleCode",status="404"\} \d+$/m.test(data))
+      assert.ok(/^whs_http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m.test(data))
+      assert.ok(/^whs_http_request_duration_seconds_bucket\{method="GET",route="\/api\/product\/:styleCode",le="\+Inf"\} \d+$/m.test(data))
+    })
+  )
+  
+  it("reports cache hit ratios", () =>
+    request().then(({ data }) => {
+      assert.ok(/^whs_cache_lookups_total\{namespace="products",result="miss"\} \d+$/m.test(data))
+      assert.ok(/^whs_cache_hit_ratio\{namespace="products"\} [\d.]+$/m.test(data))
+    })
+  )
+})
@@ -0,0 +1,76 @@
+const assert = require("assert")
+const { startServer, checkSchema } = require("../helpers")
+
+describe("routes/api/openapi.json", () => {
+  let server
+  let spec
+  
+  before(() => startServer().then(started => {
+    server = started
+    
+    return server.request("get", "/api/openapi.json")
+  }).then(({ data }) => spec = data))
+  
+  after(() => server.close())
+  
+  // Check a real response against the schema documented for its route
+  const conforms = (method, url, path, status = 200) => server.request(method, url).then(({ status: actualStatus, data }) => {
+    assert.strictEqual(actualStatus, status)
+    
+    const response = spec.paths[path][method].responses[status] || spec.paths[path][method].responses.default
+    
+    assert.deepStrictEqual(checkSchema(spec, response.content["application/json"].schema, data), [])
+  })
+  
+  it("documents every route", () => {
+    const router = require("../../routes/api")
+    const routes = router.stack.filter(layer => layer.route).map(({ route }) => route.path)
+      .filter(path => ![ "/openapi.json", "/docs" ].includes(path))
+    
+    assert.strictEqual(spec.openapi, "3.0.3")
+    assert.strictEqual(Object.keys(spec.paths).length, new Set(routes).size)
+    assert.ok(spec.paths["/api/product/{styleCode}"].get)
+    assert.ok(spec.paths["/api/category/{path}"].get)
+    assert.strictEqual(spec.paths["/api/watches"].post.responses[201].description, "Create a watch")
+  })
+  
+  it("documents parameters from the validation schemas", () => {
+    const parameters = spec.paths["/api/locate"].get.parameters
+    const limit = parameters.find(({ name }) => name === "limit")
+    
+    assert.strictEqual(limit.in, "query")
+    assert.strictEqual(limit.schema.type, "integer")
+    assert.strictEqual(limit.schema.maximum, 20)
+    assert.ok(spec.paths["/api/basket/quote"].post.requestBody.content["application/json"].schema.properties.items)
+  })
+  
+  it("matches the response of GET /locate", () =>
+    Promise.all([
+      conforms("get", "/api/locate?postcode=GL1%201AA", "/api/locate"),
+      conforms("get", "/api/locate?postcode=GL1%201AA&limit=2", "/api/locate")
+    ])
+  )
+  
+  it("matches the response of GET /stock/:storeId/:styleCode", () =>
+    conforms("get", "/api/stock/1649/15070040", "/api/stock/{storeId}/{styleCode}")
+  )
+  
+  it("matches the response of GET /product/:styleCode", () =>
+    conforms("get", "/api/product/15070", "/api/product/{styleCode}")
+  )
+  
+  it("matches error responses", () =>
+    Promise.all([
+      conforms("get", "/api/product/abc", "/api/product/{styleCode}", 400),
+      conforms("get", "/api/product/99999", "/api/product/{styleCode}", 404)
+    ])
+  )
+  
+  it("serves the interactive documentation", () =>
+    server.request("get", "/api/docs").then(({ status, headers, data }) => {
+      assert.strictEqual(status, 200)
+      assert.ok(headers["content-type"].startsWith("text/html"))
+      assert.ok(data.includes("openapi.json"))
+    })
+  )
+})
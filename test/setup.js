@@ -0,0 +1,27 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Loaded by Mocha (see ".mocharc.json") before any test files. Configures the environment so
+  that the controllers replay the fixtures in "/test/fixtures" instead of contacting Shoe Zone,
+  and write their cache files to a temporary directory instead of "/_cache".
+*/
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+process.env.SZAPI = "https://www.shoezone.com/api"
+process.env.SZSITE = "https://www.shoezone.com"
+process.env.SZ_ADAPTER = "fixture"
+process.env.SZ_FIXTURES = path.join(__dirname, "fixtures")
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "we-heart-shoes-"))
+
+// Enables the "/admin" routes
+process.env.ADMIN_TOKEN = "test-admin-token"
+
+// Fixtures are read from disk, so there's no need to rate limit them
+process.env.SZ_RATE_LIMIT = "1000"
+process.env.SZ_RATE_BURST = "1000"
+
+// Log entries (see "/utils/logger.js") would otherwise bury the test results
+process.env.LOG_LEVEL = "silent"
@@ -0,0 +1,25 @@
+const assert = require("assert")
+const { isPrivateAddress, lookupPublic } = require("../../utils/address")
+
+describe("utils/address", () => {
+  describe("isPrivateAddress", () => {
+    it("rejects loopback, private and link-local addresses", () => {
+      [ "127.0.0.1", "10.0.0.1", "172.31.255.255", "192.168.0.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fe80::1", "fc00::1", "::ffff:7f00:1", "::ffff:10.0.0.1" ]
+        .forEach(address => assert.strictEqual(isPrivateAddress(address), true, address))
+    })
+    
+    it("allows public addresses", () => {
+      [ "93.184.216.34", "172.32.0.1", "8.8.8.8", "2606:2800:220:1::1" ]
+        .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address))
+    })
+  })
+  
+  describe("lookupPublic", () => {
+    it("fails for hostnames which resolve to a private address", () => new Promise(resolve => {
+      lookupPublic("localhost", {}, err => {
+        assert.strictEqual(err.code, "CALLBACK_URL_NOT_ALLOWED")
+        resolve()
+      })
+    }))
+  })
+})
@@ -0,0 +1,87 @@
+const assert = require("assert")
+const { logger, withContext, time, redact } = require("../../utils/logger")
+const { startServer } = require("../helpers")
+
+describe("utils/logger", () => {
+  const environment = { ...process.env }
+  const write = process.stdout.write
+  let entries
+  
+  beforeEach(() => {
+    entries = []
+    process.env.LOG_LEVEL = "debug"
+    process.stdout.write = (line, ...args) => String(line).startsWith("{\"time\"")
+      ? entries.push(JSON.parse(line))
+      : write.call(process.stdout, line, ...args)
+  })
+  
+  afterEach(() => {
+    process.stdout.write = write
+    process.env = { ...environment }
+  })
+  
+  describe("redact", () => {
+    it("replaces location fields, however deeply they're nested", () => {
+      assert.deepStrictEqual(redact({ query: { postcode: "GL1 1AA", lat: 51.86, limit: 2 }, coordinates: { lat: 1, lon: 2 } }), {
+        query: { postcode: "[REDACTED]", lat: "[REDACTED]", limit: 2 },
+        coordinates: "[REDACTED]"
+      })
+    })
+    
+    it("replaces postcodes and Eircodes within strings", () => {
+      assert.strictEqual(redact("No stores near GL11AA or D02 X285"), "No stores near [REDACTED] or [REDACTED]")
+      assert.strictEqual(redact("/Products/Product-15070"), "/Products/Product-15070")
+    })
+  })
+  
+  it("writes entries as JSON, at or above LOG_LEVEL", () => {
+    process.env.LOG_LEVEL = "warn"
+    
+    logger.info("Not written")
+    logger.warn("Written", { postcode: "GL1 1AA" })
+    
+    assert.strictEqual(entries.length, 1)
+    assert.strictEqual(entries[0].level, "warn")
+    assert.strictEqual(entries[0].postcode, "[REDACTED]")
+  })
+  
+  it("times operations, including the ID of the request", () => {
+    const context = { requestId: "test-request", upstreamCalls: 0, upstreamMs: 0 }
+    
+    return withContext(context, () => time("stock", { storeId: 1649 }, () => Promise.resolve(true))).then(result => {
+      assert.strictEqual(result, true)
+      assert.strictEqual(context.upstreamCalls, 1)
+      assert.strictEqual(entries[0].requestId, "test-request")
+      assert.strictEqual(entries[0].operation, "stock")
+      assert.strictEqual(typeof entries[0].durationMs, "number")
+    })
+  })
+  
+  describe("traceRequests", () => {
+    let server
+    
+    before(() => startServer().then(started => server = started))
+    after(() => server.close())
+    
+    // Stores aren't found near this postcode, so it's never cached, and always requested upstream
+    it("echoes the request ID, and logs the request without its location", () =>
+      server.request("get", "/api/locate?postcode=ZZ99ZZ", undefined, { "X-Request-Id": "trace-me" }).then(({ status, headers }) => {
+        const request = entries.find(({ message }) => message === "Request completed")
+        const upstream = entries.find(({ operation }) => operation === "locator")
+        
+        assert.strictEqual(status, 400)
+        assert.strictEqual(headers["x-request-id"], "trace-me")
+        assert.strictEqual(request.requestId, "trace-me")
+        assert.strictEqual(request.query.postcode, "[REDACTED]")
+        assert.strictEqual(upstream.requestId, "trace-me")
+        assert.ok(!JSON.stringify(entries).includes("ZZ9"))
+      })
+    )
+    
+    it("generates an ID when one isn't given", () =>
+      server.request("get", "/api/locate?postcode=GL1%201AA").then(({ headers }) =>
+        assert.ok(/^[a-f0-9]{16}$/.test(headers["x-request-id"]))
+      )
+    )
+  })
+})
@@ -0,0 +1,58 @@
+const assert = require("assert")
+const { getMarket, getRates, convertPrice } = require("../../utils/markets")
+
+describe("utils/markets", () => {
+  const environment = { ...process.env }
+  
+  afterEach(() => {
+    process.env = { ...environment }
+  })
+  
+  describe("getMarket", () => {
+    it("reads each market's base URLs from the environment", () => {
+      process.env.SZSITE_IE = "https://www.shoezone.ie"
+      
+      assert.strictEqual(getMarket("gb").site, process.env.SZSITE)
+      assert.strictEqual(getMarket("ie").site, "https://www.shoezone.ie")
+      assert.strictEqual(getMarket("ie").currency, "EUR")
+    })
+    
+    it("falls back to the GB base URLs", () => {
+      delete process.env.SZAPI_IE
+      
+      assert.strictEqual(getMarket("IE").api, process.env.SZAPI)
+    })
+    
+    it("defaults to SZ_MARKET", () => {
+      process.env.SZ_MARKET = "IE"
+      
+      assert.strictEqual(getMarket().id, "IE")
+    })
+    
+    it("throws a 400 for an unknown market", () => {
+      assert.throws(() => getMarket("US"), { statusCode: 400, code: "UNKNOWN_MARKET" })
+    })
+  })
+  
+  describe("convertPrice", () => {
+    it("converts each price, rounded to the nearest penny", () => {
+      assert.deepStrictEqual(convertPrice({ price: { current: 12.99, was: null }, from: "GBP", to: "eur" }), {
+        currency: "EUR",
+        rate: 1.17,
+        current: 15.2,
+        was: null
+      })
+    })
+    
+    it("uses the rates from SZ_CURRENCY_RATES", () => {
+      process.env.SZ_CURRENCY_RATES = "EUR=1.2, USD=1.25, bad=x"
+      
+      assert.deepStrictEqual(getRates(), { GBP: 1, EUR: 1.2, USD: 1.25 })
+      assert.strictEqual(convertPrice({ price: { current: 12 }, from: "EUR", to: "USD" }).current, 12.5)
+    })
+    
+    it("throws a 400 for a currency without a rate", () => {
+      assert.throws(() => convertPrice({ price: { current: 1 }, from: "GBP", to: "JPY" }), { statusCode: 400, code: "UNSUPPORTED_CURRENCY" })
+    })
+  })
+})
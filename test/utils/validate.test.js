@@ -0,0 +1,57 @@
+const assert = require("assert")
+const { validate, normalisePostcode, normaliseStyleCode } = require("../../utils/validate")
+
+describe("utils/validate", () => {
+  describe("normalisePostcode", () => {
+    it("normalises UK postcodes and Eircodes", () => {
+      assert.strictEqual(normalisePostcode("gl11aa"), "GL1 1AA")
+      assert.strictEqual(normalisePostcode(" sw1a  1aa "), "SW1A 1AA")
+      assert.strictEqual(normalisePostcode("d02x285"), "D02 X285")
+      assert.strictEqual(normalisePostcode("D6W 1234"), "D6W 1234")
+    })
+    
+    it("returns null for anything else", () => {
+      assert.strictEqual(normalisePostcode("not a postcode"), null)
+      assert.strictEqual(normalisePostcode("12345"), null)
+    })
+  })
+  
+  describe("normaliseStyleCode", () => {
+    it("removes the size code from 5 and 6-digit style codes", () => {
+      assert.strictEqual(normaliseStyleCode("15070040"), "15070")
+      assert.strictEqual(normaliseStyleCode(150711040), "150711")
+      assert.strictEqual(normaliseStyleCode("15070"), "15070")
+      assert.strictEqual(normaliseStyleCode(" 150711 "), "150711")
+    })
+  })
+  
+  describe("validate", () => {
+    const schema = {
+      styleCode: { type: "styleCode", required: true },
+      quantity: { type: "integer", min: 1, max: 20, default: 1 },
+      items: { type: "array", items: { type: "object", fields: { size: { type: "sizeCode", required: true } } } }
+    }
+    
+    it("normalises values and applies defaults", () => {
+      assert.deepStrictEqual(validate(schema, { styleCode: "150711040", items: [{ size: "040" }], unknown: true }), {
+        styleCode: "150711",
+        quantity: 1,
+        items: [{ size: "040" }]
+      })
+    })
+    
+    it("describes every invalid field, including nested fields", () => {
+      assert.throws(() => validate(schema, { quantity: "21", items: [{ size: "40" }] }, "body."), err => {
+        assert.strictEqual(err.statusCode, 400)
+        assert.strictEqual(err.code, "VALIDATION_FAILED")
+        assert.deepStrictEqual(err.details.map(({ field, code }) => ({ field, code })), [
+          { field: "body.styleCode", code: "REQUIRED" },
+          { field: "body.quantity", code: "TOO_LARGE" },
+          { field: "body.items[0].size", code: "INVALID_FORMAT" }
+        ])
+        
+        return true
+      })
+    })
+  })
+})
@@ -5,11 +5,32 @@
   Custom Error class for returning a HTTP Status Code.
   
   Overview of Methods:
-  - constructor(message?: string = "", statusCode?: number = 500)
+  - constructor(message?: string = "", statusCode?: number = 500, code?: string, details?: Object[])
+  - toJSON(): { code: string, message: string, details?: Object[] }
+  - HttpError.from(err: Error): HttpError
+  
+  As of 2026-10-19, errors also have a machine-readable `code` (e.g. "PRODUCT_NOT_FOUND"), which
+  clients can rely on instead of the message. If no code is given, a general code is picked from
+  the status code (see `defaultCodes`). `details` optionally describes each problem with a request,
+  such as the fields which failed validation (see "/utils/validate.js").
 */
 
+/*
+  The code given to errors which don't specify their own, based on their status code.
+*/
+const defaultCodes = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  503: "UPSTREAM_UNAVAILABLE"
+}
+
 class HttpError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode = 500, code, details) {
     super(message)
     
     if (Error.captureStackTrace)
@@ -17,10 +38,40 @@ class HttpError extends Error {
     
     this.name = "HttpError"
     this.statusCode = statusCode
+    this.code = code || defaultCodes[statusCode] || (statusCode < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR")
+    this.details = details
     this.date = new Date()
   }
+  
+  /*
+    The body of an error response (see "/utils/respond.js").
+  */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details ? { details: this.details } : {})
+    }
+  }
+  
+  /*
+    Convert any error into an HttpError, keeping its status code (if it has one). Errors from
+    other libraries (e.g. axios or JSDOM) don't have a code of their own.
+  */
+  static from(err) {
+    if (err instanceof HttpError)
+      return err
+    
+    const statusCode = Number(err && err.statusCode) || 500
+    const converted = new HttpError((err && err.message) || "An unknown error occurred", statusCode)
+    
+    if (err && err.stack)
+      converted.stack = err.stack
+    
+    return converted
+  }
 }
 
 module.exports = {
   HttpError
-}
\ No newline at end of file
+}
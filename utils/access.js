@@ -0,0 +1,112 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Middleware controlling who can make requests to the API, and from where.
+  
+  Supported methods:
+  - requireApiKey(req: Request, res: Response, next: function): void
+  - requireAdminToken(req: Request, res: Response, next: function): void
+  - getCorsOptions(): Object
+  
+  API keys are sent in the "X-API-Key" header (see "/controllers/keys.js" for how keys and quotas
+  are managed). Requests without a key are rejected, unless the environment's REQUIRE_API_KEY
+  string is "false", in which case they share the quota of their IP address (ANONYMOUS_QUOTA, or
+  100 by default, every API_QUOTA_WINDOW seconds). Every response includes the state of the
+  client's quota in the "X-RateLimit-Limit", "X-RateLimit-Remaining" and "X-RateLimit-Reset"
+  headers.
+  
+  Browsers can only make requests from the origins in the environment's CORS_ORIGINS string,
+  separated by commas (e.g. "https://we-heart-shoes.glitch.me"). If it isn't set, requests are
+  allowed from any origin.
+*/
+const crypto = require("crypto")
+const { HttpError } = require("./HttpError")
+const { sendError } = require("./respond")
+const keys = require("../controllers/keys")
+
+// Paths which can be requested without an API key, so the documentation can always be read
+const publicPaths = [ "/api/docs", "/api/openapi.json" ]
+
+// Headers describing the state of the client's quota, which browsers are allowed to read
+const quotaHeaders = [ "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "Retry-After" ]
+
+// Identify the client making a request, from its API key (or its IP address, when anonymous
+// requests are allowed)
+const identifyClient = req => {
+  const key = req.get("X-API-Key")
+  
+  if (key)
+    return keys.authenticate({ key })
+  
+  if (process.env.REQUIRE_API_KEY !== "false")
+    return Promise.reject(new HttpError("An API key is required in the \"X-API-Key\" header", 401, "API_KEY_REQUIRED"))
+  
+  return Promise.resolve({
+    id: `anonymous:${req.ip}`,
+    name: "anonymous",
+    quota: Number(process.env.ANONYMOUS_QUOTA) || 100,
+    window: Number(process.env.API_QUOTA_WINDOW) || 3600
+  })
+}
+
+// Check the request's API key, and count the request towards the client's quota. The client is
+// available to later middleware as `req.client`.
+const requireApiKey = (req, res, next) => {
+  if (publicPaths.includes(`${req.baseUrl}${req.path}`.replace(/\/$/, "")))
+    return next()
+  
+  identifyClient(req).then(client => {
+    const { allowed, limit, remaining, reset } = keys.consumeQuota({ client: client.id, quota: client.quota, window: client.window })
+    
+    req.client = client
+    
+    res.set({
+      "X-RateLimit-Limit": String(limit),
+      "X-RateLimit-Remaining": String(remaining),
+      "X-RateLimit-Reset": String(reset)
+    })
+    
+    if (!allowed) {
+      res.set("Retry-After", String(reset))
+      throw new HttpError(`The quota of ${limit} requests has been used up. Try again in ${reset} seconds`, 429, "QUOTA_EXCEEDED")
+    }
+    
+    next()
+  }).catch(err => sendError(res, err))
+}
+
+// Check the token in the environment's ADMIN_TOKEN string, sent in the "Authorization" header as
+// "Bearer <token>". Tokens are compared in constant time, so they can't be guessed one character
+// at a time. If ADMIN_TOKEN isn't set, every request is rejected.
+const requireAdminToken = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN
+  
+  if (!token)
+    return sendError(res, new HttpError("Admin routes are disabled", 403, "ADMIN_DISABLED"))
+  
+  const expected = Buffer.from(`Bearer ${token}`)
+  const received = Buffer.from(req.get("Authorization") || "")
+  
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received))
+    return sendError(res, new HttpError("A valid admin token is required", 401))
+  
+  next()
+}
+
+// Options for the "cors" package, allowing requests from the origins in CORS_ORIGINS. Origins
+// which aren't allowed are served without CORS headers, so browsers won't read the response.
+const getCorsOptions = () => {
+  const origins = String(process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim().replace(/\/$/, "")).filter(Boolean)
+  
+  return {
+    origin: origins.length ? (origin, callback) => callback(null, !origin || origins.includes(origin)) : "*",
+    exposedHeaders: quotaHeaders
+  }
+}
+
+module.exports = {
+  requireApiKey,
+  requireAdminToken,
+  getCorsOptions
+}
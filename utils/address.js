@@ -0,0 +1,163 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Checks for the URLs which the server makes requests to on behalf of clients (e.g. the callback
+  URLs of watches, see "/controllers/watch.js"), so that clients can't use the server to reach
+  services which are only meant to be reachable from the server itself.
+  
+  Supported methods:
+  - isPrivateAddress(address: string): boolean
+  - checkPublicUrl(url: string): Promise<URL>
+  - lookupPublic(hostname: string, options: Object, callback: function): void
+  
+  Loopback, private (RFC 1918 and IPv6 unique local), link-local (including cloud metadata
+  services such as 169.254.169.254), and other reserved or non-unicast addresses are never allowed.
+*/
+const dns = require("dns")
+const net = require("net")
+const URL = require("url").URL
+const { HttpError } = require("./HttpError")
+
+/*
+  The IPv4 ranges which aren't publicly routable, as [ first octets, prefix length ].
+*/
+const privateRanges = [
+  [ [ 0 ], 8 ], // "This" network
+  [ [ 10 ], 8 ], // Private
+  [ [ 100, 64 ], 10 ], // Carrier-grade NAT
+  [ [ 127 ], 8 ], // Loopback
+  [ [ 169, 254 ], 16 ], // Link-local
+  [ [ 172, 16 ], 12 ], // Private
+  [ [ 192, 0, 0 ], 24 ], // IETF protocol assignments
+  [ [ 192, 168 ], 16 ], // Private
+  [ [ 198, 18 ], 15 ], // Benchmarking
+  [ [ 224 ], 3 ] // Multicast, reserved and broadcast
+]
+
+// Whether an IPv4 address (e.g. "10.0.0.1") is in one of `privateRanges`
+const isPrivateIPv4 = address => {
+  const value = address.split(".").reduce((total, octet) => total * 256 + Number(octet), 0)
+  
+  return privateRanges.some(([ octets, prefix ]) => {
+    const start = octets.concat([ 0, 0, 0 ]).slice(0, 4).reduce((total, octet) => total * 256 + octet, 0)
+    
+    return Math.floor(value / Math.pow(2, 32 - prefix)) === Math.floor(start / Math.pow(2, 32 - prefix))
+  })
+}
+
+// Whether an IPv6 address is unspecified, loopback, unique local, link-local or multicast, or an
+// IPv4-mapped address (e.g. "::ffff:127.0.0.1") of a private IPv4 address
+const isPrivateIPv6 = address => {
+  const lower = address.toLowerCase()
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+  
+  if (mapped)
+    return isPrivateIPv4(mapped[1])
+  
+  // URLs normalise mapped addresses into hexadecimal, e.g. "::ffff:7f00:1"
+  if (mappedHex) {
+    const [ high, low ] = mappedHex.slice(1).map(group => parseInt(group, 16))
+    
+    return isPrivateIPv4([ high >> 8, high & 255, low >> 8, low & 255 ].join("."))
+  }
+  
+  if (lower === "::" || lower === "::1")
+    return true
+  
+  const first = parseInt(lower.split(":")[0] || "0", 16)
+  
+  // fc00::/7, fe80::/10 and ff00::/8
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00
+}
+
+/*
+  Public method:
+  isPrivateAddress(address: string): boolean
+  
+  Whether an IP address must not be requested. Anything which isn't an IP address counts as private.
+*/
+function isPrivateAddress(address) {
+  switch (net.isIP(address)) {
+    case 4:
+      return isPrivateIPv4(address)
+    
+    case 6:
+      return isPrivateIPv6(address)
+    
+    default:
+      return true
+  }
+}
+
+// The error given for URLs which aren't allowed
+const notAllowed = hostname =>
+  new HttpError(`The callback URL's host "${hostname}" is not a public address`, 400, "CALLBACK_URL_NOT_ALLOWED")
+
+/*
+  Public method:
+  lookupPublic(hostname: string, options: Object, callback: function<void>(err: Error | null, address: string | Object[], family?: number)): void
+  
+  The same as `dns.lookup`, but fails if the hostname resolves to any private address. This is
+  passed as the `lookup` of an HTTP agent, so that the address is checked again when each request
+  connects, and the request can't be sent somewhere else by changing the hostname's DNS records
+  after it has been checked.
+*/
+function lookupPublic(hostname, options, callback) {
+  if (typeof options === "function")
+    callback = options, options = {}
+  
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err)
+      return callback(err)
+    
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [ address ]
+    
+    if (!addresses.length || addresses.some(isPrivateAddress))
+      return callback(notAllowed(hostname))
+    
+    callback(null, address, family)
+  })
+}
+
+/*
+  Public method:
+  checkPublicUrl(url: string): Promise<URL>
+  
+  Check that a URL is http(s), and that its host is (or only resolves to) public addresses.
+  Resolves with the parsed URL, or rejects with a 400 `HttpError`.
+*/
+function checkPublicUrl(url) {
+  let parsed
+  
+  try {
+    parsed = new URL(url)
+    
+    if (!/^https?:$/.test(parsed.protocol))
+      throw new Error()
+  } catch (err) {
+    return Promise.reject(new HttpError("A valid http(s) callback URL is required", 400))
+  }
+  
+  // IPv6 hosts are wrapped in square brackets
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1")
+  
+  if (net.isIP(hostname))
+    return isPrivateAddress(hostname) ? Promise.reject(notAllowed(hostname)) : Promise.resolve(parsed)
+  
+  return new Promise((resolve, reject) => {
+    lookupPublic(hostname, { all: true }, err => {
+      if (!err)
+        return resolve(parsed)
+      
+      reject(err instanceof HttpError ? err : new HttpError(`The callback URL's host "${hostname}" could not be found`, 400, "CALLBACK_URL_NOT_ALLOWED"))
+    })
+  })
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkPublicUrl,
+  lookupPublic
+}
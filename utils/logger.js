@@ -0,0 +1,185 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  A structured logger, which writes each entry to stdout as a single line of JSON:
+  
+  { "time": "2026-10-19T09:30:00.000Z", "level": "info", "message": "Request completed", "requestId": "...", ... }
+  
+  Supported methods:
+  - logger.debug(message: string, fields?: Object): void (also info, warn and error)
+  - traceRequests(req: Request, res: Response, next: function): void
+  - getContext(): Object | undefined
+  - withContext(context: Object, callback: function): any
+  - time(operation: string, fields: Object, work: function<any | Promise>): any | Promise
+  - redact(value: any): any
+  
+  Entries below the level in the environment's LOG_LEVEL string ("debug", "info" (default), "warn",
+  "error" or "silent") aren't written. Every entry made while handling a request includes the
+  request's ID (see `traceRequests`), including entries from the controllers and adapters, without
+  it having to be passed to them.
+  
+  Users' locations are never logged: fields such as postcodes, cities and coordinates are replaced
+  with "[REDACTED]", as are any postcodes or Eircodes found within other strings.
+*/
+const crypto = require("crypto")
+const { AsyncLocalStorage } = require("async_hooks")
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+
+// Fields which describe a user's location, compared in lowercase
+const locationFields = [ "postcode", "city", "town", "lat", "lon", "latitude", "longitude", "coordinates", "location", "origin" ]
+
+// UK postcodes and Eircodes, with or without a space (see "/utils/validate.js")
+const postcodePattern = /\b(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}\b|\b(?:[AC-FHKNPRTV-Y]\d{2}|D6W) ?[0-9AC-FHKNPRTV-Y]{4}\b/gi
+
+// Operations which are requests to Shoe Zone, and count towards a request's upstream totals
+const upstreamOperations = [ "locator", "stock", "page" ]
+
+// IDs sent by clients (or proxies) in the "X-Request-Id" header are used if they look sensible
+const requestIdPattern = /^[\w.:-]{1,64}$/
+
+const storage = new AsyncLocalStorage()
+
+// The context of the request currently being handled, if there is one
+const getContext = () => storage.getStore()
+
+// Run a callback (and everything it starts) within a context
+const withContext = (context, callback) => storage.run(context, callback)
+
+// Replace any location data within a value, however deeply it's nested
+const redact = value => {
+  if (typeof value === "string")
+    return value.replace(postcodePattern, "[REDACTED]")
+  
+  if (Array.isArray(value))
+    return value.map(redact)
+  
+  if (value instanceof Error)
+    return {
+      name: value.name,
+      message: redact(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.statusCode ? { statusCode: value.statusCode } : {}),
+      // Stack traces are only useful for unexpected errors
+      ...(!value.statusCode || value.statusCode >= 500 ? { stack: redact(value.stack) } : {})
+    }
+  
+  if (value && typeof value === "object")
+    return Object.keys(value).reduce((redacted, key) => ({
+      ...redacted,
+      [key]: locationFields.includes(key.toLowerCase()) && value[key] !== undefined ? "[REDACTED]" : redact(value[key])
+    }), {})
+  
+  return value
+}
+
+// Write an entry, if its level is at least LOG_LEVEL
+const write = (level, message, fields = {}) => {
+  if (levels[level] < (levels[process.env.LOG_LEVEL] || levels.info))
+    return
+  
+  const context = getContext()
+  
+  process.stdout.write(`${JSON.stringify({
+    time: (new Date()).toISOString(),
+    level,
+    message: redact(message),
+    ...(context ? { requestId: context.requestId } : {}),
+    ...redact(fields)
+  })}\n`)
+}
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields)
+}
+
+// Time an operation (e.g. a request to Shoe Zone), which may return a Promise, and log how long it
+// took. Requests to Shoe Zone are logged as "info", and everything else (e.g. parsing) as "debug".
+const time = (operation, fields, work) => {
+  const start = process.hrtime()
+  const upstream = upstreamOperations.includes(operation)
+  
+  const finish = err => {
+    const [ seconds, nanoseconds ] = process.hrtime(start)
+    const durationMs = Math.round((seconds * 1e3 + nanoseconds / 1e6) * 10) / 10
+    const context = getContext()
+    
+    if (upstream && context) {
+      context.upstreamCalls++
+      context.upstreamMs += durationMs
+    }
+    
+    logger[upstream ? "info" : "debug"](upstream ? "Upstream call" : "Operation timed", {
+      operation,
+      ...fields,
+      durationMs,
+      ok: !err,
+      ...(err ? { error: err } : {})
+    })
+  }
+  
+  let result
+  
+  try {
+    result = work()
+  } catch (err) {
+    finish(err)
+    throw err
+  }
+  
+  if (!result || typeof result.then !== "function") {
+    finish()
+    return result
+  }
+  
+  return result.then(value => {
+    finish()
+    return value
+  }, err => {
+    finish(err)
+    throw err
+  })
+}
+
+// Express middleware which gives every request an ID, echoed in the "X-Request-Id" header of the
+// response, and logs each request once it has been responded to
+const traceRequests = (req, res, next) => {
+  const incoming = req.get("X-Request-Id")
+  const requestId = incoming && requestIdPattern.test(incoming) ? incoming : crypto.randomBytes(8).toString("hex")
+  const context = { requestId, upstreamCalls: 0, upstreamMs: 0 }
+  const start = process.hrtime()
+  
+  req.id = requestId
+  res.set("X-Request-Id", requestId)
+  
+  res.once("finish", () => {
+    const [ seconds, nanoseconds ] = process.hrtime(start)
+    
+    withContext(context, () => logger.info("Request completed", {
+      method: req.method,
+      // The query string is logged separately, so its location data can be redacted
+      path: req.originalUrl.split("?")[0],
+      query: req.query,
+      status: res.statusCode,
+      durationMs: Math.round((seconds * 1e3 + nanoseconds / 1e6) * 10) / 10,
+      client: req.client ? req.client.name : undefined,
+      upstreamCalls: context.upstreamCalls,
+      upstreamMs: Math.round(context.upstreamMs * 10) / 10
+    }))
+  })
+  
+  withContext(context, next)
+}
+
+module.exports = {
+  logger,
+  traceRequests,
+  getContext,
+  withContext,
+  time,
+  redact
+}
@@ -0,0 +1,106 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  The markets Shoe Zone trade in, where their website and APIs can be found, and the exchange rates
+  used to convert prices between their currencies.
+  
+  Supported methods:
+  - getMarket(id?: string): { id: string, name: string, currency: string, timeZone: string, site: string, api: string }
+  - getMarketIds(): string[]
+  - getRates(): Object
+  - getRate({ from: string, to: string }): number
+  - convertPrice({ price: { current: number | null, was?: number | null }, from: string, to: string }): Object
+  
+  Each market is requested from its own base URLs, which are read from the environment when each
+  request is made:
+  - GB: SZSITE and SZAPI (or SZSITE_GB and SZAPI_GB)
+  - IE: SZSITE_IE and SZAPI_IE, falling back to the GB URLs when they aren't set
+  
+  Requests use the market in the environment's SZ_MARKET string when they don't specify one
+  ("GB" by default). Exchange rates are a static table, relative to GBP (see `defaultRates`), which
+  can be overridden with the environment's SZ_CURRENCY_RATES string, e.g. "EUR=1.16,USD=1.27".
+*/
+const { HttpError } = require("./HttpError")
+
+// Every market, keyed by its ISO 3166 country code. `timeZone` is the time zone its stores'
+// opening hours are in.
+const markets = {
+  GB: { name: "United Kingdom", currency: "GBP", timeZone: "Europe/London" },
+  IE: { name: "Ireland", currency: "EUR", timeZone: "Europe/Dublin" }
+}
+
+// How many of each currency are worth 1 GBP
+const defaultRates = {
+  GBP: 1,
+  EUR: 1.17
+}
+
+// Read a base URL for a market from the environment, e.g. SZSITE_IE
+const getBaseUrl = (id, variable) => process.env[`${variable}_${id}`] ||
+  (id === "GB" ? process.env[variable] : getBaseUrl("GB", variable))
+
+const getMarketIds = () => Object.keys(markets)
+
+// Get a market by its ID (case-insensitive), throwing a 400 `HttpError` if it doesn't exist
+const getMarket = (id = process.env.SZ_MARKET || "GB") => {
+  id = String(id).toUpperCase()
+  
+  if (!markets[id])
+    throw new HttpError(`Unknown market "${id}", expected one of: ${getMarketIds().join(", ")}`, 400, "UNKNOWN_MARKET")
+  
+  return {
+    id,
+    ...markets[id],
+    site: getBaseUrl(id, "SZSITE"),
+    api: getBaseUrl(id, "SZAPI")
+  }
+}
+
+// The exchange rate table, with any rates from SZ_CURRENCY_RATES replacing the defaults.
+// Rates which aren't positive numbers are ignored.
+const getRates = () => String(process.env.SZ_CURRENCY_RATES || "").split(",").reduce((rates, entry) => {
+  const [ currency, rate ] = entry.split("=").map(value => value.trim())
+  
+  if (/^[A-Za-z]{3}$/.test(currency || "") && Number(rate) > 0)
+    rates[currency.toUpperCase()] = Number(rate)
+  
+  return rates
+}, { ...defaultRates })
+
+// The rate to convert one currency into another, rounded to 6 decimal places. Throws a 400
+// `HttpError` if there's no rate for either currency.
+const getRate = ({ from, to }) => {
+  const rates = getRates()
+  const missing = [ from, to ].map(currency => String(currency).toUpperCase()).filter(currency => !rates[currency])
+  
+  if (missing.length)
+    throw new HttpError(`There is no exchange rate for ${missing.join(" or ")}`, 400, "UNSUPPORTED_CURRENCY")
+  
+  return Math.round(rates[String(to).toUpperCase()] / rates[String(from).toUpperCase()] * 1e6) / 1e6
+}
+
+// Round a converted amount to the nearest penny (or cent)
+const round = value => Math.round(value * 100) / 100
+
+// Convert a price (see `getProductInfo` in "/controllers/sz.js") from one currency to another,
+// returning `{ currency, rate, current, was }`. Unknown prices remain null.
+const convertPrice = ({ price, from, to }) => {
+  const rate = getRate({ from, to })
+  const convert = value => typeof value === "number" ? round(value * rate) : null
+  
+  return {
+    currency: String(to).toUpperCase(),
+    rate,
+    current: convert(price.current),
+    was: convert(price.was)
+  }
+}
+
+module.exports = {
+  getMarket,
+  getMarketIds,
+  getRates,
+  getRate,
+  convertPrice
+}
@@ -0,0 +1,143 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Metrics describing the requests handled by the server, formatted for Prometheus (see
+  "/routes/metrics/index.js", which adds the cache and upstream metrics).
+  
+  Supported methods:
+  - measureRequests(req: Request, res: Response, next: function): void
+  - getRequestMetrics(): Object[]
+  - formatMetrics(metrics: { name: string, help: string, type: string, samples: { labels?: Object, value: number, suffix?: string }[] }[]): string
+  - resetMetrics(): void
+  
+  Requests are labelled by the route which handled them (e.g. "/api/product/:styleCode"), rather
+  than their path, so there's a fixed number of labels. Requests which don't match a route (and
+  are served the 404 response in "/routes/index.js") are labelled "unmatched".
+*/
+
+// The upper bounds of the request duration histogram's buckets, in seconds
+const durationBuckets = [ 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30 ]
+
+// Every series, keyed by its labels (see `getSeries`)
+let requests, durations, upstreamErrors, clients
+
+// Remove every recorded request
+const resetMetrics = () => {
+  requests = new Map()
+  durations = new Map()
+  upstreamErrors = new Map()
+  clients = new Map()
+}
+
+resetMetrics()
+
+// Get the series in a Map with the given labels, creating it (with `create`) if it doesn't exist
+const getSeries = (series, labels, create) => {
+  const key = JSON.stringify(labels)
+  
+  if (!series.has(key))
+    series.set(key, { labels, value: create() })
+  
+  return series.get(key).value
+}
+
+// Record a request once its response has been sent
+const recordRequest = ({ method, route, status, duration, client }) => {
+  const histogram = getSeries(durations, { method, route }, () => ({ buckets: durationBuckets.map(() => 0), sum: 0, count: 0 }))
+  
+  getSeries(requests, { method, route, status: String(status) }, () => ({ count: 0 })).count++
+  
+  durationBuckets.forEach((bound, index) => {
+    if (duration <= bound)
+      histogram.buckets[index]++
+  })
+  
+  histogram.sum += duration
+  histogram.count++
+  
+  // Shoe Zone being slow or unavailable is reported as a 502, 503 or 504 status
+  if (status >= 502 && status <= 504)
+    getSeries(upstreamErrors, { route }, () => ({ count: 0 })).count++
+  
+  if (client)
+    getSeries(clients, { client, route }, () => ({ count: 0 })).count++
+}
+
+// Express middleware which records the route, status and duration of every request
+const measureRequests = (req, res, next) => {
+  const start = process.hrtime()
+  
+  res.once("finish", () => {
+    const [ seconds, nanoseconds ] = process.hrtime(start)
+    
+    recordRequest({
+      method: req.method,
+      route: req.route && req.route.path !== "*" ? `${req.baseUrl}${req.route.path === "/" && req.baseUrl ? "" : req.route.path}` : "unmatched",
+      status: res.statusCode,
+      duration: seconds + nanoseconds / 1e9,
+      client: req.client && req.client.name
+    })
+  })
+  
+  next()
+}
+
+// The recorded requests, in the format accepted by `formatMetrics`
+const getRequestMetrics = () => {
+  const values = series => Array.from(series.values())
+  
+  return [
+    {
+      name: "whs_http_requests_total",
+      help: "Requests handled, by route, method and status code",
+      type: "counter",
+      samples: values(requests).map(({ labels, value }) => ({ labels, value: value.count }))
+    },
+    {
+      name: "whs_http_request_duration_seconds",
+      help: "How long requests took to respond, by route and method",
+      type: "histogram",
+      samples: values(durations).reduce((samples, { labels, value }) => samples.concat(
+        durationBuckets.map((bound, index) => ({ labels: { ...labels, le: String(bound) }, value: value.buckets[index], suffix: "_bucket" })),
+        { labels: { ...labels, le: "+Inf" }, value: value.count, suffix: "_bucket" },
+        { labels, value: value.sum, suffix: "_sum" },
+        { labels, value: value.count, suffix: "_count" }
+      ), [])
+    },
+    {
+      name: "whs_http_upstream_errors_total",
+      help: "Requests which failed because Shoe Zone was slow, unavailable or misunderstood, by route",
+      type: "counter",
+      samples: values(upstreamErrors).map(({ labels, value }) => ({ labels, value: value.count }))
+    },
+    {
+      name: "whs_client_requests_total",
+      help: "Requests made by each API key (or anonymous clients), by route",
+      type: "counter",
+      samples: values(clients).map(({ labels, value }) => ({ labels, value: value.count }))
+    }
+  ]
+}
+
+// Escape a label value, as described by Prometheus' text exposition format
+const escapeLabel = value => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")
+
+// Format metrics in Prometheus' text exposition format
+const formatMetrics = metrics => metrics.map(({ name, help, type, samples }) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.map(({ labels = {}, value, suffix = "" }) => {
+    const names = Object.keys(labels)
+    const formatted = names.length ? `{${names.map(label => `${label}="${escapeLabel(labels[label])}"`).join(",")}}` : ""
+    
+    return `${name}${suffix}${formatted} ${value}`
+  })
+].join("\n")).join("\n\n") + "\n"
+
+module.exports = {
+  measureRequests,
+  getRequestMetrics,
+  formatMetrics,
+  resetMetrics
+}
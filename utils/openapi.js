@@ -0,0 +1,173 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Generate an OpenAPI 3 document from the routes of an Express router, so the documentation can't
+  drift away from the routes themselves.
+  
+  Supported methods:
+  - document({ summary: string, description?: string, tags?: string[], status?: number = 200, result?: Object, contentType?: string, formats?: string[] }): function(req, res, next)
+  - createSpec({ router: Router, basePath: string, info: Object, schemas?: Object, securitySchemes?: Object }): Object
+  - toJSONSchema(rule: Object): Object
+  
+  Each route is documented by adding the middleware returned by `document` before its handler.
+  Parameters and request bodies are read from the route's validation middleware (see
+  "/utils/validate.js"), and the result is described by a JSON Schema (or a `$ref` to one of the
+  `schemas`). Routes which don't respond with JSON (e.g. event streams) give their `contentType`,
+  in which case the result isn't wrapped in `{ ok, result }`, and routes which can also respond
+  in other `formats` (e.g. "text/csv") list their media types. Routes without `document` aren't
+  included in the document. If `securitySchemes` are given, every route requires one of them (see
+  "/utils/access.js").
+*/
+
+const { getMarketIds } = require("./markets")
+
+// Patterns for the validation types which aren't plain JSON Schema types
+const formats = {
+  styleCode: { type: "string", pattern: "^\\d{5,6}(\\d{3})?$", description: "A 5 or 6-digit style code, optionally followed by a 3-digit size code" },
+  sizedStyleCode: { type: "string", pattern: "^\\d{8,9}$", description: "A style code followed by a 3-digit size code" },
+  sizeCode: { type: "string", pattern: "^\\d{3}$" },
+  postcode: { type: "string", description: "A UK postcode or Irish Eircode" },
+  url: { type: "string", format: "uri" },
+  market: { type: "string", enum: getMarketIds(), description: "The Shoe Zone market to use (case-insensitive)" },
+  currency: { type: "string", pattern: "^[A-Za-z]{3}$", description: "An ISO 4217 currency code to also convert prices into" },
+  date: { type: "string", format: "date-time" }
+}
+
+// Create middleware which does nothing, other than carrying the documentation of a route
+const document = meta => Object.assign((req, res, next) => next(), { openapi: meta })
+
+// Convert a validation rule (see "/utils/validate.js") into a JSON Schema
+const toJSONSchema = rule => {
+  const schema = formats[rule.type] ? { ...formats[rule.type] } : { type: rule.type }
+  
+  if (rule.type === "string") {
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength
+    if (rule.pattern) schema.pattern = rule.pattern.source
+  }
+  
+  if (rule.type === "integer" || rule.type === "number") {
+    if (rule.min !== undefined) schema.minimum = rule.min
+    if (rule.max !== undefined) schema.maximum = rule.max
+  }
+  
+  if (rule.type === "array") {
+    if (rule.min !== undefined) schema.minItems = rule.min
+    if (rule.max !== undefined) schema.maxItems = rule.max
+    if (rule.items) schema.items = toJSONSchema(rule.items)
+  }
+  
+  if (rule.type === "object" && rule.fields)
+    Object.assign(schema, toObjectSchema(rule.fields))
+  
+  if (rule.values) schema.enum = rule.values
+  if (rule.default !== undefined) schema.default = rule.default
+  if (rule.message) schema.description = rule.message
+  
+  return schema
+}
+
+// Convert a validation schema (an Object of rules) into a JSON Schema of an object
+const toObjectSchema = fields => {
+  const required = Object.keys(fields).filter(field => fields[field].required)
+  
+  return {
+    type: "object",
+    properties: Object.keys(fields).reduce((properties, field) => ({ ...properties, [field]: toJSONSchema(fields[field]) }), {}),
+    ...(required.length ? { required } : {})
+  }
+}
+
+// Wrap the schema of a result in the format every route responds with
+const envelope = (ok, result) => ({
+  type: "object",
+  properties: {
+    ok: { type: "boolean", enum: [ ok ] },
+    result
+  },
+  required: [ "ok", "result" ],
+  additionalProperties: false
+})
+
+// Create the OpenAPI document of every documented route in a router
+const createSpec = ({ router, basePath, info, schemas = {}, securitySchemes }) => {
+  const paths = {}
+  const errorResponse = description => ({
+    description,
+    content: { "application/json": { schema: envelope(false, { $ref: "#/components/schemas/Error" }) } }
+  })
+  
+  router.stack.filter(layer => layer.route).forEach(({ route }) => {
+    const handles = route.stack.map(({ handle }) => handle)
+    const meta = (handles.find(handle => handle.openapi) || {}).openapi
+    const validation = (handles.find(handle => handle.schema) || {}).schema || {}
+    
+    if (!meta)
+      return
+    
+    // Express paths (e.g. "/product/:styleCode" or "/category/:path(*)") become "/product/{styleCode}"
+    const path = `${basePath}${route.path.replace(/:(\w+)(\([^)]*\))?/g, "{$1}")}`
+    
+    const parameters = [
+      ...Object.keys(validation.params || {}).map(name => ({
+        name,
+        in: "path",
+        required: true,
+        schema: toJSONSchema(validation.params[name])
+      })),
+      ...Object.keys(validation.query || {}).map(name => ({
+        name,
+        in: "query",
+        required: Boolean(validation.query[name].required),
+        schema: toJSONSchema(validation.query[name])
+      }))
+    ]
+    
+    Object.keys(route.methods).filter(method => method !== "_all").forEach(method => {
+      paths[path] = paths[path] || {}
+      paths[path][method] = {
+        summary: meta.summary,
+        ...(meta.description ? { description: meta.description } : {}),
+        ...(meta.tags ? { tags: meta.tags } : {}),
+        ...(parameters.length ? { parameters } : {}),
+        ...(validation.body ? {
+          requestBody: {
+            required: true,
+            content: { "application/json": { schema: toObjectSchema(validation.body) } }
+          }
+        } : {}),
+        responses: {
+          [meta.status || 200]: {
+            description: meta.summary,
+            content: meta.contentType
+              ? { [meta.contentType]: { schema: meta.result || { type: "string" } } }
+              : (meta.formats || []).reduce((content, format) => ({ ...content, [format]: { schema: { type: "string" } } }), {
+                "application/json": { schema: envelope(true, meta.result || {}) }
+              })
+          },
+          ...(parameters.length || validation.body ? { 400: errorResponse("The request is invalid") } : {}),
+          ...(securitySchemes ? {
+            401: errorResponse("The API key is missing or invalid"),
+            429: errorResponse("The API key's quota has been used up")
+          } : {}),
+          default: errorResponse("An error occurred")
+        }
+      }
+    })
+  })
+  
+  return {
+    openapi: "3.0.3",
+    info,
+    ...(securitySchemes ? { security: Object.keys(securitySchemes).map(name => ({ [name]: [] })) } : {}),
+    paths,
+    components: { schemas, ...(securitySchemes ? { securitySchemes } : {}) }
+  }
+}
+
+module.exports = {
+  document,
+  createSpec,
+  toJSONSchema
+}
@@ -0,0 +1,66 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Helpers for working with Promises that aren't provided by the standard library.
+  
+  Supported methods:
+  - mapLimit(items: Array, limit: number, iterator: function<Promise>(item: any, index: number)): Promise<Array>
+  - wait(milliseconds: number): Promise<void>
+  - createQueue(): function<Promise>(task: function<Promise>())
+*/
+
+// Calls `iterator` for each item in the Array, with no more than `limit` Promises
+// pending at any one time. Resolves with an Array of results in the same order as
+// `items`, or rejects with the first error thrown by `iterator`.
+const mapLimit = (items, limit, iterator) => new Promise((resolve, reject) => {
+  const results = new Array(items.length)
+  let nextIndex = 0, pending = 0, failed = false
+  
+  if (!items.length) return resolve(results)
+  
+  const next = () => {
+    // Every item has been started and settled, so we're done
+    if (nextIndex >= items.length && !pending) return resolve(results)
+    
+    while (!failed && pending < Math.max(1, limit) && nextIndex < items.length) {
+      const index = nextIndex++
+      pending++
+      
+      Promise.resolve().then(() => iterator(items[index], index)).then(result => {
+        results[index] = result
+        pending--
+        next()
+      }).catch(err => {
+        failed = true
+        reject(err)
+      })
+    }
+  }
+  
+  next()
+})
+
+// Resolves after the given number of milliseconds
+const wait = milliseconds => new Promise(resolve => setTimeout(resolve, Math.max(0, Number(milliseconds) || 0)))
+
+// Creates a function which runs tasks one at a time, in the order they're queued, so that a
+// task which reads and then writes a record can't be interleaved with another. Each call
+// resolves or rejects with the result of its own task, without affecting the rest of the queue.
+const createQueue = () => {
+  let last = Promise.resolve()
+  
+  return task => {
+    const result = last.then(() => task())
+    
+    last = result.catch(() => {})
+    
+    return result
+  }
+}
+
+module.exports = {
+  mapLimit,
+  wait,
+  createQueue
+}
@@ -0,0 +1,116 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Helpers for responding to requests in the format shared by every route.
+  
+  Supported methods:
+  - sendError(res: Response, err: Error): void
+  - getFormat(req: Request): string
+  - toCSV({ columns: Object[], rows: Object[] }): string
+  - sendResult(req: Request, res: Response, { result: any, table?: Object, filename?: string }): void
+  
+  Routes which can be exported (see "/routes/api/columns.js") respond with JSON by default, or with
+  CSV or NDJSON when it's requested by the "format" query string parameter or the Accept header.
+  Both export formats flatten the result into rows, using the columns of the route's `table`:
+  
+  {
+    columns: { name: string, description: string, value: function<any>(row: Object) }[],
+    rows: function<Object[]>(result: any)
+  }
+*/
+const { HttpError } = require("./HttpError")
+const { logger } = require("./logger")
+
+// Respond with an error, using its status code (or 500), in the following format:
+// { ok: false, result: { code: string, message: string, details?: Object[] } }
+// Errors with a 5xx status are logged, as they're a problem with the server (or Shoe Zone) rather
+// than the request.
+const sendError = (res, err) => {
+  const error = HttpError.from(err)
+  
+  if (error.statusCode >= 500)
+    logger.error("Request failed", { error })
+  
+  res.status(error.statusCode).json({
+    ok: false,
+    result: error.toJSON()
+  })
+}
+
+// The media type of each format a result can be sent in, in order of preference
+const formats = {
+  json: "application/json",
+  csv: "text/csv",
+  ndjson: "application/x-ndjson"
+}
+
+// The format requested by the "format" query string parameter, or otherwise the Accept header.
+// Anything which can't be satisfied is sent as JSON.
+const getFormat = req => {
+  if (req.query && formats[req.query.format])
+    return req.query.format
+  
+  const accepted = req.accepts(Object.keys(formats).map(format => formats[format]))
+  
+  return Object.keys(formats).find(format => formats[format] === accepted) || "json"
+}
+
+// Format a single value for a CSV cell. Cells which a spreadsheet would treat as a formula (i.e.
+// strings starting with "=", "+", "-" or "@") are prefixed with an apostrophe.
+const formatCell = value => {
+  if (value === null || value === undefined)
+    return ""
+  
+  let cell = String(value)
+  
+  if (typeof value === "string" && /^[=+\-@]/.test(cell))
+    cell = `'${cell}`
+  
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, "\"\"")}"` : cell
+}
+
+// Format rows as CSV (RFC 4180), with a header row of the column names
+const toCSV = ({ columns, rows }) => [
+  columns.map(({ name }) => name),
+  ...rows.map(row => columns.map(({ value }) => value(row)))
+].map(cells => cells.map(formatCell).join(",")).join("\r\n") + "\r\n"
+
+// Respond with a result in the requested format (see `getFormat`). Results are sent in the
+// `{ ok: true, result }` format as JSON, or flattened into the rows of `table` as CSV or NDJSON
+// (one JSON Object per line, keyed by the column names). Routes without a `table` always send JSON.
+const sendResult = (req, res, { result, table, filename = "export" }) => {
+  const format = table ? getFormat(req) : "json"
+  
+  if (table)
+    res.vary("Accept")
+  
+  if (format === "json")
+    return res.json({ ok: true, result })
+  
+  const rows = table.rows(result)
+  
+  // `attachment` also sets the Content-Type from the file extension, so it's replaced afterwards
+  res.attachment(`${filename}.${format}`)
+  res.type(`${formats[format]}; charset=utf-8`)
+  
+  if (format === "csv")
+    return res.send(toCSV({ columns: table.columns, rows }))
+  
+  // Each row is written as soon as it has been formatted, rather than buffering the whole export
+  rows.forEach(row => res.write(`${JSON.stringify(table.columns.reduce((record, { name, value }) => {
+    const cell = value(row)
+    
+    record[name] = cell === undefined ? null : cell
+    return record
+  }, {}))}\n`))
+  
+  res.end()
+}
+
+module.exports = {
+  sendError,
+  getFormat,
+  toCSV,
+  sendResult
+}
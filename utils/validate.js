@@ -0,0 +1,334 @@
+/*
+  Date: 2026-10-19
+  Author: ClockworkSquirrel (csqrl)
+  
+  Schema-based validation of request parameters, query strings and bodies.
+  
+  Supported methods:
+  - validate(schema: Object, input: Object, prefix?: string): Object
+  - validateRequest({ params?: Object, query?: Object, body?: Object, check?: function<Object[]>(values: Object) }): function(req, res, next)
+  - normalisePostcode(value: string): string | null
+  - isEircode(value: string): boolean
+  - normaliseStyleCode(value: string | number): string
+  
+  A schema is an Object mapping each field to a rule, for example:
+  
+  {
+    styleCode: { type: "styleCode", required: true },
+    quantity: { type: "integer", min: 1, max: 20, default: 1 }
+  }
+  
+  Rules may contain:
+  - type: "string", "integer", "number", "boolean", "array", "object", "styleCode", "sizedStyleCode",
+          "sizeCode", "postcode", "url", "market", "currency" or "date" (see `types`)
+  - required: boolean, whether the field must be present
+  - default: any, the value used when the field isn't present
+  - min/max: number, the range of a number (or the number of items in an array)
+  - minLength/maxLength: number, the length of a string
+  - pattern: RegExp, which strings must match
+  - values: any[], the only values which are allowed
+  - items: Object, the rule for each item of an array
+  - fields: Object, the schema of an object
+  
+  Query strings and paths only contain strings, so numbers and booleans are converted from strings.
+  Fields which fail validation are collected, rather than stopping at the first, and rejected
+  together as a 400 `HttpError` with the code "VALIDATION_FAILED". Its `details` describe each
+  field: `{ field: string, code: string, message: string }`, where `code` is one of "REQUIRED",
+  "INVALID_TYPE", "INVALID_FORMAT", "TOO_SMALL", "TOO_LARGE" or "INVALID_VALUE".
+*/
+const { HttpError } = require("./HttpError")
+const { sendError } = require("./respond")
+const { getMarketIds, getRates } = require("./markets")
+
+// A field which failed validation. Thrown by the types below, and collected by `validate`.
+class FieldError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.code = code
+  }
+}
+
+// The formats of UK postcodes and Irish Eircodes, once spaces have been removed
+const ukPostcodePattern = /^([A-Z]{1,2}\d[A-Z\d]?|GIR)(\d[A-Z]{2})$/
+const eircodePattern = /^([AC-FHKNPRTV-Y]\d{2}|D6W)([0-9AC-FHKNPRTV-Y]{4})$/
+
+const compactPostcode = value => String(value).toUpperCase().replace(/\s+/g, "")
+
+// Normalise a UK postcode (e.g. "gl11aa" to "GL1 1AA") or an Irish Eircode (e.g. "d02x285" to
+// "D02 X285"). Returns null if the value isn't a valid postcode.
+const normalisePostcode = value => {
+  const compact = compactPostcode(value)
+  const match = compact.match(ukPostcodePattern) || compact.match(eircodePattern)
+  
+  return match ? `${match[1]} ${match[2]}` : null
+}
+
+// Whether a value is an Irish Eircode, rather than a UK postcode
+const isEircode = value => eircodePattern.test(compactPostcode(value))
+
+// Remove the size code from a style code, if one was appended to it (e.g. "15070040" to "15070")
+const normaliseStyleCode = value => {
+  const code = String(value).trim()
+  
+  /*
+    As of 2020-07-19, product codes may be up to 6-digits long. This means we now need
+    to appropriately handle product codes with more than 5 digits. Size codes are still
+    currently only 3 digits long.
+    
+    We can determine if a styleCode also contains a size code and truncate it by
+    subtracting 3 from its length. If length-3 is greater than or equal to 5, then
+    it most likely contains a size code too, and we should remove the last 3
+    characters.
+    
+    If no size code was appended to the style code, then subtracting 3 will result
+    in a value less than 5 (the minimum length of a style code).
+  */
+  return code.length - 3 >= 5 ? code.substr(0, code.length - 3) : code
+}
+
+// Check the length (or size) of a value against the rule's limits
+const checkRange = (value, size, rule, unit) => {
+  if (rule.min !== undefined && size < rule.min)
+    throw new FieldError("TOO_SMALL", `Must be at least ${rule.min}${unit}`)
+  
+  if (rule.max !== undefined && size > rule.max)
+    throw new FieldError("TOO_LARGE", `Must be no more than ${rule.max}${unit}`)
+  
+  return value
+}
+
+/*
+  Each type converts a value (which has already been checked to be present) into its normalised
+  form, or throws a FieldError.
+*/
+const types = {
+  string: (value, rule) => {
+    if (typeof value !== "string" && typeof value !== "number")
+      throw new FieldError("INVALID_TYPE", "Must be a string")
+    
+    value = String(value).trim()
+    
+    if (rule.minLength !== undefined && value.length < rule.minLength)
+      throw new FieldError("TOO_SMALL", `Must be at least ${rule.minLength} characters long`)
+    
+    if (rule.maxLength !== undefined && value.length > rule.maxLength)
+      throw new FieldError("TOO_LARGE", `Must be no more than ${rule.maxLength} characters long`)
+    
+    if (rule.pattern && !rule.pattern.test(value))
+      throw new FieldError("INVALID_FORMAT", rule.message || "Is not in the expected format")
+    
+    return value
+  },
+  
+  number: (value, rule) => {
+    const number = typeof value === "string" && value.trim().length ? Number(value) : value
+    
+    if (typeof number !== "number" || !isFinite(number))
+      throw new FieldError("INVALID_TYPE", "Must be a number")
+    
+    return checkRange(number, number, rule, "")
+  },
+  
+  integer: (value, rule) => {
+    const number = types.number(value, {})
+    
+    if (!Number.isInteger(number))
+      throw new FieldError("INVALID_TYPE", "Must be a whole number")
+    
+    return checkRange(number, number, rule, "")
+  },
+  
+  boolean: value => {
+    if (typeof value === "boolean")
+      return value
+    
+    const normalised = String(value).toLowerCase()
+    
+    if ([ "true", "1", "yes" ].includes(normalised))
+      return true
+    
+    if ([ "false", "0", "no" ].includes(normalised))
+      return false
+    
+    throw new FieldError("INVALID_TYPE", "Must be true or false")
+  },
+  
+  // Array items are validated individually, so every invalid item is reported
+  array: (value, rule, field, errors) => {
+    if (!Array.isArray(value))
+      throw new FieldError("INVALID_TYPE", "Must be an Array")
+    
+    checkRange(value, value.length, rule, " items")
+    
+    return rule.items ? value.map((item, index) => checkField(`${field}[${index}]`, item, rule.items, errors)) : value
+  },
+  
+  object: (value, rule, field, errors) => {
+    if (!value || typeof value !== "object" || Array.isArray(value))
+      throw new FieldError("INVALID_TYPE", "Must be an Object")
+    
+    return rule.fields ? validateFields(rule.fields, value, `${field}.`, errors) : value
+  },
+  
+  // A style code, with or without a size code (which is removed), e.g. "15070" or "15070040"
+  styleCode: value => {
+    const code = types.string(value, {})
+    
+    if (!/^\d{5,6}(\d{3})?$/.test(code))
+      throw new FieldError("INVALID_FORMAT", "Must be a 5 or 6-digit style code")
+    
+    return normaliseStyleCode(code)
+  },
+  
+  // A style code followed by its size code, e.g. "15070040"
+  sizedStyleCode: value => {
+    const code = types.string(value, {})
+    
+    if (!/^\d{8,9}$/.test(code))
+      throw new FieldError("INVALID_FORMAT", "Must be a style code followed by a 3-digit size code")
+    
+    return code
+  },
+  
+  sizeCode: value => {
+    const code = types.string(value, {})
+    
+    if (!/^\d{3}$/.test(code))
+      throw new FieldError("INVALID_FORMAT", "Must be a 3-digit size code")
+    
+    return code
+  },
+  
+  postcode: value => {
+    const postcode = normalisePostcode(types.string(value, {}))
+    
+    if (!postcode)
+      throw new FieldError("INVALID_FORMAT", "Must be a valid UK postcode or Eircode")
+    
+    return postcode
+  },
+  
+  url: value => {
+    const url = types.string(value, {})
+    
+    try {
+      if (/^https?:$/.test(new URL(url).protocol))
+        return url
+    } catch (err) {
+      // Handled below
+    }
+    
+    throw new FieldError("INVALID_FORMAT", "Must be a valid http(s) URL")
+  },
+  
+  // The ID of a market (see "/utils/markets.js"), in any case, e.g. "ie"
+  market: value => {
+    const market = types.string(value, {}).toUpperCase()
+    
+    if (!getMarketIds().includes(market))
+      throw new FieldError("INVALID_VALUE", `Must be one of: ${getMarketIds().join(", ")}`)
+    
+    return market
+  },
+  
+  // A currency which there's an exchange rate for (see "/utils/markets.js"), in any case, e.g. "eur"
+  currency: value => {
+    const currency = types.string(value, {}).toUpperCase()
+    
+    if (!getRates()[currency])
+      throw new FieldError("INVALID_VALUE", `Must be one of: ${Object.keys(getRates()).join(", ")}`)
+    
+    return currency
+  },
+  
+  // A date and time (or just a date), e.g. "2026-10-19T09:30:00Z", which is normalised to ISO 8601
+  date: value => {
+    const date = types.string(value, {})
+    
+    if (!/^\d{4}-\d{2}-\d{2}/.test(date) || isNaN(Date.parse(date)))
+      throw new FieldError("INVALID_FORMAT", "Must be an ISO 8601 date, e.g. 2026-10-19T09:30:00Z")
+    
+    return (new Date(date)).toISOString()
+  }
+}
+
+// Validate a single field against its rule, adding any problems to `errors`
+const checkField = (field, value, rule, errors) => {
+  if (value === undefined || value === null || value === "") {
+    if (rule.required)
+      errors.push({ field, code: "REQUIRED", message: "Is required" })
+    
+    return rule.default
+  }
+  
+  try {
+    const normalised = types[rule.type](value, rule, field, errors)
+    
+    if (rule.values && !rule.values.includes(normalised))
+      throw new FieldError("INVALID_VALUE", `Must be one of: ${rule.values.join(", ")}`)
+    
+    return normalised
+  } catch (err) {
+    if (!(err instanceof FieldError))
+      throw err
+    
+    errors.push({ field, code: err.code, message: err.message })
+  }
+}
+
+// Validate every field in a schema. Fields which aren't in the schema are removed.
+const validateFields = (schema, input, prefix, errors) => Object.keys(schema).reduce((values, field) => {
+  const value = checkField(`${prefix}${field}`, (input || {})[field], schema[field], errors)
+  
+  if (value !== undefined)
+    values[field] = value
+  
+  return values
+}, {})
+
+// Validate an Object against a schema, returning the normalised values, or throwing a 400
+// `HttpError` which describes every invalid field. `prefix` is prepended to field names in
+// the error details (e.g. "query.").
+const validate = (schema, input, prefix = "") => {
+  const errors = []
+  const values = validateFields(schema, input, prefix, errors)
+  
+  if (errors.length)
+    throw new HttpError("The request is invalid", 400, "VALIDATION_FAILED", errors)
+  
+  return values
+}
+
+// Create Express middleware which validates the parameters, query string and body of a request,
+// replacing them with their normalised values. `check` is called with every value once each
+// field is valid, and returns any further problems (e.g. fields which are required together).
+// The schemas are kept on the middleware, so they can be documented (see "/utils/openapi.js").
+const validateRequest = ({ params, query, body, check }) => Object.assign((req, res, next) => {
+  const errors = []
+  const sources = { params, query, body }
+  const values = {}
+  
+  Object.keys(sources).filter(source => sources[source]).forEach(source => {
+    values[source] = validateFields(sources[source], req[source], `${source}.`, errors)
+  })
+  
+  if (!errors.length && check)
+    errors.push(...check({ ...values.params, ...values.query, ...values.body }))
+  
+  if (errors.length)
+    return sendError(res, new HttpError("The request is invalid", 400, "VALIDATION_FAILED", errors))
+  
+  Object.keys(values).forEach(source => {
+    req[source] = values[source]
+  })
+  
+  next()
+}, { schema: { params, query, body } })
+
+module.exports = {
+  validate,
+  validateRequest,
+  normalisePostcode,
+  isEircode,
+  normaliseStyleCode
+}